@@ -0,0 +1,224 @@
+// ==================== Query Benchmark ====================
+// Compares the old in-memory listing (getAll, then filter, sort and slice on every search)
+// with the index and cursor queries BookmarkApp now uses, on a seeded 50,000-record database
+class QueryBenchmark {
+    constructor() {
+        this.db = new BookmarkDB('BookmarkManagerBenchmark');
+        this.matcher = new FuzzyMatcher();
+        this.recordCount = 50000;
+        this.pageSize = 12;
+        this.runs = 5;
+        this.words = ['设计', '素材', '开发', '工具', '文档', '教程', '社区', '博客', '新闻', '音乐',
+            'Design', 'Dev', 'Docs', 'Guide', 'Weekly', 'Hub', 'Lab', 'Studio', 'Cloud', 'Kit'];
+        this.tags = ['设计', '开发', '工具', '学习', '阅读', '视频', '音乐', '购物', '新闻', '生活',
+            'AI', 'Design', 'Frontend', 'Backend', 'DevOps', 'Data', 'Security', 'Mobile', 'Game', 'Finance'];
+    }
+
+    async run() {
+        this.setStatus('正在打开测试数据库...');
+        await this.db.init();
+        await this.seed();
+
+        const tagAndDate = new SearchQuery('tag:开发 after:2025-06', this.matcher);
+        const fuzzy = new SearchQuery('sheji', this.matcher);
+        const name = new SearchQuery('name:sheji', this.matcher);
+        const site = new SearchQuery('site:site4242.example.com', this.matcher);
+        const lastPage = Math.floor((this.recordCount - 1) / this.pageSize);
+        const scenarios = [
+            {
+                label: '首页（无筛选）',
+                scan: '无',
+                legacy: () => this.legacyPage(() => true, 0),
+                indexed: () => Promise.all([this.db.getPage(0, this.pageSize), this.db.count()])
+            },
+            {
+                label: `最后一页（第 ${lastPage + 1} 页）`,
+                scan: '无',
+                legacy: () => this.legacyPage(() => true, lastPage),
+                indexed: () => this.db.getPage(lastPage * this.pageSize, this.pageSize)
+            },
+            {
+                label: '单个标签筛选',
+                scan: '无',
+                legacy: () => this.legacyPage(bookmark => bookmark.tags.includes('设计'), 0),
+                indexed: () => this.indexedPage({ tags: ['设计'] })
+            },
+            {
+                label: '两个标签（全部匹配）',
+                scan: '无',
+                legacy: () => this.legacyPage(bookmark => bookmark.tags.includes('设计') && bookmark.tags.includes('AI'), 0),
+                indexed: () => this.indexedPage({ tags: ['设计', 'AI'] })
+            },
+            {
+                label: 'tag:开发 after:2025-06',
+                scan: '无',
+                legacy: () => this.legacyPage(bookmark => tagAndDate.matches(bookmark), 0),
+                indexed: () => this.indexedPage({ query: tagAndDate })
+            },
+            {
+                label: 'name:sheji',
+                scan: '名称索引键',
+                legacy: () => this.legacyPage(bookmark => name.matches(bookmark), 0),
+                indexed: () => this.indexedPage({ query: name })
+            },
+            {
+                label: 'site:site4242.example.com',
+                scan: '网址索引键',
+                legacy: () => this.legacyPage(bookmark => site.matches(bookmark), 0),
+                indexed: () => this.indexedPage({ query: site })
+            },
+            {
+                // Plain terms also search the notes, which no index covers
+                label: '全文模糊搜索 "sheji"',
+                scan: '全部记录（两者）',
+                legacy: () => this.legacyPage(bookmark => fuzzy.matches(bookmark), 0),
+                indexed: () => this.indexedPage({ query: fuzzy })
+            },
+            {
+                // The tag panel on every list load; the counts are kept until the next write
+                label: '标签计数',
+                scan: '无（写入后首次遍历标签索引键）',
+                legacy: () => this.legacyTagCounts(),
+                indexed: () => this.db.getTagCounts()
+            }
+        ];
+
+        document.getElementById('benchResults').innerHTML = '';
+
+        for (const scenario of scenarios) {
+            this.setStatus(`正在测试：${scenario.label}`);
+            const legacy = await this.measure(scenario.legacy);
+            const indexed = await this.measure(scenario.indexed);
+            this.addResult(scenario, legacy, indexed);
+        }
+
+        this.setStatus(`完成：每个场景取 ${this.runs} 次运行的中位数`);
+    }
+
+    // Deterministic data so results are comparable between runs and browsers
+    async seed() {
+        const existing = await this.db.count();
+        if (existing === this.recordCount) return;
+
+        const random = this.createRandom(42);
+        const pick = list => list[Math.floor(random() * list.length)];
+        const start = new Date(2020, 0, 1).getTime();
+        const span = new Date(2026, 0, 1).getTime() - start;
+        const batchSize = 5000;
+
+        await this.clear();
+
+        for (let offset = 0; offset < this.recordCount; offset += batchSize) {
+            this.setStatus(`正在生成测试数据 ${offset} / ${this.recordCount}...`);
+
+            const records = [];
+            for (let i = offset; i < Math.min(offset + batchSize, this.recordCount); i++) {
+                const tagCount = 1 + Math.floor(random() * 3);
+                records.push({
+                    name: `${pick(this.words)}${pick(this.words)} ${i}`,
+                    url: `https://site${i}.example.com/${pick(['', 'docs', 'blog', 'tools'])}`,
+                    tags: this.db.normalizeTags(Array.from({ length: tagCount }, () => pick(this.tags))),
+                    createdAt: new Date(start + random() * span).toISOString()
+                });
+            }
+            await this.db.bulkPut(records);
+        }
+    }
+
+    // Drop a partly seeded set outright; replaceBookmarks would copy it all into the trash
+    async clear() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.writeTransaction([this.db.storeName]);
+            transaction.objectStore(this.db.storeName).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // What loadBookmarks/renderBookmarks did before: load everything, filter, sort, slice
+    async legacyPage(filter, page) {
+        const bookmarks = (await this.db.getAll()).filter(filter);
+        bookmarks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        return bookmarks.slice(page * this.pageSize, (page + 1) * this.pageSize);
+    }
+
+    async legacyTagCounts() {
+        const counts = new Map();
+        (await this.db.getAll()).forEach(bookmark => {
+            bookmark.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return counts;
+    }
+
+    async indexedPage(options) {
+        const ids = await this.db.findIds(options);
+        return this.db.getMany(ids.slice(0, this.pageSize));
+    }
+
+    // Median of several runs after one warm-up, so caches filled by the first call don't favour either side
+    async measure(fn) {
+        await fn();
+
+        const timings = [];
+        for (let i = 0; i < this.runs; i++) {
+            const start = performance.now();
+            await fn();
+            timings.push(performance.now() - start);
+        }
+        return timings.sort((a, b) => a - b)[Math.floor(timings.length / 2)];
+    }
+
+    addResult({ label, scan }, legacy, indexed) {
+        const row = document.createElement('tr');
+        [label, scan, legacy.toFixed(1), indexed.toFixed(1), `${(legacy / indexed).toFixed(1)}×`].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        document.getElementById('benchResults').appendChild(row);
+    }
+
+    // mulberry32
+    createRandom(seed) {
+        return () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    async reset() {
+        if (this.db.db) this.db.db.close();
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.db.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+        this.db.db = null;
+        document.getElementById('benchResults').innerHTML = '';
+        this.setStatus('测试数据库已删除');
+    }
+
+    setStatus(message) {
+        document.getElementById('benchStatus').textContent = message;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const benchmark = new QueryBenchmark();
+    const runBtn = document.getElementById('runBtn');
+
+    runBtn.addEventListener('click', async () => {
+        runBtn.disabled = true;
+        try {
+            await benchmark.run();
+        } catch (error) {
+            console.error('Benchmark error:', error);
+            benchmark.setStatus(`测试失败：${error.message}`);
+        }
+        runBtn.disabled = false;
+    });
+
+    document.getElementById('resetBtn').addEventListener('click', () => benchmark.reset());
+});
@@ -0,0 +1,1187 @@
+// ==================== Messages ====================
+// UI text for each locale, looked up by I18n in script.js. Keys are dotted paths; {name} is filled
+// in from the caller's params, and an object of plural forms (Intl.PluralRules categories) is
+// picked by {count}. Every locale needs every key: node tools/check-i18n.js reports the gaps
+const MESSAGES = {
+    'zh-CN': {
+        app: {
+            title: '网站收藏管理器',
+            name: '收藏管理器',
+            language: '界面语言',
+            loading: '加载中...',
+            initFailed: '初始化失败，请刷新页面重试',
+            shortcutHint: '按 <kbd>?</kbd> 查看键盘快捷键，<kbd>Ctrl</kbd> + <kbd>K</kbd> 打开命令面板',
+            updateReady: '新版本已准备好',
+            updateReload: '刷新使用',
+            updateLater: '稍后'
+        },
+        common: {
+            cancel: '取消',
+            save: '保存',
+            delete: '删除',
+            edit: '编辑',
+            apply: '应用',
+            restore: '恢复',
+            merge: '合并',
+            view: '查看',
+            none: '无',
+            file: '文件：',
+            noName: '（无名称）',
+            quoted: '“{text}”',
+            listSeparator: '、',
+            tagSeparator: '，',
+            stars: '{count} 星',
+            loadFailed: '加载失败',
+            saveFailed: '保存失败',
+            deleteFailed: '删除失败',
+            updateFailed: '更新失败'
+        },
+        header: {
+            searchPlaceholder: '搜索网址、名称、标签或备注，如 tag:工具 site:github.com',
+            searchTitle: '支持拼音、首字母和模糊匹配；name: url: site: tag: note: 限定字段，"短语"，-排除，OR，after:2025-01 before:2025-06-30 日期范围，rating:>=4 评分，is:archived 已归档',
+            search: '搜索',
+            add: '添加网址',
+            quickAdd: '快捷添加',
+            quickAddTitle: '生成书签小工具，在任意网页一键收藏',
+            duplicates: '查找重复',
+            import: '导入',
+            trash: '回收站',
+            trashTitle: '查看和恢复已删除的收藏',
+            export: '导出',
+            backup: '备份',
+            backupTitle: '备份全部数据和设置，可加密；恢复备份或回滚到自动快照',
+            publish: '发布',
+            publishTitle: '生成可公开分享的只读目录页',
+            settings: '设置',
+            settingsTitle: '每页数量、视图、主题和默认标签'
+        },
+        stats: {
+            total: '总收藏',
+            shown: '当前显示',
+            folder: '文件夹',
+            linkIssues: '失效链接',
+            linkIssuesTitle: '只显示失效或跳转的链接',
+            frequent: '常用',
+            frequentTitle: '常用/最近访问：按访问次数和时间排列打开过的收藏',
+            archived: '归档',
+            archivedTitle: '已归档的收藏：不出现在其他列表中，也可用 is:archived 搜索'
+        },
+        sort: {
+            title: '排序方式',
+            newest: '最新添加',
+            oldest: '最早添加',
+            name: '名称',
+            domain: '域名',
+            visits: '最常访问',
+            recent: '最近访问',
+            rating: '评分最高',
+            custom: '自定义顺序',
+            customHint: '拖动卡片即可调整顺序',
+            failed: '排序失败'
+        },
+        search: {
+            errorTitle: '搜索语法有误',
+            help: '支持 name: url: site: tag: note: 限定字段，"短语"，-排除，OR，after:2025-01 before:2025-06-30 日期范围，rating:>=4 评分，is:archived 已归档',
+            emptyTitle: '暂无收藏',
+            emptyHint: '点击“添加网址”开始收藏您喜欢的网站'
+        },
+        query: {
+            orNeedsTerms: '“OR” 两侧都需要搜索词',
+            unclosedQuote: '引号未闭合',
+            missingTerm: '“{raw}” 后缺少搜索词',
+            invalidIs: '“{raw}”无效，目前只支持 is:archived',
+            invalidRating: '评分“{value}”无效，请使用 0–5，如 rating:>=4',
+            invalidDate: '日期“{value}”无效，请使用 YYYY、YYYY-MM 或 YYYY-MM-DD',
+            invalidRange: '日期范围无效：after 必须早于 before'
+        },
+        selection: {
+            start: '批量选择',
+            exit: '退出批量',
+            summary: '已选 {count} 个',
+            selectAll: '全选结果',
+            selectAllTitle: '选择当前搜索和筛选的全部结果',
+            clear: '清除选择',
+            editTags: '编辑标签',
+            exportMore: '导出...',
+            exportJson: '导出JSON',
+            checkboxTitle: '选择（按住 Shift 连选）',
+            deleteConfirm: '确定要删除选中的 {count} 个收藏吗？删除后可在回收站中恢复。',
+            failed: '选择失败'
+        },
+        card: {
+            filterTag: '按此标签筛选',
+            notesTitle: '查看详情',
+            archivedBadge: '已归档',
+            pin: '置顶',
+            unpin: '取消置顶',
+            archive: '归档',
+            unarchive: '取消归档',
+            detail: '详情',
+            visitsOff: '不统计访问次数',
+            lastVisit: '最近访问：{date}',
+            visits: '访问 {count} 次'
+        },
+        bookmark: {
+            notFound: '找不到该收藏',
+            added: '添加成功',
+            updated: '更新成功',
+            addLabel: '添加“{name}”',
+            editLabel: '编辑“{name}”',
+            deleteTitle: '确认删除',
+            deleteConfirm: '确定要删除这个收藏吗？删除后可在回收站中恢复。',
+            deleted: '删除成功',
+            bulkDeleted: '已删除 {count} 个收藏',
+            deleteLabel: '删除 {count} 个收藏',
+            pinned: '已置顶',
+            unpinned: '已取消置顶',
+            pinLabel: '置顶“{name}”',
+            unpinLabel: '取消置顶“{name}”',
+            pinFailed: '置顶失败',
+            archived: '已归档',
+            unarchived: '已取消归档',
+            archiveLabel: '归档“{name}”',
+            unarchiveLabel: '取消归档“{name}”',
+            bulkArchived: '已归档 {count} 个收藏',
+            bulkUnarchived: '已取消归档 {count} 个收藏',
+            bulkArchiveLabel: '归档 {count} 个收藏',
+            bulkUnarchiveLabel: '取消归档 {count} 个收藏',
+            archiveFailed: '归档失败',
+            moved: '已将 {count} 个收藏移到“{folder}”',
+            movedOut: '已将 {count} 个收藏移出文件夹',
+            moveLabel: '移动 {count} 个收藏',
+            moveFailed: '移动失败'
+        },
+        form: {
+            addTitle: '添加网址',
+            editTitle: '编辑网址',
+            url: '网址',
+            fetch: '获取信息',
+            fetchTitle: '从网页读取标题、简介和图标',
+            name: '网站名称',
+            namePlaceholder: '留空则使用网页标题',
+            notes: '简介和备注',
+            notesPlaceholder: '网站简介，或为什么收藏它（可选）',
+            markdownHint: '支持 Markdown：**粗体**、*斜体*、`代码`、- 列表、> 引用、[链接](https://…)',
+            rating: '评分',
+            noRating: '不评分',
+            tags: '分类标签',
+            tagsPlaceholder: '多个标签用逗号分隔，如：工具,设计,开发',
+            tagsHint: '用逗号、空格或分号分隔多个标签',
+            folder: '文件夹',
+            noFolder: '不放入文件夹',
+            trackVisits: '统计访问次数',
+            trackVisitsHint: '关闭后不再记录打开次数，并清除已有的访问记录',
+            archived: '归档',
+            archivedHint: '归档后只在“归档”中显示，搜索时加上 is:archived 也能找到',
+            createdAt: '添加日期',
+            required: '请填写必填项',
+            invalidUrl: '请输入 http 或 https 网址',
+            duplicate: '该网址已收藏为 {names}',
+            fetching: '正在获取网页信息...',
+            metadataNotFound: '未找到网页信息',
+            metadataFailed: '无法获取网页信息，请手动填写'
+        },
+        detail: {
+            title: '详情',
+            rating: '评分',
+            tags: '分类标签',
+            folder: '文件夹',
+            createdAt: '添加日期',
+            updatedAt: '更新日期',
+            visits: '访问',
+            archivedAt: '归档日期',
+            noRating: '未评分',
+            noNotes: '没有备注',
+            visitSummary: '{count} 次，最近 {date}',
+            notVisited: '未访问'
+        },
+        palette: {
+            label: '命令面板',
+            placeholder: '搜索收藏或操作…',
+            footer: '<kbd>↑</kbd> <kbd>↓</kbd> 选择 · <kbd>Enter</kbd> 打开 · <kbd>Shift</kbd> + <kbd>Enter</kbd> 查看详情 · <kbd>Esc</kbd> 关闭',
+            empty: '没有匹配的收藏或操作',
+            action: '操作',
+            bookmark: '收藏',
+            quickAdd: '快速添加链接和书签小工具'
+        },
+        shortcuts: {
+            title: '键盘快捷键',
+            search: '搜索',
+            palette: '命令面板：跳转到收藏或执行操作',
+            arrows: '<kbd>j</kbd> <kbd>k</kbd> / 方向键',
+            move: '在卡片之间移动（方向键需先选中一张卡片）',
+            open: '打开选中的网址',
+            edit: '编辑选中的收藏',
+            delete: '删除选中的收藏',
+            add: '添加网址',
+            pages: '滚动到底或顶后，翻到下一页 / 上一页',
+            undoRedo: '撤销 / 重做',
+            help: '显示本帮助',
+            close: '关闭对话框'
+        },
+        undo: {
+            undo: '撤销',
+            redo: '重做',
+            undone: '已撤销：{label}',
+            redone: '已重做：{label}',
+            undoFailed: '撤销失败',
+            redoFailed: '重做失败'
+        },
+        tags: {
+            title: '标签',
+            modeAll: '全部',
+            modeAllTitle: '同时包含所有选中的标签',
+            modeAny: '任一',
+            modeAnyTitle: '包含任一选中的标签',
+            clearFilter: '清除筛选',
+            mergeSelected: '合并所选',
+            empty: '暂无标签',
+            rename: '重命名',
+            renameTitle: '重命名标签',
+            mergeTitle: '合并标签',
+            sources: '原标签',
+            newName: '新名称',
+            mergeHint: '与已有标签同名时会自动合并',
+            nameRequired: '请输入标签名称',
+            invalidName: '标签名称不能包含空格、逗号或分号',
+            updated: '已更新 {count} 个收藏的标签',
+            failed: '标签更新失败'
+        },
+        bulkTag: {
+            title: '编辑 {count} 个收藏的标签',
+            add: '添加标签',
+            remove: '移除标签',
+            tags: '标签',
+            placeholder: '多个标签用逗号分隔',
+            existing: '所选收藏中的标签',
+            noTags: '所选收藏没有标签'
+        },
+        folders: {
+            title: '文件夹',
+            all: '全部收藏',
+            add: '新建文件夹',
+            edit: '编辑文件夹',
+            expand: '展开',
+            collapse: '折叠',
+            editTitle: '重命名或移动',
+            deleteTitle: '删除文件夹',
+            name: '名称',
+            parent: '上级文件夹',
+            parentHint: '移动文件夹时，其中的子文件夹和收藏会一起移动',
+            topLevel: '无（顶层文件夹）',
+            nameRequired: '请输入文件夹名称',
+            nameTaken: '同一位置已有同名文件夹',
+            created: '文件夹已创建',
+            updated: '文件夹已更新',
+            saveFailed: '文件夹保存失败',
+            deleteConfirm: '确定要删除文件夹“{name}”吗？选择保留内容时，其中的子文件夹和收藏会移到{target}。',
+            deleteTarget: '“{name}”',
+            deleteTargetTop: '顶层',
+            keepContents: '保留其中的内容，移到上一级',
+            deleteContents: '连同子文件夹一起删除，收藏移入回收站',
+            deleted: '文件夹已删除',
+            deletedTrashed: '文件夹已删除，{count} 个收藏已移入回收站',
+            deletedMoved: '文件夹已删除，{count} 个收藏已移到上一级',
+            deleteLabel: '删除文件夹“{name}”',
+            deleteFailed: '文件夹删除失败'
+        },
+        linkCheck: {
+            start: '检查链接',
+            pause: '暂停检查',
+            resume: '继续检查',
+            starting: '正在检查...',
+            progress: '正在检查 {checked} / {total}',
+            checked: '已检查 {count} 个',
+            done: '链接检查完成，共 {checked} 个，发现 {flagged} 个问题',
+            unavailable: '链接检查服务不可用，已暂停',
+            notConfigured: '未配置链接检查服务',
+            summary: '{broken} 个失效链接，{redirected} 个已跳转',
+            applyRedirects: '更新为跳转后的网址',
+            deleteBroken: '删除失效链接',
+            deleteBrokenConfirm: '确定要删除 {count} 个失效链接吗？删除后可在回收站中恢复。',
+            urlsUpdated: '已更新 {count} 个网址',
+            broken: '失效 {status}',
+            unreachable: '无法访问',
+            redirected: '已跳转',
+            redirectedTo: '跳转到 {url}'
+        },
+        quickAdd: {
+            title: '快捷添加',
+            intro: '把下面的按钮拖到浏览器的书签栏，之后在任意网页点击它即可收藏当前页面。',
+            tags: '默认标签',
+            tagsPlaceholder: '如：稍后阅读',
+            modeForm: '打开添加窗口，确认后保存',
+            modeSave: '直接保存，不弹出窗口（仅限本设备生成的书签工具）',
+            bookmarklet: '收藏到网址导航',
+            bookmarkletTitle: '拖到书签栏',
+            code: '书签代码',
+            codeHint: '无法拖动时，可新建一个书签并把这段代码粘贴为网址。安装到手机主屏幕后，也可以从其他应用“分享”网址到这里。',
+            dragHint: '请把按钮拖到书签栏',
+            webOnly: '只能收藏 http 或 https 网址',
+            exists: '该网址已收藏为“{name}”',
+            confirmNeeded: '这个链接不是本设备的书签工具发出的，请确认后保存',
+            added: '已添加“{name}”',
+            failed: '添加失败'
+        },
+        trash: {
+            title: '回收站',
+            retentionBefore: '已删除的收藏保留',
+            retentionAfter: '后自动清除',
+            days: '{count} 天',
+            empty: '回收站是空的',
+            deletedAt: '删除于 {date}，{count} 天后自动清除',
+            purge: '彻底删除',
+            emptyTrash: '清空回收站',
+            confirmEmpty: '再次点击确认清空',
+            restoreAll: '全部恢复',
+            loadFailed: '加载回收站失败',
+            restored: '已恢复 {count} 个收藏',
+            restoreFailed: '恢复失败',
+            emptied: '回收站已清空'
+        },
+        duplicates: {
+            title: '查找重复',
+            hint: '选中要保留的记录，合并后将保留其名称和网址，合并所有标签并使用最早的添加日期',
+            mergeAll: '全部合并',
+            none: '没有发现重复的网址',
+            groupCount: '{count} 个重复',
+            failed: '查找重复失败',
+            merged: '已合并 {count} 个收藏',
+            mergeLabel: '合并 {count} 个收藏',
+            mergedGroups: '已合并 {count} 组重复收藏',
+            mergeGroupsLabel: '合并 {count} 组重复收藏',
+            mergeFailed: '合并失败'
+        },
+        backup: {
+            title: '备份与恢复',
+            create: '创建备份',
+            createHint: '备份包含全部收藏、文件夹、回收站和设置，可在任意设备上恢复。',
+            passphrase: '加密口令（可选）',
+            passphraseConfirm: '再次输入口令',
+            encryptHint: '设置口令后备份会用 AES-GCM 加密；忘记口令将无法恢复。',
+            download: '下载备份',
+            restore: '恢复备份',
+            choose: '选择备份文件...',
+            snapshots: '自动快照',
+            createSnapshot: '立即创建',
+            snapshotHint: '每天首次打开时自动保存在本机，保留最近 7 份；回滚后可撤销。',
+            fileName: '网站收藏备份',
+            encryptedSuffix: '加密',
+            passphraseMismatch: '两次输入的口令不一致',
+            downloadedEncrypted: '已下载加密备份，请牢记口令',
+            downloaded: '已下载备份',
+            failed: '备份失败',
+            noSnapshots: '还没有快照',
+            snapshotSummary: '{bookmarks} 个收藏，{folders} 个文件夹',
+            rollback: '回滚',
+            snapshotsFailed: '加载快照失败',
+            snapshotCreated: '已创建快照',
+            snapshotFailed: '创建快照失败',
+            rolledBack: '已回滚到 {date} 的快照',
+            rollbackLabel: '回滚到 {date}',
+            rollbackFailed: '回滚失败',
+            unreadable: '无法读取备份文件',
+            decryptFailed: '解密失败',
+            notJson: '文件不是有效的 JSON',
+            notBackup: '不是本应用的备份文件',
+            newerVersion: '备份来自更新版本的应用，请先更新',
+            wrongPassphrase: '口令错误或文件已损坏',
+            incomplete: '备份内容不完整',
+            badSettings: '备份中的设置格式错误',
+            unknownStore: '备份中有未知的数据“{name}”',
+            badStore: '备份中的“{name}”格式错误',
+            badBookmarks: '备份中有格式错误的收藏'
+        },
+        restore: {
+            title: '恢复备份',
+            encrypted: '这个备份已加密，请输入口令',
+            decrypt: '解密',
+            added: '新增',
+            removed: '删除',
+            changed: '修改',
+            unchanged: '不变',
+            hint: '恢复会用备份替换当前的全部收藏、文件夹、回收站和设置，完成后可撤销',
+            info: '备份于 {date}，共 {count} 个收藏',
+            folders: '文件夹',
+            trash: '回收站',
+            storeChange: '{before} 条 → {after} 条',
+            settings: '设置',
+            settingsChange: '{count} 项设置将被替换',
+            done: '已从备份恢复',
+            label: '恢复备份',
+            failed: '恢复失败'
+        },
+        sync: {
+            title: '设备同步',
+            type: '同步方式',
+            off: '关闭',
+            rest: 'REST 接口',
+            url: '地址',
+            urlHint: '所有设备填写同一个地址。接口需支持 GET/PUT 和 ETag（If-Match），跨域时还需公开 ETag 响应头。',
+            token: '访问令牌',
+            tokenPlaceholder: '可选，以 Bearer 方式发送',
+            username: '用户名',
+            password: '密码',
+            credentialsHint: '凭据只保存在本机浏览器中；建议使用应用专用密码。',
+            conflicts: '冲突记录',
+            clearConflicts: '清除记录',
+            submit: '保存并同步',
+            invalidUrl: '请输入 http 或 https 地址',
+            status: '同步',
+            statusTitle: '在多台设备之间同步收藏',
+            syncing: '同步中...',
+            offline: '离线',
+            offlineTitle: '联网后自动同步',
+            failed: '同步失败',
+            failedTitle: '同步失败：{error}',
+            conflictCount: '{count} 个冲突',
+            conflictTitle: '点击查看同步冲突',
+            synced: '已同步 {time}',
+            conflictToast: '同步时有 {count} 条收藏在两端都被修改，已保留较新的版本',
+            done: '同步完成：上传 {pushed} 条，下载 {pulled} 条',
+            lastFailed: '上次同步失败：{error}',
+            last: '上次同步：{date}，上传 {pushed} 条，下载 {pulled} 条',
+            keptLocal: '保留了本机的修改',
+            keptRemote: '保留了其他设备的修改',
+            keptLocalDelete: '保留了本机的删除',
+            trashedRemoteDelete: '已按其他设备的删除移入回收站',
+            conflict: '{date}：两端都有修改，{outcome}'
+        },
+        export: {
+            title: '导出',
+            format: '格式',
+            xlsx: 'Excel 工作簿 (.xlsx)',
+            csv: 'CSV（默认列可通过导入恢复）',
+            markdown: 'Markdown 目录 (.md)',
+            html: '浏览器书签 (.html)',
+            scope: '范围',
+            all: '全部收藏',
+            results: '当前搜索和筛选结果',
+            resultsCount: '当前搜索和筛选结果（{count} 个）',
+            selection: '已选的收藏',
+            selectionCount: '已选的收藏（{count} 个）',
+            sort: '排序',
+            columns: '列',
+            tagSheet: '添加“标签汇总”工作表',
+            fileName: '网站收藏',
+            noColumns: '请至少选择一列',
+            empty: '没有数据可导出',
+            done: '已导出 {count} 个网址',
+            doneJson: '导出成功',
+            failed: '导出失败'
+        },
+        publish: {
+            title: '发布目录页',
+            intro: '把收藏生成一个独立的静态网页：按标签分组、可以搜索、没有编辑功能，下载后可直接放到网站上。',
+            pageTitle: '页面标题',
+            defaultTitle: '网址导航',
+            tags: '只发布这些标签',
+            tagsHint: '不选则发布全部收藏。已归档的收藏和非 http(s) 网址不会发布。',
+            summary: '将发布 {count} 个网址',
+            download: '下载页面',
+            fileName: '网址导航',
+            empty: '没有可发布的收藏',
+            done: '已生成目录页，共 {count} 个网址',
+            failed: '发布失败',
+            searchPlaceholder: '搜索名称、网址、标签或简介',
+            pageSummary: '共 {count} 个网址 · 更新于 {date}',
+            tagNav: '标签',
+            noResults: '没有匹配的网址'
+        },
+        settings: {
+            title: '设置',
+            hint: '修改后立即生效，也会随备份一起保存。',
+            pageSize: '每页数量',
+            pageSizeOption: '{count} 个',
+            infiniteScroll: '无限滚动：滚动到底部时自动加载下一批',
+            view: '视图',
+            viewGrid: '卡片',
+            viewList: '紧凑列表',
+            viewTable: '表格',
+            theme: '主题',
+            themeLight: '浅色',
+            themeDark: '深色',
+            themeAuto: '跟随系统',
+            defaultTags: '新收藏的默认标签',
+            defaultTagsHint: '多个标签用逗号分隔，添加网址和快捷添加时自动带上',
+            done: '完成',
+            loadMore: '加载更多（{shown}/{total}）',
+            failed: '保存设置失败'
+        },
+        table: {
+            name: '名称',
+            domain: '域名',
+            tags: '标签',
+            rating: '评分',
+            added: '添加时间',
+            sortTitle: '按此列排序'
+        },
+        exporter: {
+            sheet: '网站收藏',
+            tagSheet: '标签汇总',
+            tag: '标签',
+            tagCount: '收藏数',
+            tagLatest: '最近添加',
+            untagged: '（无标签）',
+            uncategorized: '未分类',
+            title: '网站收藏',
+            summary: '导出于 {date}，共 {count} 个网址',
+            archived: '（已归档）',
+            linkUnchecked: '未检查',
+            linkBroken: '失效 ({status})',
+            linkUnreachable: '无法访问',
+            linkRedirected: '已跳转',
+            linkOk: '正常'
+        },
+        columns: {
+            id: 'ID',
+            name: '网站名称',
+            url: '网址',
+            tags: '分类标签',
+            description: '简介',
+            rating: '评分',
+            createdAt: '创建日期',
+            updatedAt: '更新日期',
+            linkState: '链接状态',
+            visitCount: '访问次数',
+            lastVisitedAt: '最近访问',
+            archivedAt: '归档日期'
+        },
+        import: {
+            title: '导入预览',
+            mode: '导入方式',
+            merge: '合并：保留现有收藏，跳过已存在的网址',
+            replace: '替换：现有收藏移入回收站后完整恢复',
+            new: '新增',
+            duplicate: '重复',
+            invalidUrls: '无效网址',
+            invalid: '无效',
+            hint: '重复和无效的条目将被跳过；浏览器书签的文件夹名称会转换为分类标签',
+            confirm: '确认导入',
+            replaceAll: '替换全部',
+            issue: '{location}：{message}',
+            noBookmarks: '文件中没有找到书签',
+            unreadable: '无法读取导入文件',
+            done: '成功导入 {count} 个网址',
+            replaceLabel: '用备份替换为 {count} 个收藏',
+            failed: '导入失败'
+        },
+        importer: {
+            line: '第 {line} 行',
+            record: '第 {index} 条',
+            folderRecord: '文件夹第 {index} 条',
+            unsupportedLink: '不支持的链接类型',
+            unclosedQuote: '引号未闭合',
+            columnCount: '应有 {expected} 列，实际 {actual} 列',
+            badRecord: '记录格式错误',
+            badTags: '分类标签格式错误',
+            badFolder: '文件夹格式错误',
+            invalidId: 'ID 无效',
+            missingName: '缺少网站名称',
+            invalidUrl: '网址无效',
+            invalidCreatedAt: '创建日期无效',
+            invalidRating: '评分无效',
+            invalidArchivedAt: '归档日期无效'
+        }
+    },
+
+    en: {
+        app: {
+            title: 'Bookmark Manager',
+            name: 'Bookmarks',
+            language: 'Language',
+            loading: 'Loading...',
+            initFailed: 'Failed to start. Please reload the page',
+            shortcutHint: 'Press <kbd>?</kbd> for keyboard shortcuts, <kbd>Ctrl</kbd> + <kbd>K</kbd> for the command palette',
+            updateReady: 'A new version is ready',
+            updateReload: 'Reload',
+            updateLater: 'Later'
+        },
+        common: {
+            cancel: 'Cancel',
+            save: 'Save',
+            delete: 'Delete',
+            edit: 'Edit',
+            apply: 'Apply',
+            restore: 'Restore',
+            merge: 'Merge',
+            view: 'View',
+            none: 'None',
+            file: 'File: ',
+            noName: '(no name)',
+            quoted: '“{text}”',
+            listSeparator: ', ',
+            tagSeparator: ', ',
+            stars: { one: '{count} star', other: '{count} stars' },
+            loadFailed: 'Failed to load',
+            saveFailed: 'Failed to save',
+            deleteFailed: 'Failed to delete',
+            updateFailed: 'Failed to update'
+        },
+        header: {
+            searchPlaceholder: 'Search URLs, names, tags or notes, e.g. tag:tools site:github.com',
+            searchTitle: 'Fuzzy matching, pinyin and initials; name: url: site: tag: note: limit the field, "phrase", -exclude, OR, after:2025-01 before:2025-06-30 for dates, rating:>=4 for ratings, is:archived for archived bookmarks',
+            search: 'Search',
+            add: 'Add bookmark',
+            quickAdd: 'Quick add',
+            quickAddTitle: 'Get a bookmarklet that saves any page in one click',
+            duplicates: 'Find duplicates',
+            import: 'Import',
+            trash: 'Trash',
+            trashTitle: 'View and restore deleted bookmarks',
+            export: 'Export',
+            backup: 'Backup',
+            backupTitle: 'Back up all data and settings, optionally encrypted; restore a backup or roll back to an automatic snapshot',
+            publish: 'Publish',
+            publishTitle: 'Create a read-only directory page to share publicly',
+            settings: 'Settings',
+            settingsTitle: 'Page size, view, theme and default tags'
+        },
+        stats: {
+            total: 'Total',
+            shown: 'Showing',
+            folder: 'Folder',
+            linkIssues: 'Broken links',
+            linkIssuesTitle: 'Show only broken or redirected links',
+            frequent: 'Frequent',
+            frequentTitle: 'Frequent and recent: bookmarks you have opened, by number and time of visits',
+            archived: 'Archived',
+            archivedTitle: 'Archived bookmarks are left out of the other lists; search with is:archived to include them'
+        },
+        sort: {
+            title: 'Sort order',
+            newest: 'Newest first',
+            oldest: 'Oldest first',
+            name: 'Name',
+            domain: 'Domain',
+            visits: 'Most visited',
+            recent: 'Recently visited',
+            rating: 'Highest rated',
+            custom: 'Custom order',
+            customHint: 'Drag cards to reorder them',
+            failed: 'Failed to reorder'
+        },
+        search: {
+            errorTitle: 'Invalid search',
+            help: 'name: url: site: tag: note: limit the field, "phrase", -exclude, OR, after:2025-01 before:2025-06-30 for dates, rating:>=4 for ratings, is:archived for archived bookmarks',
+            emptyTitle: 'No bookmarks yet',
+            emptyHint: 'Click “Add bookmark” to save your favourite sites'
+        },
+        query: {
+            orNeedsTerms: '“OR” needs a search term on both sides',
+            unclosedQuote: 'Unclosed quote',
+            missingTerm: '“{raw}” needs a search term',
+            invalidIs: '“{raw}” is not supported; only is:archived is',
+            invalidRating: 'Invalid rating “{value}”; use 0–5, e.g. rating:>=4',
+            invalidDate: 'Invalid date “{value}”; use YYYY, YYYY-MM or YYYY-MM-DD',
+            invalidRange: 'Invalid date range: after must come before before'
+        },
+        selection: {
+            start: 'Select',
+            exit: 'Done',
+            summary: '{count} selected',
+            selectAll: 'Select all results',
+            selectAllTitle: 'Select every result of the current search and filters',
+            clear: 'Clear selection',
+            editTags: 'Edit tags',
+            exportMore: 'Export...',
+            exportJson: 'Export JSON',
+            checkboxTitle: 'Select (Shift-click to select a range)',
+            deleteConfirm: {
+                one: 'Delete the selected bookmark? You can restore it from the trash.',
+                other: 'Delete the {count} selected bookmarks? You can restore them from the trash.'
+            },
+            failed: 'Failed to select'
+        },
+        card: {
+            filterTag: 'Filter by this tag',
+            notesTitle: 'View details',
+            archivedBadge: 'Archived',
+            pin: 'Pin',
+            unpin: 'Unpin',
+            archive: 'Archive',
+            unarchive: 'Unarchive',
+            detail: 'Details',
+            visitsOff: 'Visits are not counted',
+            lastVisit: 'Last visited: {date}',
+            visits: { one: '{count} visit', other: '{count} visits' }
+        },
+        bookmark: {
+            notFound: 'Bookmark not found',
+            added: 'Bookmark added',
+            updated: 'Bookmark updated',
+            addLabel: 'Add “{name}”',
+            editLabel: 'Edit “{name}”',
+            deleteTitle: 'Confirm deletion',
+            deleteConfirm: 'Delete this bookmark? You can restore it from the trash.',
+            deleted: 'Bookmark deleted',
+            bulkDeleted: { one: 'Deleted {count} bookmark', other: 'Deleted {count} bookmarks' },
+            deleteLabel: { one: 'Delete {count} bookmark', other: 'Delete {count} bookmarks' },
+            pinned: 'Pinned',
+            unpinned: 'Unpinned',
+            pinLabel: 'Pin “{name}”',
+            unpinLabel: 'Unpin “{name}”',
+            pinFailed: 'Failed to pin',
+            archived: 'Archived',
+            unarchived: 'Unarchived',
+            archiveLabel: 'Archive “{name}”',
+            unarchiveLabel: 'Unarchive “{name}”',
+            bulkArchived: { one: 'Archived {count} bookmark', other: 'Archived {count} bookmarks' },
+            bulkUnarchived: { one: 'Unarchived {count} bookmark', other: 'Unarchived {count} bookmarks' },
+            bulkArchiveLabel: { one: 'Archive {count} bookmark', other: 'Archive {count} bookmarks' },
+            bulkUnarchiveLabel: { one: 'Unarchive {count} bookmark', other: 'Unarchive {count} bookmarks' },
+            archiveFailed: 'Failed to archive',
+            moved: { one: 'Moved {count} bookmark to “{folder}”', other: 'Moved {count} bookmarks to “{folder}”' },
+            movedOut: { one: 'Moved {count} bookmark out of its folder', other: 'Moved {count} bookmarks out of their folders' },
+            moveLabel: { one: 'Move {count} bookmark', other: 'Move {count} bookmarks' },
+            moveFailed: 'Failed to move'
+        },
+        form: {
+            addTitle: 'Add bookmark',
+            editTitle: 'Edit bookmark',
+            url: 'URL',
+            fetch: 'Fetch info',
+            fetchTitle: 'Read the title, description and icon from the page',
+            name: 'Name',
+            namePlaceholder: 'Leave empty to use the page title',
+            notes: 'Description and notes',
+            notesPlaceholder: 'What the site is, or why you saved it (optional)',
+            markdownHint: 'Markdown works: **bold**, *italic*, `code`, - lists, > quotes, [links](https://…)',
+            rating: 'Rating',
+            noRating: 'No rating',
+            tags: 'Tags',
+            tagsPlaceholder: 'Separate tags with commas, e.g. tools, design, dev',
+            tagsHint: 'Separate tags with commas, spaces or semicolons',
+            folder: 'Folder',
+            noFolder: 'No folder',
+            trackVisits: 'Count visits',
+            trackVisitsHint: 'When off, opening the link is not recorded and existing visits are cleared',
+            archived: 'Archived',
+            archivedHint: 'Archived bookmarks only show under “Archived”, or in searches with is:archived',
+            createdAt: 'Added',
+            required: 'Please fill in the required fields',
+            invalidUrl: 'Please enter an http or https URL',
+            duplicate: 'This URL is already saved as {names}',
+            fetching: 'Fetching page info...',
+            metadataNotFound: 'No page info found',
+            metadataFailed: 'Could not fetch page info; please fill it in yourself'
+        },
+        detail: {
+            title: 'Details',
+            rating: 'Rating',
+            tags: 'Tags',
+            folder: 'Folder',
+            createdAt: 'Added',
+            updatedAt: 'Updated',
+            visits: 'Visits',
+            archivedAt: 'Archived',
+            noRating: 'Not rated',
+            noNotes: 'No notes',
+            visitSummary: { one: '{count} time, last on {date}', other: '{count} times, last on {date}' },
+            notVisited: 'Never visited'
+        },
+        palette: {
+            label: 'Command palette',
+            placeholder: 'Search bookmarks or actions…',
+            footer: '<kbd>↑</kbd> <kbd>↓</kbd> select · <kbd>Enter</kbd> open · <kbd>Shift</kbd> + <kbd>Enter</kbd> details · <kbd>Esc</kbd> close',
+            empty: 'No matching bookmarks or actions',
+            action: 'Action',
+            bookmark: 'Bookmark',
+            quickAdd: 'Quick add links and the bookmarklet'
+        },
+        shortcuts: {
+            title: 'Keyboard shortcuts',
+            search: 'Search',
+            palette: 'Command palette: jump to a bookmark or run an action',
+            arrows: '<kbd>j</kbd> <kbd>k</kbd> / arrow keys',
+            move: 'Move between cards (arrow keys once a card is selected)',
+            open: 'Open the selected URL',
+            edit: 'Edit the selected bookmark',
+            delete: 'Delete the selected bookmark',
+            add: 'Add bookmark',
+            pages: 'Next / previous page once scrolled to the end',
+            undoRedo: 'Undo / redo',
+            help: 'Show this help',
+            close: 'Close the dialog'
+        },
+        undo: {
+            undo: 'Undo',
+            redo: 'Redo',
+            undone: 'Undone: {label}',
+            redone: 'Redone: {label}',
+            undoFailed: 'Failed to undo',
+            redoFailed: 'Failed to redo'
+        },
+        tags: {
+            title: 'Tags',
+            modeAll: 'All',
+            modeAllTitle: 'Bookmarks with every selected tag',
+            modeAny: 'Any',
+            modeAnyTitle: 'Bookmarks with any selected tag',
+            clearFilter: 'Clear filter',
+            mergeSelected: 'Merge selected',
+            empty: 'No tags yet',
+            rename: 'Rename',
+            renameTitle: 'Rename tag',
+            mergeTitle: 'Merge tags',
+            sources: 'Tags',
+            newName: 'New name',
+            mergeHint: 'Tags with the same name as an existing tag are merged into it',
+            nameRequired: 'Please enter a tag name',
+            invalidName: 'Tag names cannot contain spaces, commas or semicolons',
+            updated: { one: 'Updated the tags of {count} bookmark', other: 'Updated the tags of {count} bookmarks' },
+            failed: 'Failed to update tags'
+        },
+        bulkTag: {
+            title: { one: 'Edit tags of {count} bookmark', other: 'Edit tags of {count} bookmarks' },
+            add: 'Add tags',
+            remove: 'Remove tags',
+            tags: 'Tags',
+            placeholder: 'Separate tags with commas',
+            existing: 'Tags on the selected bookmarks',
+            noTags: 'The selected bookmarks have no tags'
+        },
+        folders: {
+            title: 'Folders',
+            all: 'All bookmarks',
+            add: 'New folder',
+            edit: 'Edit folder',
+            expand: 'Expand',
+            collapse: 'Collapse',
+            editTitle: 'Rename or move',
+            deleteTitle: 'Delete folder',
+            name: 'Name',
+            parent: 'Parent folder',
+            parentHint: 'Moving a folder moves its subfolders and bookmarks with it',
+            topLevel: 'None (top level)',
+            nameRequired: 'Please enter a folder name',
+            nameTaken: 'A folder with this name already exists here',
+            created: 'Folder created',
+            updated: 'Folder updated',
+            saveFailed: 'Failed to save the folder',
+            deleteConfirm: 'Delete the folder “{name}”? If you keep its contents, its subfolders and bookmarks move to {target}.',
+            deleteTarget: '“{name}”',
+            deleteTargetTop: 'the top level',
+            keepContents: 'Keep the contents and move them up one level',
+            deleteContents: 'Delete it with its subfolders and move the bookmarks to the trash',
+            deleted: 'Folder deleted',
+            deletedTrashed: {
+                one: 'Folder deleted; {count} bookmark moved to the trash',
+                other: 'Folder deleted; {count} bookmarks moved to the trash'
+            },
+            deletedMoved: {
+                one: 'Folder deleted; {count} bookmark moved up one level',
+                other: 'Folder deleted; {count} bookmarks moved up one level'
+            },
+            deleteLabel: 'Delete folder “{name}”',
+            deleteFailed: 'Failed to delete the folder'
+        },
+        linkCheck: {
+            start: 'Check links',
+            pause: 'Pause check',
+            resume: 'Resume check',
+            starting: 'Checking...',
+            progress: 'Checking {checked} / {total}',
+            checked: '{count} checked',
+            done: 'Link check finished: {checked} checked, {flagged} with problems',
+            unavailable: 'The link check service is unavailable; checking paused',
+            notConfigured: 'No link check service is configured',
+            summary: '{broken} broken, {redirected} redirected',
+            applyRedirects: 'Update to redirected URLs',
+            deleteBroken: 'Delete broken links',
+            deleteBrokenConfirm: {
+                one: 'Delete {count} broken link? You can restore it from the trash.',
+                other: 'Delete {count} broken links? You can restore them from the trash.'
+            },
+            urlsUpdated: { one: 'Updated {count} URL', other: 'Updated {count} URLs' },
+            broken: 'Broken {status}',
+            unreachable: 'Unreachable',
+            redirected: 'Redirected',
+            redirectedTo: 'Redirects to {url}'
+        },
+        quickAdd: {
+            title: 'Quick add',
+            intro: 'Drag the button below to your browser’s bookmarks bar, then click it on any page to save that page.',
+            tags: 'Default tags',
+            tagsPlaceholder: 'e.g. read-later',
+            modeForm: 'Open the add dialog and save after confirming',
+            modeSave: 'Save straight away without a dialog (only from a bookmarklet made on this device)',
+            bookmarklet: 'Save to Bookmarks',
+            bookmarkletTitle: 'Drag to the bookmarks bar',
+            code: 'Bookmarklet code',
+            codeHint: 'If dragging does not work, create a bookmark and paste this code as its URL. Once installed to a phone’s home screen, other apps can also “share” links here.',
+            dragHint: 'Drag the button to your bookmarks bar',
+            webOnly: 'Only http and https URLs can be saved',
+            exists: 'This URL is already saved as “{name}”',
+            confirmNeeded: 'This link didn’t come from this device’s bookmarklet; check it before saving',
+            added: 'Added “{name}”',
+            failed: 'Failed to add'
+        },
+        trash: {
+            title: 'Trash',
+            retentionBefore: 'Keep deleted bookmarks for',
+            retentionAfter: 'then clear them automatically',
+            days: { one: '{count} day', other: '{count} days' },
+            empty: 'The trash is empty',
+            deletedAt: {
+                one: 'Deleted {date}, cleared in {count} day',
+                other: 'Deleted {date}, cleared in {count} days'
+            },
+            purge: 'Delete forever',
+            emptyTrash: 'Empty trash',
+            confirmEmpty: 'Click again to empty the trash',
+            restoreAll: 'Restore all',
+            loadFailed: 'Failed to load the trash',
+            restored: { one: 'Restored {count} bookmark', other: 'Restored {count} bookmarks' },
+            restoreFailed: 'Failed to restore',
+            emptied: 'Trash emptied'
+        },
+        duplicates: {
+            title: 'Find duplicates',
+            hint: 'Pick the record to keep: merging keeps its name and URL, combines all tags and uses the earliest date added',
+            mergeAll: 'Merge all',
+            none: 'No duplicate URLs found',
+            groupCount: '{count} duplicates',
+            failed: 'Failed to find duplicates',
+            merged: 'Merged {count} bookmarks',
+            mergeLabel: 'Merge {count} bookmarks',
+            mergedGroups: { one: 'Merged {count} group of duplicates', other: 'Merged {count} groups of duplicates' },
+            mergeGroupsLabel: { one: 'Merge {count} group of duplicates', other: 'Merge {count} groups of duplicates' },
+            mergeFailed: 'Failed to merge'
+        },
+        backup: {
+            title: 'Backup and restore',
+            create: 'Create a backup',
+            createHint: 'A backup holds all bookmarks, folders, the trash and settings, and can be restored on any device.',
+            passphrase: 'Passphrase (optional)',
+            passphraseConfirm: 'Repeat the passphrase',
+            encryptHint: 'With a passphrase the backup is encrypted with AES-GCM; it cannot be restored without it.',
+            download: 'Download backup',
+            restore: 'Restore a backup',
+            choose: 'Choose a backup file...',
+            snapshots: 'Automatic snapshots',
+            createSnapshot: 'Create now',
+            snapshotHint: 'Saved on this device the first time the app opens each day; the last 7 are kept. A rollback can be undone.',
+            fileName: 'bookmarks-backup',
+            encryptedSuffix: 'encrypted',
+            passphraseMismatch: 'The passphrases do not match',
+            downloadedEncrypted: 'Encrypted backup downloaded; keep the passphrase safe',
+            downloaded: 'Backup downloaded',
+            failed: 'Failed to back up',
+            noSnapshots: 'No snapshots yet',
+            snapshotSummary: 'Bookmarks: {bookmarks} · folders: {folders}',
+            rollback: 'Roll back',
+            snapshotsFailed: 'Failed to load snapshots',
+            snapshotCreated: 'Snapshot created',
+            snapshotFailed: 'Failed to create the snapshot',
+            rolledBack: 'Rolled back to the snapshot from {date}',
+            rollbackLabel: 'Roll back to {date}',
+            rollbackFailed: 'Failed to roll back',
+            unreadable: 'Could not read the backup file',
+            decryptFailed: 'Failed to decrypt',
+            notJson: 'The file is not valid JSON',
+            notBackup: 'This is not a backup of this app',
+            newerVersion: 'The backup comes from a newer version of the app; please update first',
+            wrongPassphrase: 'Wrong passphrase or damaged file',
+            incomplete: 'The backup is incomplete',
+            badSettings: 'The settings in the backup are malformed',
+            unknownStore: 'The backup holds unknown data “{name}”',
+            badStore: 'The “{name}” data in the backup is malformed',
+            badBookmarks: 'The backup holds malformed bookmarks'
+        },
+        restore: {
+            title: 'Restore backup',
+            encrypted: 'This backup is encrypted; enter its passphrase',
+            decrypt: 'Decrypt',
+            added: 'Added',
+            removed: 'Removed',
+            changed: 'Changed',
+            unchanged: 'Unchanged',
+            hint: 'Restoring replaces all current bookmarks, folders, the trash and settings with the backup; it can be undone',
+            info: { one: 'Backed up {date}, {count} bookmark', other: 'Backed up {date}, {count} bookmarks' },
+            folders: 'Folders',
+            trash: 'Trash',
+            storeChange: '{before} → {after} records',
+            settings: 'Settings',
+            settingsChange: { one: '{count} setting will be replaced', other: '{count} settings will be replaced' },
+            done: 'Restored from the backup',
+            label: 'Restore backup',
+            failed: 'Failed to restore'
+        },
+        sync: {
+            title: 'Device sync',
+            type: 'Sync with',
+            off: 'Off',
+            rest: 'REST API',
+            url: 'Address',
+            urlHint: 'Use the same address on every device. The server must support GET/PUT with ETag (If-Match), and expose the ETag header for cross-origin requests.',
+            token: 'Access token',
+            tokenPlaceholder: 'Optional, sent as a Bearer token',
+            username: 'Username',
+            password: 'Password',
+            credentialsHint: 'Credentials are only stored in this browser; an app-specific password is recommended.',
+            conflicts: 'Conflicts',
+            clearConflicts: 'Clear list',
+            submit: 'Save and sync',
+            invalidUrl: 'Please enter an http or https address',
+            status: 'Sync',
+            statusTitle: 'Sync bookmarks between devices',
+            syncing: 'Syncing...',
+            offline: 'Offline',
+            offlineTitle: 'Syncs again once online',
+            failed: 'Sync failed',
+            failedTitle: 'Sync failed: {error}',
+            conflictCount: { one: '{count} conflict', other: '{count} conflicts' },
+            conflictTitle: 'Click to review sync conflicts',
+            synced: 'Synced {time}',
+            conflictToast: {
+                one: '{count} bookmark was changed on both ends during sync; the newer version was kept',
+                other: '{count} bookmarks were changed on both ends during sync; the newer versions were kept'
+            },
+            done: 'Sync finished: {pushed} uploaded, {pulled} downloaded',
+            lastFailed: 'Last sync failed: {error}',
+            last: 'Last sync: {date}, {pushed} uploaded, {pulled} downloaded',
+            keptLocal: 'kept the change from this device',
+            keptRemote: 'kept the change from the other device',
+            keptLocalDelete: 'kept the deletion from this device',
+            trashedRemoteDelete: 'moved to the trash as deleted on the other device',
+            conflict: '{date}: changed on both ends, {outcome}'
+        },
+        export: {
+            title: 'Export',
+            format: 'Format',
+            xlsx: 'Excel workbook (.xlsx)',
+            csv: 'CSV (the default columns can be imported back)',
+            markdown: 'Markdown directory (.md)',
+            html: 'Browser bookmarks (.html)',
+            scope: 'Range',
+            all: 'All bookmarks',
+            results: 'Current search and filter results',
+            resultsCount: 'Current search and filter results ({count})',
+            selection: 'Selected bookmarks',
+            selectionCount: 'Selected bookmarks ({count})',
+            sort: 'Sort',
+            columns: 'Columns',
+            tagSheet: 'Add a “Tag summary” sheet',
+            fileName: 'bookmarks',
+            noColumns: 'Please choose at least one column',
+            empty: 'Nothing to export',
+            done: { one: 'Exported {count} bookmark', other: 'Exported {count} bookmarks' },
+            doneJson: 'Export finished',
+            failed: 'Failed to export'
+        },
+        publish: {
+            title: 'Publish directory page',
+            intro: 'Turns your bookmarks into a standalone static page, grouped by tag and searchable, with no editing controls. Upload the downloaded file to any web host.',
+            pageTitle: 'Page title',
+            defaultTitle: 'Bookmarks',
+            tags: 'Only these tags',
+            tagsHint: 'Leave empty to publish everything. Archived bookmarks and non-http(s) addresses are never published.',
+            summary: { one: '{count} bookmark will be published', other: '{count} bookmarks will be published' },
+            download: 'Download page',
+            fileName: 'bookmarks-directory',
+            empty: 'Nothing to publish',
+            done: { one: 'Published a page with {count} bookmark', other: 'Published a page with {count} bookmarks' },
+            failed: 'Publishing failed',
+            searchPlaceholder: 'Search names, addresses, tags or notes',
+            pageSummary: { one: '{count} bookmark · updated {date}', other: '{count} bookmarks · updated {date}' },
+            tagNav: 'Tags',
+            noResults: 'No matching bookmarks'
+        },
+        settings: {
+            title: 'Settings',
+            hint: 'Changes apply right away and are saved with your backups.',
+            pageSize: 'Page size',
+            pageSizeOption: '{count} per page',
+            infiniteScroll: 'Infinite scroll: load the next batch on reaching the bottom',
+            view: 'View',
+            viewGrid: 'Cards',
+            viewList: 'Compact list',
+            viewTable: 'Table',
+            theme: 'Theme',
+            themeLight: 'Light',
+            themeDark: 'Dark',
+            themeAuto: 'Match system',
+            defaultTags: 'Default tags for new bookmarks',
+            defaultTagsHint: 'Separate tags with commas; added to bookmarks from the form and from quick add',
+            done: 'Done',
+            loadMore: 'Load more ({shown} of {total})',
+            failed: 'Failed to save the settings'
+        },
+        table: {
+            name: 'Name',
+            domain: 'Domain',
+            tags: 'Tags',
+            rating: 'Rating',
+            added: 'Added',
+            sortTitle: 'Sort by this column'
+        },
+        exporter: {
+            sheet: 'Bookmarks',
+            tagSheet: 'Tag summary',
+            tag: 'Tag',
+            tagCount: 'Bookmarks',
+            tagLatest: 'Last added',
+            untagged: '(untagged)',
+            uncategorized: 'Uncategorized',
+            title: 'Bookmarks',
+            summary: { one: 'Exported {date}, {count} bookmark', other: 'Exported {date}, {count} bookmarks' },
+            archived: '(archived)',
+            linkUnchecked: 'Not checked',
+            linkBroken: 'Broken ({status})',
+            linkUnreachable: 'Unreachable',
+            linkRedirected: 'Redirected',
+            linkOk: 'OK'
+        },
+        columns: {
+            id: 'ID',
+            name: 'Name',
+            url: 'URL',
+            tags: 'Tags',
+            description: 'Notes',
+            rating: 'Rating',
+            createdAt: 'Created',
+            updatedAt: 'Updated',
+            linkState: 'Link status',
+            visitCount: 'Visits',
+            lastVisitedAt: 'Last visited',
+            archivedAt: 'Archived'
+        },
+        import: {
+            title: 'Import preview',
+            mode: 'Import mode',
+            merge: 'Merge: keep current bookmarks and skip URLs already saved',
+            replace: 'Replace: move current bookmarks to the trash, then restore everything',
+            new: 'New',
+            duplicate: 'Duplicate',
+            invalidUrls: 'Invalid',
+            invalid: 'Invalid',
+            hint: 'Duplicate and invalid entries are skipped; browser bookmark folders become tags',
+            confirm: 'Import',
+            replaceAll: 'Replace all',
+            issue: '{location}: {message}',
+            noBookmarks: 'No bookmarks found in the file',
+            unreadable: 'Could not read the import file',
+            done: { one: 'Imported {count} bookmark', other: 'Imported {count} bookmarks' },
+            replaceLabel: { one: 'Replace with {count} bookmark from a backup', other: 'Replace with {count} bookmarks from a backup' },
+            failed: 'Failed to import'
+        },
+        importer: {
+            line: 'Line {line}',
+            record: 'Record {index}',
+            folderRecord: 'Folder {index}',
+            unsupportedLink: 'Unsupported link type',
+            unclosedQuote: 'Unclosed quote',
+            columnCount: 'Expected {expected} columns, found {actual}',
+            badRecord: 'Malformed record',
+            badTags: 'Malformed tags',
+            badFolder: 'Malformed folder',
+            invalidId: 'Invalid ID',
+            missingName: 'Missing name',
+            invalidUrl: 'Invalid URL',
+            invalidCreatedAt: 'Invalid creation date',
+            invalidRating: 'Invalid rating',
+            invalidArchivedAt: 'Invalid archive date'
+        }
+    }
+};
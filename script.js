@@ -1,10 +1,169 @@
 // ==================== IndexedDB Database Manager ====================
+// Query parameters that only track where a click came from and never change the page
+const TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+    '_hsenc', '_hsmi', 'spm', 'share_source', 'share_medium', 'vd_source'
+];
+
+// Link checks kept in each bookmark's linkHistory
+const LINK_HISTORY_LIMIT = 10;
+
+// Visit times kept in each bookmark's visits, sampled for the frecency score
+const VISIT_HISTORY_LIMIT = 10;
+
+// Frecency weight of a visit by age in days: recent visits count for more
+const VISIT_AGE_WEIGHTS = [
+    { days: 4, weight: 100 },
+    { days: 14, weight: 70 },
+    { days: 31, weight: 50 },
+    { days: 90, weight: 30 },
+    { days: Infinity, weight: 10 }
+];
+
+// Bookmark fields that sync between devices; folders, the custom order, visits and link checks
+// stay on the device that made them
+const SYNC_FIELDS = ['name', 'url', 'tags', 'description', 'favicon', 'rating', 'createdAt', 'updatedAt', 'pinnedAt', 'archivedAt'];
+
+// ==================== Schema Migrations ====================
+// MIGRATIONS[i] upgrades the database from version i to i + 1 inside onupgradeneeded, so the
+// schema version is MIGRATIONS.length. Append new steps; never change ones that have shipped
+const MIGRATIONS = [
+    // 1: bookmarks store with its original indexes
+    (db, transaction, bookmarkDB) => {
+        if (db.objectStoreNames.contains(bookmarkDB.storeName)) return;
+
+        const objectStore = db.createObjectStore(bookmarkDB.storeName, {
+            keyPath: 'id',
+            autoIncrement: true
+        });
+
+        objectStore.createIndex('name', 'name', { unique: false });
+        objectStore.createIndex('url', 'url', { unique: false });
+        objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+    },
+
+    // 2: ISO 8601 createdAt instead of the locale "YYYY-MM-DD HH:mm" string, which browsers
+    //    parse inconsistently; new updatedAt and normalizedUrl fields, both indexed
+    (db, transaction, bookmarkDB) => {
+        const objectStore = transaction.objectStore(bookmarkDB.storeName);
+
+        objectStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+        objectStore.createIndex('normalizedUrl', 'normalizedUrl', { unique: false });
+
+        objectStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            cursor.update(bookmarkDB.normalizeRecord(cursor.value));
+            cursor.continue();
+        };
+    },
+
+    // 3: index the link checker's verdict so broken links can be filtered without a scan
+    (db, transaction, bookmarkDB) => {
+        transaction.objectStore(bookmarkDB.storeName).createIndex('linkState', 'linkState', { unique: false });
+    },
+
+    // 4: trash store for deleted bookmarks; entries are { trashId, deletedAt, bookmark }
+    (db, transaction, bookmarkDB) => {
+        const trashStore = db.createObjectStore(bookmarkDB.trashStoreName, {
+            keyPath: 'trashId',
+            autoIncrement: true
+        });
+
+        trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+    },
+
+    // 5: folders store for nested collections ({ id, name, parentId, createdAt, updatedAt });
+    //    bookmarks point at theirs through an indexed folderId, absent when unfiled
+    (db, transaction, bookmarkDB) => {
+        const folderStore = db.createObjectStore(bookmarkDB.folderStoreName, {
+            keyPath: 'id',
+            autoIncrement: true
+        });
+
+        folderStore.createIndex('parentId', 'parentId', { unique: false });
+        transaction.objectStore(bookmarkDB.storeName).createIndex('folderId', 'folderId', { unique: false });
+    },
+
+    // 6: position for the custom drag order (ascending) and pinnedAt, set while a bookmark is
+    //    置顶; existing records get positions that reproduce the newest-first list
+    (db, transaction, bookmarkDB) => {
+        const objectStore = transaction.objectStore(bookmarkDB.storeName);
+
+        objectStore.createIndex('position', 'position', { unique: false });
+        objectStore.createIndex('pinnedAt', 'pinnedAt', { unique: false });
+
+        objectStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            cursor.update(bookmarkDB.normalizeRecord(cursor.value));
+            cursor.continue();
+        };
+    },
+
+    // 7: index lastVisitedAt, which only visited bookmarks have, for the 常用 view
+    (db, transaction, bookmarkDB) => {
+        transaction.objectStore(bookmarkDB.storeName).createIndex('lastVisitedAt', 'lastVisitedAt', { unique: false });
+    },
+
+    // 8: syncId, a random key naming a bookmark on every device, indexed; and the syncBase store
+    //    of { syncId, rev, hash } as of the last sync, which both sides are compared against
+    (db, transaction, bookmarkDB) => {
+        const objectStore = transaction.objectStore(bookmarkDB.storeName);
+
+        objectStore.createIndex('syncId', 'syncId', { unique: false });
+        db.createObjectStore(bookmarkDB.syncBaseStoreName, { keyPath: 'syncId' });
+
+        objectStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            cursor.update(bookmarkDB.normalizeRecord(cursor.value));
+            cursor.continue();
+        };
+    },
+
+    // 9: snapshots store of rolling local backups ({ id, createdAt, backup })
+    (db, transaction, bookmarkDB) => {
+        const snapshotStore = db.createObjectStore(bookmarkDB.snapshotStoreName, {
+            keyPath: 'id',
+            autoIncrement: true
+        });
+
+        snapshotStore.createIndex('createdAt', 'createdAt', { unique: false });
+    },
+
+    // 10: index archivedAt, set while a bookmark is archived, so the main list can leave those out
+    (db, transaction, bookmarkDB) => {
+        transaction.objectStore(bookmarkDB.storeName).createIndex('archivedAt', 'archivedAt', { unique: false });
+    },
+
+    // 11: settings store of display preferences as { key, value }, such as the page size and theme
+    (db, transaction, bookmarkDB) => {
+        db.createObjectStore(bookmarkDB.settingsStoreName, { keyPath: 'key' });
+    }
+];
+
 class BookmarkDB {
-    constructor() {
-        this.dbName = 'BookmarkManager';
-        this.version = 1;
+    constructor(dbName = 'BookmarkManager') {
+        this.dbName = dbName;
+        this.version = MIGRATIONS.length;
         this.storeName = 'bookmarks';
+        this.trashStoreName = 'trash';
+        this.folderStoreName = 'folders';
+        this.syncBaseStoreName = 'syncBase';
+        this.snapshotStoreName = 'snapshots';
+        this.settingsStoreName = 'settings';
+        // Stores describing this device rather than the collection, left out of backups
+        this.localStoreNames = [this.syncBaseStoreName, this.snapshotStoreName];
         this.db = null;
+        // Tag counts as of the last walk of the tags index, dropped by any write to the bookmarks;
+        // the version tells a walk that overlapped a write not to keep what it counted
+        this.tagCounts = null;
+        this.tagCountsVersion = 0;
     }
 
     async init() {
@@ -14,58 +173,163 @@ class BookmarkDB {
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
                 this.db = request.result;
+                // Don't block a newer version of the app opened in another tab from upgrading
+                this.db.onversionchange = () => this.db.close();
                 resolve(this.db);
             };
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for other tabs to close');
+            };
 
+            // A failing migration throws, which aborts the upgrade and rejects through onerror
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
 
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const objectStore = db.createObjectStore(this.storeName, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-
-                    objectStore.createIndex('name', 'name', { unique: false });
-                    objectStore.createIndex('url', 'url', { unique: false });
-                    objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                for (let version = event.oldVersion; version < event.newVersion; version++) {
+                    MIGRATIONS[version](db, transaction, this);
                 }
             };
         });
     }
 
+    // Every read-write transaction starts here, so one touching the bookmarks drops the cached tag counts
+    writeTransaction(storeNames) {
+        if (storeNames.includes(this.storeName)) {
+            this.tagCounts = null;
+            this.tagCountsVersion++;
+        }
+        return this.db.transaction(storeNames, 'readwrite');
+    }
+
     async add(bookmark) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.writeTransaction([this.storeName]);
             const objectStore = transaction.objectStore(this.storeName);
 
-            // Format date as: 年-月-日 时:分
-            const now = new Date();
-            const year = now.getFullYear();
-            const month = String(now.getMonth() + 1).padStart(2, '0');
-            const day = String(now.getDate()).padStart(2, '0');
-            const hours = String(now.getHours()).padStart(2, '0');
-            const minutes = String(now.getMinutes()).padStart(2, '0');
-            const formattedDate = `${year}-${month}-${day} ${hours}:${minutes}`;
-
-            const bookmarkData = {
-                name: bookmark.name,
-                url: bookmark.url,
-                tags: bookmark.tags || [],
-                createdAt: formattedDate
-            };
-
-            const request = objectStore.add(bookmarkData);
+            const request = objectStore.add(this.createRecord(bookmark));
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
+    async bulkAdd(bookmarks) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+
+            bookmarks.forEach(bookmark => objectStore.add(this.createRecord(bookmark)));
+
+            // Resolve only once every record is committed; any failure aborts the whole batch
+            transaction.oncomplete = () => resolve(bookmarks.length);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    createRecord(bookmark) {
+        const record = {
+            name: bookmark.name,
+            url: bookmark.url,
+            tags: bookmark.tags || [],
+            description: bookmark.description || '',
+            favicon: bookmark.favicon || '',
+            createdAt: bookmark.createdAt || new Date(),
+            updatedAt: new Date()
+        };
+        if (bookmark.folderId) record.folderId = bookmark.folderId;
+        if (bookmark.trackVisits === false) record.trackVisits = false;
+        this.setRating(record, bookmark.rating);
+        // Imports bring their own archive date, the form just a flag
+        if (bookmark.archivedAt || bookmark.archived) {
+            record.archivedAt = this.toTimestamp(bookmark.archivedAt) || new Date().toISOString();
+        }
+
+        return this.normalizeRecord(record);
+    }
+
+    // Bring a record to the current schema: ISO timestamps, a normalizedUrl, a position and a
+    // syncId. Used by the migrations and for records restored from older backups
+    normalizeRecord(record) {
+        const createdAt = this.toTimestamp(record.createdAt) || new Date().toISOString();
+
+        return {
+            ...record,
+            tags: record.tags || [],
+            createdAt,
+            updatedAt: this.toTimestamp(record.updatedAt) || createdAt,
+            normalizedUrl: this.normalizeUrl(record.url),
+            // Until it is dragged somewhere, a bookmark sits in the custom order by age, newest first
+            position: Number.isFinite(record.position) ? record.position : -Date.parse(createdAt),
+            syncId: record.syncId || this.createSyncId()
+        };
+    }
+
+    // Random UUID; crypto.randomUUID is missing outside secure contexts such as plain http
+    createSyncId() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ISO 8601 string from a Date, epoch milliseconds, an ISO string or the legacy local
+    // "YYYY-MM-DD HH:mm" format; null when the value isn't a valid date
+    toTimestamp(value) {
+        const legacy = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/);
+        let date = null;
+
+        if (legacy) {
+            date = new Date(legacy[1], legacy[2] - 1, legacy[3], legacy[4], legacy[5]);
+        } else if (value instanceof Date || typeof value === 'number' || typeof value === 'string') {
+            date = new Date(value);
+        }
+
+        return date && !isNaN(date) ? date.toISOString() : null;
+    }
+
+    isWebUrl(url) {
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+
+    // A complete ISO 8601 timestamp, as toTimestamp writes them
+    isIsoDate(value) {
+        return typeof value === 'string' &&
+            /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+            !isNaN(Date.parse(value));
+    }
+
+    // What a bookmark arriving from elsewhere, through a sync or a backup, must look like: a
+    // name, an http(s) URL, tags as strings, a data:image favicon if any and ISO dates
+    isValidRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return false;
+        if (typeof record.name !== 'string' || !this.isWebUrl(record.url)) return false;
+        if (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string')) return false;
+        if (record.favicon && !(typeof record.favicon === 'string' && /^data:image\//.test(record.favicon))) return false;
+        if (record.description !== undefined && typeof record.description !== 'string') return false;
+        if (record.rating !== undefined && !(Number.isInteger(record.rating) && record.rating >= 1 && record.rating <= 5)) return false;
+        if (!this.isIsoDate(record.createdAt) || !this.isIsoDate(record.updatedAt)) return false;
+        return ['pinnedAt', 'archivedAt', 'lastVisitedAt'].every(field => record[field] === undefined || this.isIsoDate(record[field]));
+    }
+
+    // Format date as: 年-月-日 时:分
+    formatDateTime(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        return `${year}-${month}-${day} ${hours}:${minutes}`;
+    }
+
     async update(id, bookmark) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.writeTransaction([this.storeName]);
             const objectStore = transaction.objectStore(this.storeName);
 
             const getRequest = objectStore.get(id);
@@ -73,9 +337,22 @@ class BookmarkDB {
             getRequest.onsuccess = () => {
                 const data = getRequest.result;
                 if (data) {
+                    // A new address invalidates the last link check
+                    if (data.url !== bookmark.url) {
+                        delete data.linkState;
+                        delete data.linkCheck;
+                    }
                     data.name = bookmark.name;
                     data.url = bookmark.url;
                     data.tags = bookmark.tags || [];
+                    data.description = bookmark.description || '';
+                    data.favicon = bookmark.favicon || '';
+                    this.setFolderId(data, bookmark.folderId);
+                    this.setTrackVisits(data, bookmark.trackVisits !== false);
+                    this.setRating(data, bookmark.rating);
+                    this.setArchivedAt(data, bookmark.archived);
+                    data.normalizedUrl = this.normalizeUrl(bookmark.url);
+                    data.updatedAt = new Date().toISOString();
 
                     const updateRequest = objectStore.put(data);
                     updateRequest.onsuccess = () => resolve(updateRequest.result);
@@ -89,17 +366,159 @@ class BookmarkDB {
         });
     }
 
+    // Move a bookmark to the trash; resolves to its trash key
     async delete(id) {
+        const [trashId] = await this.bulkDelete([id]);
+        return trashId;
+    }
+
+    // Move bookmarks to the trash in one transaction; resolves to the trash keys of those found
+    async bulkDelete(ids) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.writeTransaction([this.storeName, this.trashStoreName]);
             const objectStore = transaction.objectStore(this.storeName);
-            const request = objectStore.delete(id);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const deletedAt = new Date().toISOString();
+            const trashIds = [];
+
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    if (request.result) this.moveToTrash(objectStore, trashStore, request.result, deletedAt, trashIds);
+                };
+            });
+
+            transaction.oncomplete = () => resolve(trashIds);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Swap a bookmark for a trash entry within the caller's transaction, collecting the new trash key
+    moveToTrash(objectStore, trashStore, bookmark, deletedAt, trashIds) {
+        objectStore.delete(bookmark.id);
+        trashStore.add({ deletedAt, bookmark }).onsuccess = (event) => {
+            trashIds.push(event.target.result);
+        };
+    }
+
+    // Unfiled bookmarks have no folderId at all, so the folderId index skips them
+    setFolderId(record, folderId) {
+        if (folderId) {
+            record.folderId = folderId;
+        } else {
+            delete record.folderId;
+        }
+    }
+
+    // Opting a bookmark out of visit tracking also forgets the visits recorded so far
+    setTrackVisits(record, track) {
+        if (track) {
+            delete record.trackVisits;
+            return;
+        }
+        record.trackVisits = false;
+        delete record.visitCount;
+        delete record.lastVisitedAt;
+        delete record.visits;
+    }
+
+    // A whole number of stars from 1 to 5; anything else leaves the bookmark unrated
+    setRating(record, rating) {
+        const stars = Number(rating);
+        if (Number.isInteger(stars) && stars >= 1 && stars <= 5) {
+            record.rating = stars;
+        } else {
+            delete record.rating;
+        }
+    }
+
+    // Archived bookmarks carry the time they were archived, which an edit keeps
+    setArchivedAt(record, archived) {
+        if (!archived) {
+            delete record.archivedAt;
+        } else if (!record.archivedAt) {
+            record.archivedAt = new Date().toISOString();
+        }
+    }
+
+    // Delete without keeping a copy, e.g. to undo an add
+    async purge(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const request = transaction.objectStore(this.storeName).delete(id);
 
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
+    // Write complete records, keeping any extra fields, in one transaction
+    async bulkPut(records) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+
+            records.forEach(record => objectStore.put(this.normalizeRecord(record)));
+
+            transaction.oncomplete = () => resolve(records.length);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Swap every bookmark for the given records and the folder tree for the given folders, in one
+    // transaction. The bookmarks replaced go to the trash; resolves to { ids, trashIds, folders }
+    // with the keys written and the folder tree before, which is what revertReplace needs
+    async replaceBookmarks(records, folders) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [this.storeName, this.trashStoreName, this.folderStoreName];
+            const transaction = this.writeTransaction(storeNames);
+            const objectStore = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const folderStore = transaction.objectStore(this.folderStoreName);
+            const deletedAt = new Date().toISOString();
+            const result = { ids: [], trashIds: [], folders: [] };
+
+            folderStore.getAll().onsuccess = (event) => {
+                result.folders = event.target.result;
+                folderStore.clear();
+                folders.forEach(folder => folderStore.put(folder));
+            };
+            objectStore.getAll().onsuccess = (event) => {
+                event.target.result.forEach(bookmark => this.moveToTrash(objectStore, trashStore, bookmark, deletedAt, result.trashIds));
+                records.forEach(record => {
+                    objectStore.put(this.normalizeRecord(record)).onsuccess = (putEvent) => {
+                        result.ids.push(putEvent.target.result);
+                    };
+                });
+            };
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Undo replaceBookmarks: drop the records it wrote and put the folder tree back, then bring
+    // the replaced bookmarks back from the trash
+    async revertReplace({ ids, trashIds, folders }) {
+        await new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName, this.folderStoreName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const folderStore = transaction.objectStore(this.folderStoreName);
+
+            ids.forEach(id => objectStore.delete(id));
+            folderStore.clear();
+            folders.forEach(folder => folderStore.put(folder));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return this.restoreFromTrash(trashIds);
+    }
+
     async getAll() {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readonly');
@@ -122,505 +541,7534 @@ class BookmarkDB {
         });
     }
 
-    async search(query) {
-        const allBookmarks = await this.getAll();
-        const searchTerm = query.toLowerCase().trim();
+    // Comparison key for duplicate detection: ignores scheme, "www.", trailing slashes,
+    // tracking parameters, parameter order and the fragment
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url.trim());
+
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                return parsed.href.replace(/#.*$/, '');
+            }
 
-        if (!searchTerm) {
-            return allBookmarks;
+            const host = parsed.hostname.replace(/^www\./, '');
+            const port = parsed.port ? `:${parsed.port}` : '';
+            const path = parsed.pathname.replace(/\/+$/, '');
+            const params = [...parsed.searchParams]
+                .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.includes(key.toLowerCase()))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const query = params.length ? `?${new URLSearchParams(params)}` : '';
+
+            return `${host}${port}${path}${query}`;
+        } catch {
+            return url.trim().toLowerCase();
         }
+    }
 
-        return allBookmarks.filter(bookmark => {
-            const nameMatch = bookmark.name.toLowerCase().includes(searchTerm);
-            const urlMatch = bookmark.url.toLowerCase().includes(searchTerm);
-            const tagsMatch = bookmark.tags.some(tag =>
-                tag.toLowerCase().includes(searchTerm)
-            );
+    async findDuplicates(url, excludeId = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('normalizedUrl');
+            const request = index.getAll(this.normalizeUrl(url));
 
-            return nameMatch || urlMatch || tagsMatch;
+            request.onsuccess = () => resolve(request.result.filter(bookmark => bookmark.id !== excludeId));
+            request.onerror = () => reject(request.error);
         });
     }
-}
 
-// ==================== Application Manager ====================
-class BookmarkApp {
-    constructor() {
-        this.db = new BookmarkDB();
-        this.currentPage = 1;
-        this.itemsPerPage = 12;
-        this.allBookmarks = [];
-        this.filteredBookmarks = [];
-        this.currentEditId = null;
-        this.deleteTargetId = null;
+    // Groups of two or more bookmarks sharing a normalized URL, oldest first in each group
+    async findDuplicateGroups() {
+        const allBookmarks = await this.getAll();
+        const groups = new Map();
 
-        this.init();
-    }
+        allBookmarks.forEach(bookmark => {
+            const key = bookmark.normalizedUrl;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(bookmark);
+        });
 
-    async init() {
-        try {
-            await this.db.init();
-            this.bindEvents();
-            await this.loadBookmarks();
-            this.hideLoading();
-        } catch (error) {
-            console.error('Initialization error:', error);
-            this.showToast('初始化失败，请刷新页面重试', 'error');
-            this.hideLoading();
-        }
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => group.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
     }
 
-    bindEvents() {
-        // Search
-        document.getElementById('searchBtn').addEventListener('click', () => this.handleSearch());
-        document.getElementById('searchInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleSearch();
-        });
+    // Fold duplicates into the kept record in one transaction: tags are unioned, the earliest
+    // createdAt wins and the other records go to the trash. Resolves to { original, trashIds },
+    // the kept record as it was and the new trash keys, for undoing the merge
+    async merge(keepId, duplicateIds) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName, this.trashStoreName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const deletedAt = new Date().toISOString();
+            const ids = [keepId, ...duplicateIds];
+            const records = [];
+            const trashIds = [];
+            let merged = null;
 
-        // Clear search on empty input
-        document.getElementById('searchInput').addEventListener('input', (e) => {
-            if (e.target.value === '') {
-                this.handleSearch();
-            }
-        });
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    records.push(request.result);
+                    if (records.length === ids.length) {
+                        merged = this.mergeRecords(records);
+                        if (!merged) {
+                            transaction.abort();
+                            return;
+                        }
+                        objectStore.put(merged);
+                        records.slice(1).forEach(record => this.moveToTrash(objectStore, trashStore, record, deletedAt, trashIds));
+                    }
+                };
+            });
 
-        // Add bookmark
-        document.getElementById('addBtn').addEventListener('click', () => this.showAddModal());
+            transaction.oncomplete = () => resolve({ original: records[0], trashIds });
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Bookmark not found'));
+        });
+    }
 
-        // Export
-        document.getElementById('exportBtn').addEventListener('click', () => this.exportToExcel());
+    // Tags and notes are combined, the earliest date and the best rating kept
+    mergeRecords([kept, ...duplicates]) {
+        if (!kept || duplicates.some(record => !record)) return null;
 
-        // Modal controls
-        document.getElementById('modalClose').addEventListener('click', () => this.closeModal());
-        document.getElementById('cancelBtn').addEventListener('click', () => this.closeModal());
-        document.querySelector('.modal-overlay').addEventListener('click', () => this.closeModal());
+        const records = [kept, ...duplicates];
+        const tags = this.normalizeTags(records.flatMap(record => record.tags));
+        const createdAt = records
+            .map(record => record.createdAt)
+            .reduce((earliest, date) => (new Date(date) < new Date(earliest) ? date : earliest));
+        const description = [...new Set(records.map(record => (record.description || '').trim()).filter(Boolean))].join('\n\n');
+        const merged = { ...kept, tags, createdAt, updatedAt: new Date().toISOString() };
+        if (description) merged.description = description;
+        this.setRating(merged, Math.max(...records.map(record => record.rating || 0)));
 
-        // Form submit
-        document.getElementById('bookmarkForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleFormSubmit();
-        });
+        return merged;
+    }
 
-        // Delete modal
-        document.getElementById('cancelDeleteBtn').addEventListener('click', () => this.closeDeleteModal());
-        document.getElementById('confirmDeleteBtn').addEventListener('click', () => this.confirmDelete());
-        document.querySelectorAll('#deleteModal .modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', () => this.closeDeleteModal());
-        });
+    // Trim tags, drop empty ones and remove duplicates (case-insensitive)
+    normalizeTags(tags) {
+        const uniqueTags = [];
+        const lowerCaseTags = new Set();
 
-        // ESC key to close modals
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeModal();
-                this.closeDeleteModal();
+        for (const rawTag of tags) {
+            const tag = rawTag.trim();
+            const lowerTag = tag.toLowerCase();
+            if (tag && !lowerCaseTags.has(lowerTag)) {
+                lowerCaseTags.add(lowerTag);
+                uniqueTags.push(tag);
             }
-        });
+        }
+
+        return uniqueTags;
     }
 
-    async loadBookmarks(searchQuery = '') {
-        try {
-            if (searchQuery) {
-                this.filteredBookmarks = await this.db.search(searchQuery);
-            } else {
-                this.allBookmarks = await this.db.getAll();
-                this.filteredBookmarks = [...this.allBookmarks];
-            }
+    // Count bookmarks per tag by walking the multiEntry tags index, or from the counts kept since
+    // the last write. Callers get a copy they may change
+    async getTagCounts() {
+        if (this.tagCounts) return new Map(this.tagCounts);
 
-            // Sort by creation date (newest first)
-            this.filteredBookmarks.sort((a, b) =>
-                new Date(b.createdAt) - new Date(a.createdAt)
-            );
+        const version = this.tagCountsVersion;
+        const counts = await this.countTags();
+        if (version === this.tagCountsVersion) this.tagCounts = counts;
+        return new Map(counts);
+    }
 
-            this.currentPage = 1;
-            this.render();
-        } catch (error) {
-            console.error('Load bookmarks error:', error);
-            this.showToast('加载失败', 'error');
-        }
+    async countTags() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('tags');
+            const request = index.openKeyCursor();
+            const counts = new Map();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+                    cursor.continue();
+                } else {
+                    resolve(counts);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    render() {
-        this.renderBookmarks();
-        this.renderPagination();
-        this.updateStats();
+    // Replace every tag in fromTags with toTag across all bookmarks in one transaction.
+    // Renaming onto an existing tag merges the two
+    async renameTags(fromTags, toTag) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const request = objectStore.openCursor();
+            let updated = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                const record = cursor.value;
+                if (record.tags.some(tag => fromTags.includes(tag))) {
+                    record.tags = this.normalizeTags(record.tags.map(tag => (fromTags.includes(tag) ? toTag : tag)));
+                    record.updatedAt = new Date().toISOString();
+                    cursor.update(record);
+                    updated++;
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
 
-    renderBookmarks() {
-        const container = document.getElementById('bookmarksContainer');
-        const emptyState = document.getElementById('emptyState');
+    // Add and/or remove tags on many bookmarks in one transaction; resolves to how many changed
+    async bulkUpdateTags(ids, { add = [], remove = [] } = {}) {
+        const removeKeys = remove.map(tag => tag.toLowerCase());
 
-        const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        const pageBookmarks = this.filteredBookmarks.slice(startIndex, endIndex);
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            let updated = 0;
 
-        if (this.filteredBookmarks.length === 0) {
-            container.innerHTML = '';
-            emptyState.style.display = 'block';
-            return;
-        }
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record) return;
 
-        emptyState.style.display = 'none';
-        container.innerHTML = pageBookmarks.map(bookmark => this.createBookmarkCard(bookmark)).join('');
+                    const kept = record.tags.filter(tag => !removeKeys.includes(tag.toLowerCase()));
+                    const tags = this.normalizeTags([...kept, ...add]);
+                    if (tags.join('\n') === record.tags.join('\n')) return;
 
-        // Bind card events
-        container.querySelectorAll('.edit-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const id = parseInt(btn.dataset.id);
-                this.showEditModal(id);
+                    record.tags = tags;
+                    record.updatedAt = new Date().toISOString();
+                    objectStore.put(record);
+                    updated++;
+                };
             });
+
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
+    }
 
-        container.querySelectorAll('.delete-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const id = parseInt(btn.dataset.id);
-                this.showDeleteModal(id);
+    // ==================== Folders ====================
+    async getFolders() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.folderStoreName], 'readonly');
+            const request = transaction.objectStore(this.folderStoreName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async addFolder({ name, parentId = null }) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.folderStoreName]);
+            const now = new Date().toISOString();
+            const request = transaction.objectStore(this.folderStoreName).add({
+                name,
+                parentId: parentId || null,
+                createdAt: now,
+                updatedAt: now
             });
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
     }
 
-    createBookmarkCard(bookmark) {
-        const initial = bookmark.name.charAt(0).toUpperCase();
-        const formattedDate = this.formatDate(bookmark.createdAt);
-        const tagsHtml = bookmark.tags.map(tag =>
-            `<span class="tag">${this.escapeHtml(tag)}</span>`
-        ).join('');
+    // Rename and/or move a folder. Moving it under itself or one of its descendants would cut
+    // the branch off the tree, so that is rejected
+    async updateFolder(id, { name, parentId = null }) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.folderStoreName]);
+            const folderStore = transaction.objectStore(this.folderStoreName);
+            const request = folderStore.getAll();
 
-        return `
-            <div class="bookmark-card">
-                <div class="bookmark-header">
-                    <div class="bookmark-favicon">${initial}</div>
+            request.onsuccess = () => {
+                const folders = request.result;
+                const folder = folders.find(item => item.id === id);
+
+                if (!folder) {
+                    transaction.abort();
+                    reject(new Error('Folder not found'));
+                    return;
+                }
+                if (parentId && this.getFolderSubtree(folders, id).includes(parentId)) {
+                    transaction.abort();
+                    reject(new Error('Folder cannot be moved into itself'));
+                    return;
+                }
+
+                folder.name = name;
+                folder.parentId = parentId || null;
+                folder.updatedAt = new Date().toISOString();
+                folderStore.put(folder);
+            };
+
+            transaction.oncomplete = () => resolve(id);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Delete a folder in one transaction. With withBookmarks the whole branch goes: every
+    // bookmark in it is moved to the trash and every subfolder removed. Otherwise only the
+    // folder itself is removed and its subfolders and bookmarks move up to its parent.
+    // Resolves to { folders, bookmarks, trashIds } for revertFolderDelete: the folders removed
+    // or moved and the bookmarks moved, as they were before, and the trash entries made
+    async deleteFolder(id, { withBookmarks = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [this.storeName, this.trashStoreName, this.folderStoreName];
+            const transaction = this.writeTransaction(storeNames);
+            const objectStore = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const folderStore = transaction.objectStore(this.folderStoreName);
+            const deletedAt = new Date().toISOString();
+            const removed = { folders: [], bookmarks: [], trashIds: [] };
+
+            folderStore.getAll().onsuccess = (event) => {
+                const folders = event.target.result;
+                const folder = folders.find(item => item.id === id);
+                if (!folder) return;
+
+                if (withBookmarks) {
+                    this.getFolderSubtree(folders, id).forEach(folderId => {
+                        objectStore.index('folderId').getAll(folderId).onsuccess = (event) => {
+                            event.target.result.forEach(bookmark =>
+                                this.moveToTrash(objectStore, trashStore, bookmark, deletedAt, removed.trashIds)
+                            );
+                        };
+                        removed.folders.push(folders.find(item => item.id === folderId));
+                        folderStore.delete(folderId);
+                    });
+                    return;
+                }
+
+                folders.filter(child => child.parentId === id).forEach(child => {
+                    removed.folders.push({ ...child });
+                    child.parentId = folder.parentId;
+                    child.updatedAt = deletedAt;
+                    folderStore.put(child);
+                });
+                objectStore.index('folderId').getAll(id).onsuccess = (event) => {
+                    event.target.result.forEach(bookmark => {
+                        removed.bookmarks.push({ ...bookmark });
+                        this.setFolderId(bookmark, folder.parentId);
+                        bookmark.updatedAt = deletedAt;
+                        objectStore.put(bookmark);
+                    });
+                };
+                removed.folders.push(folder);
+                folderStore.delete(id);
+            };
+
+            transaction.oncomplete = () => resolve(removed);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Undo deleteFolder: the folders and moved bookmarks go back as they were, then the trashed
+    // bookmarks come back into them
+    async revertFolderDelete({ folders, bookmarks, trashIds }) {
+        await new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName, this.folderStoreName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const folderStore = transaction.objectStore(this.folderStoreName);
+
+            folders.forEach(folder => folderStore.put(folder));
+            bookmarks.forEach(bookmark => objectStore.put(bookmark));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return this.restoreFromTrash(trashIds);
+    }
+
+    // File bookmarks under a folder (null for unfiled), in one transaction; resolves to how
+    // many actually changed folder
+    async moveBookmarks(ids, folderId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const updatedAt = new Date().toISOString();
+            let moved = 0;
+
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record || (record.folderId || null) === (folderId || null)) return;
+
+                    this.setFolderId(record, folderId);
+                    record.updatedAt = updatedAt;
+                    objectStore.put(record);
+                    moved++;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(moved);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Bookmarks filed directly in each folder, keyed by folder id, counted off the folderId index
+    async getFolderCounts() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('folderId').openKeyCursor();
+            const counts = new Map();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+                    cursor.continue();
+                } else {
+                    resolve(counts);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getIdsByFolders(folderIds) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('folderId');
+            const ids = new Set();
+
+            folderIds.forEach(folderId => {
+                index.getAllKeys(folderId).onsuccess = (event) => {
+                    event.target.result.forEach(id => ids.add(id));
+                };
+            });
+
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // The folder's id followed by the ids of all its descendants
+    getFolderSubtree(folders, id) {
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            folders.forEach(folder => {
+                if (folder.parentId === ids[i]) ids.push(folder.id);
+            });
+        }
+        return ids;
+    }
+
+    // ==================== Ordering ====================
+    // Pin (置顶) or unpin bookmarks in one transaction; resolves to how many changed
+    async setPinned(ids, pinned) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const pinnedAt = new Date().toISOString();
+            let updated = 0;
+
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record || Boolean(record.pinnedAt) === pinned) return;
+
+                    if (pinned) {
+                        record.pinnedAt = pinnedAt;
+                    } else {
+                        delete record.pinnedAt;
+                    }
+                    // pinnedAt syncs, so the change must be newer than edits made elsewhere meanwhile
+                    record.updatedAt = pinnedAt;
+                    objectStore.put(record);
+                    updated++;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getPinnedIds() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('pinnedAt').getAllKeys();
+
+            request.onsuccess = () => resolve(new Set(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Move bookmarks, keeping their relative order, right before or after targetId in the custom
+    // order, in one transaction. Positions are floats, so normally only the moved records are
+    // rewritten; once a gap gets too narrow to split, the whole order is renumbered
+    async moveInOrder(ids, targetId, after = false) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const request = objectStore.index('position').openKeyCursor();
+            const moving = new Set(ids);
+            const order = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (!moving.has(cursor.primaryKey)) order.push({ id: cursor.primaryKey, position: cursor.key });
+                    cursor.continue();
+                    return;
+                }
+
+                const targetIndex = order.findIndex(entry => entry.id === targetId);
+                if (targetIndex === -1) return;
+
+                const insertAt = targetIndex + (after ? 1 : 0);
+                const lower = insertAt > 0 ? order[insertAt - 1].position : order[0].position - ids.length - 1;
+                const upper = insertAt < order.length ? order[insertAt].position : lower + ids.length + 1;
+                const step = (upper - lower) / (ids.length + 1);
+                const positions = new Map();
+
+                if (lower + step > lower && lower + step * ids.length < upper) {
+                    ids.forEach((id, i) => positions.set(id, lower + step * (i + 1)));
+                } else {
+                    const renumbered = [...order.slice(0, insertAt).map(entry => entry.id), ...ids,
+                        ...order.slice(insertAt).map(entry => entry.id)];
+                    renumbered.forEach((id, i) => positions.set(id, i));
+                }
+
+                positions.forEach((position, id) => {
+                    objectStore.get(id).onsuccess = (event) => {
+                        const record = event.target.result;
+                        if (!record || record.position === position) return;
+
+                        record.position = position;
+                        objectStore.put(record);
+                    };
+                });
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Keys in custom order, optionally limited to a set of keys, from the position index
+    async getIdsByPosition(onlyIds = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('position').getAllKeys();
+
+            request.onsuccess = () => resolve(onlyIds ? request.result.filter(id => onlyIds.has(id)) : request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Keys ordered by newest, oldest, name (Chinese collation, so pinyin order), domain, visits
+    // (most visited first), recent (last visited first), frecency or custom. The index-backed
+    // orders never load the records
+    async sortIds(onlyIds, order) {
+        if (order === 'newest') return this.getIdsByCreatedAt(null, onlyIds);
+        if (order === 'oldest') return (await this.getIdsByCreatedAt(null, onlyIds)).reverse();
+        if (order === 'custom') return this.getIdsByPosition(onlyIds);
+
+        const bookmarks = onlyIds ? await this.getMany([...onlyIds]) : await this.getAll();
+        return this.sortBookmarks(bookmarks, order).map(bookmark => bookmark.id);
+    }
+
+    sortBookmarks(bookmarks, order) {
+        const collator = new Intl.Collator('zh-CN', { numeric: true, sensitivity: 'base' });
+        const newest = (a, b) => b.createdAt.localeCompare(a.createdAt);
+        const sorted = [...bookmarks];
+
+        if (order === 'oldest') {
+            sorted.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        } else if (order === 'name') {
+            sorted.sort((a, b) => collator.compare(a.name, b.name));
+        } else if (order === 'domain') {
+            sorted.sort((a, b) => collator.compare(this.getDomain(a.url), this.getDomain(b.url)) ||
+                collator.compare(a.name, b.name));
+        } else if (order === 'visits') {
+            sorted.sort((a, b) => (b.visitCount || 0) - (a.visitCount || 0) || newest(a, b));
+        } else if (order === 'recent') {
+            sorted.sort((a, b) => (b.lastVisitedAt || '').localeCompare(a.lastVisitedAt || '') || newest(a, b));
+        } else if (order === 'frecency') {
+            const now = Date.now();
+            const scores = new Map(sorted.map(bookmark => [bookmark.id, this.getFrecency(bookmark, now)]));
+            sorted.sort((a, b) => scores.get(b.id) - scores.get(a.id) || newest(a, b));
+        } else if (order === 'rating') {
+            sorted.sort((a, b) => (b.rating || 0) - (a.rating || 0) || newest(a, b));
+        } else if (order === 'custom') {
+            sorted.sort((a, b) => a.position - b.position || a.id - b.id);
+        } else {
+            sorted.sort(newest);
+        }
+        return sorted;
+    }
+
+    getDomain(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch {
+            return url;
+        }
+    }
+
+    // Stable partition putting pinned keys first, each group keeping the given order
+    pinFirst(ids, pinnedIds) {
+        if (pinnedIds.size === 0) return ids;
+        return [...ids.filter(id => pinnedIds.has(id)), ...ids.filter(id => !pinnedIds.has(id))];
+    }
+
+    // ==================== Visits ====================
+    // Count an open of the bookmark's link: visitCount, lastVisitedAt and the recent visit times
+    // in visits (oldest first). Resolves to the updated record, or null when it is gone or opted out
+    async recordVisit(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const getRequest = objectStore.get(id);
+            let record = null;
+
+            getRequest.onsuccess = () => {
+                if (!getRequest.result || getRequest.result.trackVisits === false) return;
+
+                const visitedAt = new Date().toISOString();
+                record = getRequest.result;
+                record.visitCount = (record.visitCount || 0) + 1;
+                record.lastVisitedAt = visitedAt;
+                record.visits = [...(record.visits || []), visitedAt].slice(-VISIT_HISTORY_LIMIT);
+                objectStore.put(record);
+            };
+
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getVisitedIds() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('lastVisitedAt').getAllKeys();
+
+            request.onsuccess = () => resolve(new Set(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Frequency weighted by recency: the total visit count times the average age weight of the
+    // recent visits, so a link opened often long ago drifts below one opened a few times this week
+    getFrecency(bookmark, now = Date.now()) {
+        const visits = bookmark.visits || [];
+        if (!bookmark.visitCount || visits.length === 0) return 0;
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const weights = visits.map(visitedAt => {
+            const age = (now - Date.parse(visitedAt)) / dayMs;
+            return VISIT_AGE_WEIGHTS.find(bucket => age <= bucket.days).weight;
+        });
+        return bookmark.visitCount * weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+    }
+
+    // ==================== Archive ====================
+    // Archive or unarchive bookmarks in one transaction; resolves to how many changed
+    async setArchived(ids, archived) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            let updated = 0;
+
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record || Boolean(record.archivedAt) === archived) return;
+
+                    this.setArchivedAt(record, archived);
+                    record.updatedAt = new Date().toISOString();
+                    objectStore.put(record);
+                    updated++;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getArchivedIds() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('archivedAt').getAllKeys();
+
+            request.onsuccess = () => resolve(new Set(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==================== Trash ====================
+    // Trash entries, most recently deleted first
+    async getTrash() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trashStoreName], 'readonly');
+            const request = transaction.objectStore(this.trashStoreName).index('deletedAt').getAll();
+
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Put trashed bookmarks back under their original keys, in one transaction; resolves to
+    // the bookmark ids restored. Bookmarks whose folder was deleted meanwhile come back unfiled
+    async restoreFromTrash(trashIds) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [this.storeName, this.trashStoreName, this.folderStoreName];
+            const transaction = this.writeTransaction(storeNames);
+            const objectStore = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const folderStore = transaction.objectStore(this.folderStoreName);
+            const restored = [];
+
+            trashIds.forEach(trashId => {
+                const request = trashStore.get(trashId);
+                request.onsuccess = () => {
+                    const entry = request.result;
+                    if (!entry) return;
+
+                    // Entries trashed before syncIds existed get one now
+                    const bookmark = this.normalizeRecord(entry.bookmark);
+                    trashStore.delete(trashId);
+                    restored.push(bookmark.id);
+
+                    if (!bookmark.folderId) {
+                        objectStore.put(bookmark);
+                        return;
+                    }
+                    folderStore.count(bookmark.folderId).onsuccess = (event) => {
+                        if (event.target.result === 0) delete bookmark.folderId;
+                        objectStore.put(bookmark);
+                    };
+                };
+            });
+
+            transaction.oncomplete = () => resolve(restored);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Permanently remove trash entries; without keys the whole trash is emptied
+    async purgeTrash(trashIds = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.trashStoreName]);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+
+            if (trashIds) {
+                trashIds.forEach(trashId => trashStore.delete(trashId));
+            } else {
+                trashStore.clear();
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Drop entries deleted more than retentionDays ago; resolves to how many were removed
+    async purgeExpiredTrash(retentionDays) {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.trashStoreName]);
+            const index = transaction.objectStore(this.trashStoreName).index('deletedAt');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+            let purged = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                cursor.delete();
+                purged++;
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(purged);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // ==================== Sync ====================
+    async getSyncBase() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.syncBaseStoreName], 'readonly');
+            const request = transaction.objectStore(this.syncBaseStoreName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clearSyncBase() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.syncBaseStoreName]);
+            const request = transaction.objectStore(this.syncBaseStoreName).clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Apply what a sync pulled, in one transaction: changes are { id, syncId, data } with the
+    // synced fields (no id for bookmarks new to this device), deletes are bookmark ids moved to
+    // the trash, and sync base entries are replaced or removed by syncId
+    // Pulled changes and deletes carry the hash (by hashRecord) of the local record they were
+    // decided against, and their new base entry. A record edited here since then doesn't match any
+    // more: it is left alone, base included, so the next sync weighs the edit against the remote
+    async applySync({ changes = [], deletes = [], baseUpdates = [], baseDeletes = [] }, hashRecord) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [this.storeName, this.trashStoreName, this.syncBaseStoreName];
+            const transaction = this.writeTransaction(storeNames);
+            const objectStore = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const baseStore = transaction.objectStore(this.syncBaseStoreName);
+            const deletedAt = new Date().toISOString();
+            let applied = 0;
+
+            changes.forEach(({ id, syncId, data, hash, base }) => {
+                if (!id) {
+                    objectStore.add(this.normalizeRecord(this.setSyncedFields({ syncId }, data)));
+                    baseStore.put(base);
+                    applied++;
+                    return;
+                }
+                // Fields that don't sync, such as visits, may have changed since the sync read them
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (record && hashRecord(record) !== hash) return;
+                    if (record) {
+                        objectStore.put(this.normalizeRecord(this.setSyncedFields(record, data)));
+                        applied++;
+                    }
+                    baseStore.put(base);
+                };
+            });
+
+            deletes.forEach(({ id, hash, base }) => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (record && hashRecord(record) !== hash) return;
+                    if (record) {
+                        this.moveToTrash(objectStore, trashStore, record, deletedAt, []);
+                        applied++;
+                    }
+                    baseStore.put(base);
+                };
+            });
+
+            baseUpdates.forEach(entry => baseStore.put(entry));
+            baseDeletes.forEach(syncId => baseStore.delete(syncId));
+
+            transaction.oncomplete = () => resolve(applied);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Copy the synced fields onto a record; ones missing from data are removed
+    setSyncedFields(record, data) {
+        // As in update(), a new address invalidates the last link check
+        if (record.url !== data.url) {
+            delete record.linkState;
+            delete record.linkCheck;
+        }
+        SYNC_FIELDS.forEach(field => {
+            if (data[field] === undefined) {
+                delete record[field];
+            } else {
+                record[field] = data[field];
+            }
+        });
+        return record;
+    }
+
+    // ==================== Settings ====================
+    // { key: value } of every stored setting
+    async getSettings() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.settingsStoreName], 'readonly');
+            const request = transaction.objectStore(this.settingsStoreName).getAll();
+
+            request.onsuccess = () => resolve(Object.fromEntries(request.result.map(({ key, value }) => [key, value])));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.settingsStoreName]);
+            const request = transaction.objectStore(this.settingsStoreName).put({ key, value });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==================== Backups & Snapshots ====================
+    // Every store that belongs in a backup, including ones added by later migrations
+    getBackupStoreNames() {
+        return [...this.db.objectStoreNames].filter(name => !this.localStoreNames.includes(name));
+    }
+
+    // { storeName: records } of the backed-up stores, read in one transaction
+    async dumpStores() {
+        return new Promise((resolve, reject) => {
+            const storeNames = this.getBackupStoreNames();
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const stores = {};
+
+            storeNames.forEach(name => {
+                transaction.objectStore(name).getAll().onsuccess = (event) => {
+                    stores[name] = event.target.result;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(stores);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Replace every backed-up store with the dump's records in one transaction; a store the
+    // dump doesn't have ends up empty. Bookmarks are brought to the current schema
+    async restoreStores(stores) {
+        return new Promise((resolve, reject) => {
+            const storeNames = this.getBackupStoreNames();
+            const transaction = this.writeTransaction(storeNames);
+
+            storeNames.forEach(name => {
+                const objectStore = transaction.objectStore(name);
+                objectStore.clear();
+                (stores[name] || []).forEach(record => {
+                    objectStore.put(name === this.storeName ? this.normalizeRecord(record) : record);
+                });
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Store a snapshot and drop the oldest beyond limit, in one transaction
+    async addSnapshot(backup, limit) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.snapshotStoreName]);
+            const snapshotStore = transaction.objectStore(this.snapshotStoreName);
+
+            snapshotStore.add({ createdAt: backup.createdAt, backup }).onsuccess = () => {
+                snapshotStore.index('createdAt').getAllKeys().onsuccess = (event) => {
+                    const ids = event.target.result;
+                    ids.slice(0, Math.max(0, ids.length - limit)).forEach(id => snapshotStore.delete(id));
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Snapshots, newest first
+    async getSnapshots() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.snapshotStoreName], 'readonly');
+            const request = transaction.objectStore(this.snapshotStoreName).index('createdAt').getAll();
+
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSnapshot(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.snapshotStoreName], 'readonly');
+            const request = transaction.objectStore(this.snapshotStoreName).get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // createdAt of the newest snapshot, or null
+    async getLatestSnapshotTime() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.snapshotStoreName], 'readonly');
+            const request = transaction.objectStore(this.snapshotStoreName).index('createdAt').openKeyCursor(null, 'prev');
+
+            request.onsuccess = () => resolve(request.result ? request.result.key : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==================== Link Health ====================
+    // Store a LinkChecker result: linkCheck holds the latest { status, redirectUrl, checkedAt },
+    // linkHistory the most recent checks (oldest first) and linkState the indexed verdict.
+    // Resolves to the updated record, or null when it was deleted meanwhile
+    async recordLinkCheck(id, check, state) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            const getRequest = objectStore.get(id);
+            let record = null;
+
+            getRequest.onsuccess = () => {
+                record = getRequest.result || null;
+                if (!record) return;
+
+                record.linkCheck = check;
+                record.linkState = state;
+                record.linkHistory = [...(record.linkHistory || []), check].slice(-LINK_HISTORY_LIMIT);
+                objectStore.put(record);
+            };
+
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Point redirected bookmarks at their redirect target, in one transaction. Targets isAllowed
+    // rejects, such as a javascript: URL from a misbehaving link checker, are left alone
+    async applyRedirects(ids, isAllowed) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.writeTransaction([this.storeName]);
+            const objectStore = transaction.objectStore(this.storeName);
+            let updated = 0;
+
+            ids.forEach(id => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record || record.linkState !== 'redirected' || !record.linkCheck.redirectUrl) return;
+                    if (!isAllowed(record.linkCheck.redirectUrl)) return;
+
+                    record.url = record.linkCheck.redirectUrl;
+                    record.normalizedUrl = this.normalizeUrl(record.url);
+                    record.updatedAt = new Date().toISOString();
+                    // The redirect target answered the check successfully
+                    record.linkCheck = { ...record.linkCheck, redirectUrl: '' };
+                    record.linkState = 'ok';
+                    objectStore.put(record);
+                    updated++;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getIdsByLinkStates(states) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('linkState');
+            const ids = new Set();
+
+            states.forEach(state => {
+                index.getAllKeys(state).onsuccess = (event) => {
+                    event.target.result.forEach(id => ids.add(id));
+                };
+            });
+
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Keys greater than afterId in ascending order, so a job walking them can resume from the last one
+    async getIdsAfter(afterId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const range = afterId === null ? null : IDBKeyRange.lowerBound(afterId, true);
+            const request = transaction.objectStore(this.storeName).getAllKeys(range);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==================== Queries ====================
+    async count() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).count();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // One page of the unfiltered list, newest first, read straight off the createdAt index
+    async getPage(offset, limit) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('createdAt');
+            const request = index.openCursor(null, 'prev');
+            const bookmarks = [];
+            let skipped = offset === 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(bookmarks);
+                    return;
+                }
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                bookmarks.push(cursor.value);
+                if (bookmarks.length < limit) {
+                    cursor.continue();
+                } else {
+                    resolve(bookmarks);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Records for the given keys, in the same order, fetched in one transaction
+    async getMany(ids) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const objectStore = transaction.objectStore(this.storeName);
+            const bookmarks = new Array(ids.length);
+
+            ids.forEach((id, position) => {
+                const request = objectStore.get(id);
+                request.onsuccess = () => {
+                    bookmarks[position] = request.result;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(bookmarks.filter(Boolean));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Ordered keys of the bookmarks matching a SearchQuery, a tag filter, link states, folders and
+    // (with visited) having been opened, or null when nothing filters or reorders the list and pages
+    // can come straight from getPage. Results follow the sort order (see sortIds), except that
+    // searches in the default newest order are ranked by relevance (newest first on ties).
+    // Pinned bookmarks always come first
+    // archived: 'exclude' leaves archived bookmarks out, 'only' lists just those, 'include' both
+    async findIds({ query = null, tags = [], tagMode = 'and', linkStates = [], folderIds = [], visited = false, archived = 'exclude', sort = 'newest' } = {}) {
+        const [pinnedIds, archivedIds] = await Promise.all([this.getPinnedIds(), this.getArchivedIds()]);
+        const filtered = query || tags.length || linkStates.length || folderIds.length || visited ||
+            archived === 'only' || (archived === 'exclude' && archivedIds.size);
+        if (!filtered && sort === 'newest' && pinnedIds.size === 0) return null;
+
+        let ids = await this.findSortedIds({ query, tags, tagMode, linkStates, folderIds, visited, archived, archivedIds, sort });
+        if (archived === 'exclude' && archivedIds.size) ids = ids.filter(id => !archivedIds.has(id));
+        return this.pinFirst(ids, pinnedIds);
+    }
+
+    async findSortedIds({ query, tags, tagMode, linkStates, folderIds, visited, archived, archivedIds, sort }) {
+        let candidates = tags.length ? await this.getIdsByTags(tags, tagMode) : null;
+        if (archived === 'only') {
+            candidates = this.intersect(candidates, archivedIds);
+        }
+        if (visited) {
+            candidates = this.intersect(candidates, await this.getVisitedIds());
+        }
+        if (folderIds.length) {
+            candidates = this.intersect(candidates, await this.getIdsByFolders(folderIds));
+        }
+        if (linkStates.length) {
+            candidates = this.intersect(candidates, await this.getIdsByLinkStates(linkStates));
+        }
+
+        if (!query) {
+            return this.sortIds(candidates, sort);
+        }
+
+        // Narrow the candidates with whatever the indexes can answer before scoring every record
+        const constraints = query.getIndexConstraints();
+        if (constraints.tags.length) {
+            candidates = this.intersect(candidates, await this.getIdsByTagsIgnoringCase(constraints.tags));
+        }
+        if (constraints.after || constraints.before) {
+            candidates = this.intersect(candidates, new Set(await this.getIdsByCreatedAt(
+                this.createdAtRange(constraints.after, constraints.before)
+            )));
+        }
+        // name: and site: terms are tried on the name and normalizedUrl index keys alone, so
+        // only the records they let through are loaded. Plain terms also search the notes, which
+        // have no index, and still load every candidate
+        for (const term of constraints.names) {
+            candidates = await this.getIdsByIndexKey('name', candidates, name => query.matchesNameKey(term, name));
+        }
+        for (const site of constraints.sites) {
+            candidates = await this.getIdsByIndexKey('normalizedUrl', candidates, url => query.matchesUrlKey(site, url));
+        }
+
+        const bookmarks = candidates ? await this.getMany([...candidates]) : await this.getAll();
+
+        if (sort !== 'newest') {
+            return this.sortBookmarks(bookmarks.filter(bookmark => query.matches(bookmark)), sort)
+                .map(bookmark => bookmark.id);
+        }
+
+        return bookmarks
+            .map(bookmark => ({ bookmark, match: query.evaluate(bookmark) }))
+            .filter(result => result.match)
+            .sort((a, b) =>
+                b.match.score - a.match.score ||
+                String(b.bookmark.createdAt).localeCompare(String(a.bookmark.createdAt))
+            )
+            .map(result => result.bookmark.id);
+    }
+
+    // Keys of bookmarks carrying all (and) or any (or) of the tags, from the tags index
+    async getIdsByTags(tags, mode = 'and') {
+        const idSets = await Promise.all(tags.map(tag => this.getIdsByTag(tag)));
+
+        if (mode === 'or') {
+            return new Set(idSets.flatMap(ids => [...ids]));
+        }
+        return idSets.reduce((result, ids) => this.intersect(result, ids), null);
+    }
+
+    async getIdsByTag(tag) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('tags').getAllKeys(tag);
+
+            request.onsuccess = () => resolve(new Set(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Distinct tag names, visiting each index key once
+    async getTagNames() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('tags');
+            const request = index.openKeyCursor(null, 'nextunique');
+            const tags = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    tags.push(cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(tags);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // tag: in a search is case-insensitive, so resolve each term to the stored spellings first
+    async getIdsByTagsIgnoringCase(terms) {
+        const storedTags = await this.getTagNames();
+        const idSets = await Promise.all(terms.map(term =>
+            this.getIdsByTags(storedTags.filter(tag => tag.toLowerCase() === term), 'or')
+        ));
+        return idSets.reduce((result, ids) => this.intersect(result, ids), null);
+    }
+
+    // Keys of the bookmarks (among candidates, unless null) whose key in the index passes test,
+    // walking index keys without loading the records
+    async getIdsByIndexKey(indexName, candidates, test) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index(indexName).openKeyCursor();
+            const ids = new Set();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(ids);
+                    return;
+                }
+                if ((!candidates || candidates.has(cursor.primaryKey)) && test(cursor.key)) ids.add(cursor.primaryKey);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Keys in createdAt order (newest first) within an optional key range, optionally
+    // limited to a set of keys. Reads index keys only, never loading the records
+    async getIdsByCreatedAt(range = null, onlyIds = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('createdAt');
+            const request = index.getAllKeys(range);
+
+            request.onsuccess = () => {
+                const ids = onlyIds ? request.result.filter(id => onlyIds.has(id)) : request.result;
+                resolve(ids.reverse());
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // createdAt holds ISO 8601 UTC strings, which sort chronologically
+    createdAtRange(after, before) {
+        const lower = after ? after.toISOString() : undefined;
+        const upper = before ? before.toISOString() : undefined;
+
+        if (lower && upper) return IDBKeyRange.bound(lower, upper, false, true);
+        if (lower) return IDBKeyRange.lowerBound(lower);
+        return IDBKeyRange.upperBound(upper, true);
+    }
+
+    // null stands for "no restriction"
+    intersect(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return new Set([...a].filter(id => b.has(id)));
+    }
+}
+
+// ==================== Fuzzy Matching ====================
+class FuzzyMatcher {
+    constructor() {
+        this.pinyinMap = null;
+        this.variantCache = new Map();
+    }
+
+    // Character → syllable lookup built from PINYIN_TABLE (pinyin.js) on first use
+    getPinyinMap() {
+        if (!this.pinyinMap) {
+            this.pinyinMap = new Map();
+            Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+                for (const char of chars) this.pinyinMap.set(char, syllable);
+            });
+        }
+        return this.pinyinMap;
+    }
+
+    // Searchable forms of a text: the text itself and, when it contains Chinese, its full
+    // pinyin ("shejisucai") and initials ("sjsc"). map[i] is the index of the original
+    // character that produced variant character i, used to highlight matches
+    getVariants(text) {
+        if (this.variantCache.has(text)) return this.variantCache.get(text);
+
+        const lower = text.toLowerCase();
+        const variants = [{ kind: 'text', text: lower, map: this.range(0, lower.length), weight: 1 }];
+        const pinyinMap = this.getPinyinMap();
+
+        if ([...lower].some(char => pinyinMap.has(char))) {
+            const full = { kind: 'pinyin', text: '', map: [], weight: 0.9 };
+            const initials = { kind: 'initials', text: '', map: [], weight: 0.8 };
+
+            for (let i = 0; i < lower.length; i++) {
+                if (/\s/.test(lower[i])) continue;
+
+                const spelled = pinyinMap.get(lower[i]) || lower[i];
+                full.text += spelled;
+                spelled.split('').forEach(() => full.map.push(i));
+                initials.text += spelled[0];
+                initials.map.push(i);
+            }
+
+            variants.push(full, initials);
+        }
+
+        // Names change rarely; bound the cache rather than tracking edits
+        if (this.variantCache.size > 20000) this.variantCache.clear();
+        this.variantCache.set(text, variants);
+        return variants;
+    }
+
+    // Best match of a lowercase query in text, or null. Returns { score, ranges } where
+    // ranges are [start, end) spans of the original text. Without fuzzy only substrings count
+    match(query, text, { fuzzy = true } = {}) {
+        let best = null;
+
+        for (const variant of this.getVariants(text)) {
+            // Pinyin forms only make sense for Latin-letter queries of two or more letters
+            if (variant.kind !== 'text' && (!fuzzy || query.length < 2 || !/^[a-z]+$/.test(query))) continue;
+
+            const result = this.matchVariant(query, variant, fuzzy);
+            if (result && (!best || result.score > best.score)) best = result;
+        }
+
+        return best;
+    }
+
+    matchVariant(query, variant, fuzzy) {
+        const { text, map, weight } = variant;
+        const index = text.indexOf(query);
+        let positions = null;
+        let score = 0;
+
+        if (index !== -1) {
+            positions = this.range(index, index + query.length);
+            score = 100;
+            if (index === 0) score += 20;
+            else if (!/[a-z0-9]/.test(text[index - 1])) score += 10;
+            if (query.length === text.length) score += 30;
+        } else if (fuzzy && variant.kind !== 'initials' && query.length >= 2 &&
+                   (positions = this.findSubsequence(query, text))) {
+            const span = positions[positions.length - 1] - positions[0] + 1;
+            score = 40 + 30 * (query.length / span);
+        } else if (fuzzy && variant.kind !== 'initials' && query.length >= 4) {
+            const approximate = this.findApproximate(query, text);
+            if (!approximate) return null;
+            positions = this.range(approximate.start, approximate.end);
+            score = 40 - 10 * approximate.distance;
+        } else {
+            return null;
+        }
+
+        return { score: score * weight, ranges: this.toRanges(positions.map(position => map[position])) };
+    }
+
+    // Tightest occurrence of the query's characters in order, at most twice the query's length
+    findSubsequence(query, text) {
+        let best = null;
+
+        for (let start = text.indexOf(query[0]); start !== -1; start = text.indexOf(query[0], start + 1)) {
+            const positions = [start];
+            let j = start + 1;
+
+            for (let i = 1; i < query.length && j < text.length; j++) {
+                if (text[j] === query[i]) {
+                    positions.push(j);
+                    i++;
+                }
+            }
+
+            if (positions.length === query.length) {
+                const span = positions[positions.length - 1] - start + 1;
+                if (span <= query.length * 2 && (!best || span < best[best.length - 1] - best[0] + 1)) {
+                    best = positions;
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Substring of text within a small edit distance of the query (insertions, deletions,
+    // substitutions and swapped neighbours). One typo is allowed, two from eight characters
+    findApproximate(query, text) {
+        const maxDistance = query.length >= 8 ? 2 : 1;
+        const n = text.length;
+        // Row 0 is free at every position: a match may start anywhere in the text
+        let before = null;
+        let previous = { cost: new Array(n + 1).fill(0), start: [...Array(n + 1).keys()] };
+
+        for (let i = 1; i <= query.length; i++) {
+            const current = { cost: [i], start: [0] };
+
+            for (let j = 1; j <= n; j++) {
+                const options = [
+                    [previous.cost[j - 1] + (query[i - 1] === text[j - 1] ? 0 : 1), previous.start[j - 1]],
+                    [previous.cost[j] + 1, previous.start[j]],
+                    [current.cost[j - 1] + 1, current.start[j - 1]]
+                ];
+                if (before && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+                    options.push([before.cost[j - 2] + 1, before.start[j - 2]]);
+                }
+
+                const [cost, start] = options.reduce((min, option) => (option[0] < min[0] ? option : min));
+                current.cost.push(cost);
+                current.start.push(start);
+            }
+
+            before = previous;
+            previous = current;
+        }
+
+        let end = 0;
+        for (let j = 1; j <= n; j++) {
+            if (previous.cost[j] < previous.cost[end]) end = j;
+        }
+
+        const distance = previous.cost[end];
+        return distance <= maxDistance && end > previous.start[end]
+            ? { distance, start: previous.start[end], end }
+            : null;
+    }
+
+    range(start, end) {
+        return Array.from({ length: end - start }, (_, i) => start + i);
+    }
+
+    // Collapse sorted character indexes into [start, end) spans
+    toRanges(indexes) {
+        const ranges = [];
+
+        [...new Set(indexes)].sort((a, b) => a - b).forEach(index => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === index) {
+                last[1] = index + 1;
+            } else {
+                ranges.push([index, index + 1]);
+            }
+        });
+
+        return ranges;
+    }
+}
+
+// ==================== Search Query ====================
+class QuerySyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+    }
+}
+
+// Search syntax:
+//   设计 "ui kit"          plain words and quoted phrases match name, URL, tags or notes; names
+//                          and tags also match fuzzily, by pinyin ("sheji") and initials ("sj")
+//   name: url: site: tag:  restrict a term to one field; note: searches the notes only
+//   rating:>=4             rating equal to, or with > >= < <= compared to, 1–5 (0 is unrated)
+//   is:archived            archived bookmarks, which are otherwise left out of the list
+//   after:2025-01          createdAt on or after the start of a year, month or day
+//   before:2025-06-15      createdAt before the start of a year, month or day
+//   -term                  exclude matches
+//   a OR b                 either term; OR binds tighter than the implicit AND between terms
+class SearchQuery {
+    constructor(text, matcher = new FuzzyMatcher()) {
+        this.text = text;
+        this.matcher = matcher;
+        // AND of OR-groups: every group needs at least one matching clause
+        this.groups = this.parse(text);
+    }
+
+    parse(text) {
+        const groups = [];
+        let pendingOr = false;
+
+        this.tokenize(text).forEach(token => {
+            if (token.field === 'any' && !token.negate && !token.quoted && token.value === 'OR') {
+                if (groups.length === 0 || pendingOr) {
+                    throw new QuerySyntaxError(i18n.t('query.orNeedsTerms'));
+                }
+                pendingOr = true;
+                return;
+            }
+
+            const clause = this.createClause(token);
+            if (pendingOr) {
+                groups[groups.length - 1].push(clause);
+                pendingOr = false;
+            } else {
+                groups.push([clause]);
+            }
+        });
+
+        if (pendingOr) {
+            throw new QuerySyntaxError(i18n.t('query.orNeedsTerms'));
+        }
+
+        this.checkDateRange(groups);
+        return groups;
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            const token = { negate: false, field: 'any', value: '', quoted: false, raw: '' };
+            const start = i;
+
+            if (text[i] === '-') {
+                token.negate = true;
+                i++;
+            }
+
+            // Unknown prefixes such as "https:" are left alone and searched as plain text
+            const qualifier = text.slice(i).match(/^(name|url|site|tag|note|rating|is|before|after):/i);
+            if (qualifier) {
+                token.field = qualifier[1].toLowerCase();
+                i += qualifier[0].length;
+            }
+
+            if (text[i] === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new QuerySyntaxError(i18n.t('query.unclosedQuote'));
+                }
+                token.value = text.slice(i + 1, end);
+                token.quoted = true;
+                i = end + 1;
+            } else {
+                token.value = text.slice(i).match(/^\S*/)[0];
+                i += token.value.length;
+            }
+
+            token.raw = text.slice(start, i);
+            tokens.push(token);
+        }
+
+        return tokens;
+    }
+
+    createClause({ negate, field, value, raw }) {
+        if (!value.trim()) {
+            throw new QuerySyntaxError(i18n.t('query.missingTerm', { raw }));
+        }
+
+        if (field === 'before' || field === 'after') {
+            return { negate, field, date: this.parseDate(value) };
+        }
+        if (field === 'rating') {
+            return { negate, field, ...this.parseRating(value) };
+        }
+        if (field === 'is' && value.toLowerCase() !== 'archived') {
+            throw new QuerySyntaxError(i18n.t('query.invalidIs', { raw }));
+        }
+
+        return { negate, field, value: value.toLowerCase() };
+    }
+
+    // "4", ">=4", "<3" …; 0 stands for unrated
+    parseRating(value) {
+        const match = value.match(/^(>=|<=|>|<|=)?([0-5])$/);
+        if (!match) {
+            throw new QuerySyntaxError(i18n.t('query.invalidRating', { value }));
+        }
+        return { operator: match[1] || '=', rating: Number(match[2]) };
+    }
+
+    // YYYY, YYYY-MM or YYYY-MM-DD, resolved to the start of that period in local time
+    parseDate(value) {
+        const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        const year = match && Number(match[1]);
+        const month = match && match[2] ? Number(match[2]) : 1;
+        const day = match && match[3] ? Number(match[3]) : 1;
+        const date = match ? new Date(year, month - 1, day) : null;
+
+        if (!date || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            throw new QuerySyntaxError(i18n.t('query.invalidDate', { value }));
+        }
+
+        return date;
+    }
+
+    checkDateRange(groups) {
+        const required = groups.filter(group => group.length === 1 && !group[0].negate).map(group => group[0]);
+        const after = required.filter(clause => clause.field === 'after').map(clause => clause.date);
+        const before = required.filter(clause => clause.field === 'before').map(clause => clause.date);
+
+        if (after.length && before.length && Math.max(...after) >= Math.min(...before)) {
+            throw new QuerySyntaxError(i18n.t('query.invalidRange'));
+        }
+    }
+
+    matches(bookmark) {
+        return this.evaluate(bookmark) !== null;
+    }
+
+    // Whether the query asks for archived bookmarks, which the list leaves out otherwise
+    includesArchived() {
+        return this.groups.some(group => group.some(clause => clause.field === 'is' && !clause.negate));
+    }
+
+    // Required tag:, date, name: and site: terms, which BookmarkDB can narrow with its indexes
+    getIndexConstraints() {
+        const required = this.groups
+            .filter(group => group.length === 1 && !group[0].negate)
+            .map(group => group[0]);
+        const after = required.filter(clause => clause.field === 'after').map(clause => clause.date);
+        const before = required.filter(clause => clause.field === 'before').map(clause => clause.date);
+
+        return {
+            tags: required.filter(clause => clause.field === 'tag').map(clause => clause.value),
+            names: required.filter(clause => clause.field === 'name').map(clause => clause.value),
+            sites: required.filter(clause => clause.field === 'site').map(clause => clause.value),
+            after: after.length ? new Date(Math.max(...after)) : null,
+            before: before.length ? new Date(Math.min(...before)) : null
+        };
+    }
+
+    // Whether a name index key matches a required name: term, as matchName would
+    matchesNameKey(term, name) {
+        return Boolean(this.matcher.match(term, String(name), { fuzzy: true }));
+    }
+
+    // Whether a normalizedUrl index key (the address without its scheme) is on a site: term's
+    // site. Keys of other schemes may pass too; the full evaluation drops them
+    matchesUrlKey(site, normalizedUrl) {
+        return this.matchSite(`https://${normalizedUrl}`, site);
+    }
+
+    // null when the bookmark doesn't match, otherwise its relevance score and the
+    // spans of its name and tags to highlight
+    evaluate(bookmark) {
+        const result = { score: 0, highlights: { name: [], tags: new Map() } };
+
+        for (const group of this.groups) {
+            let best = null;
+
+            for (const clause of group) {
+                const match = this.matchClause(clause, bookmark);
+                // Negated clauses contribute nothing to the score or highlights
+                const outcome = clause.negate ? (match ? null : { score: 0 }) : match;
+                if (outcome && (!best || outcome.score > best.score)) best = outcome;
+            }
+
+            if (!best) return null;
+
+            result.score += best.score;
+            if (best.name) result.highlights.name.push(...best.name);
+            if (best.tags) {
+                best.tags.forEach((ranges, tag) => {
+                    result.highlights.tags.set(tag, [...(result.highlights.tags.get(tag) || []), ...ranges]);
+                });
+            }
+        }
+
+        return result;
+    }
+
+    // A match is { score, name?: ranges, tags?: Map(tag → ranges) }, or null.
+    // Negated terms use plain substring matching so fuzziness can't hide extra records
+    matchClause(clause, bookmark) {
+        const fuzzy = !clause.negate;
+        const url = bookmark.url.toLowerCase();
+
+        switch (clause.field) {
+            case 'name':
+                return this.matchName(clause.value, bookmark, fuzzy);
+            case 'url':
+                return url.includes(clause.value) ? { score: 0 } : null;
+            case 'site':
+                return this.matchSite(url, clause.value) ? { score: 0 } : null;
+            case 'tag': {
+                const tag = bookmark.tags.find(candidate => candidate.toLowerCase() === clause.value);
+                return tag ? { score: 0, tags: new Map([[tag, [[0, tag.length]]]]) } : null;
+            }
+            case 'note':
+                return (bookmark.description || '').toLowerCase().includes(clause.value) ? { score: 0 } : null;
+            case 'rating':
+                return this.compareRating(bookmark.rating || 0, clause) ? { score: 0 } : null;
+            case 'is':
+                return bookmark.archivedAt ? { score: 0 } : null;
+            case 'after':
+                return new Date(bookmark.createdAt) >= clause.date ? { score: 0 } : null;
+            case 'before':
+                return new Date(bookmark.createdAt) < clause.date ? { score: 0 } : null;
+            default:
+                return this.matchAnyField(clause.value, bookmark, fuzzy);
+        }
+    }
+
+    matchName(query, bookmark, fuzzy) {
+        const match = this.matcher.match(query, bookmark.name, { fuzzy });
+        return match ? { score: match.score, name: match.ranges } : null;
+    }
+
+    compareRating(rating, { operator, rating: target }) {
+        if (operator === '>') return rating > target;
+        if (operator === '>=') return rating >= target;
+        if (operator === '<') return rating < target;
+        if (operator === '<=') return rating <= target;
+        return rating === target;
+    }
+
+    // Name counts most, then tags, then the URL and notes (which are only matched as substrings)
+    matchAnyField(query, bookmark, fuzzy) {
+        const nameMatch = this.matchName(query, bookmark, fuzzy);
+        const tags = new Map();
+        let score = nameMatch ? nameMatch.score : -1;
+
+        bookmark.tags.forEach(tag => {
+            const match = this.matcher.match(query, tag, { fuzzy });
+            if (match) {
+                tags.set(tag, match.ranges);
+                score = Math.max(score, match.score * 0.8);
+            }
+        });
+
+        const urlMatch = this.matcher.match(query, bookmark.url, { fuzzy: false });
+        if (urlMatch) score = Math.max(score, urlMatch.score * 0.6);
+
+        const noteMatch = bookmark.description && this.matcher.match(query, bookmark.description, { fuzzy: false });
+        if (noteMatch) score = Math.max(score, noteMatch.score * 0.4);
+
+        if (score < 0) return null;
+        return { score, name: nameMatch ? nameMatch.name : [], tags };
+    }
+
+    // site:github.com matches github.com and any subdomain of it
+    matchSite(url, site) {
+        try {
+            const hostname = new URL(url).hostname.replace(/^www\./, '');
+            const domain = site.replace(/^www\./, '');
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        } catch {
+            return false;
+        }
+    }
+}
+
+// ==================== HTML Escaping ====================
+// Safe both as element text and inside a quoted attribute value. The app, rendered notes and
+// exported or published pages all escape through this one function
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ==================== Markdown ====================
+// Renders the Markdown subset used in bookmark notes: paragraphs, line breaks, headings, lists,
+// quotes, fenced code, `code`, **bold**, *italic* and links. All text is escaped before any
+// markup is added, and only http(s) and mailto links are kept, so notes can never inject HTML
+class MarkdownRenderer {
+    render(text) {
+        return this.renderBlocks(String(text || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n'));
+    }
+
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+            } else if (/^\s*```/.test(line)) {
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+                i++;
+                html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            } else if (/^#{1,6}\s/.test(line)) {
+                const [, hashes, title] = line.match(/^(#{1,6})\s+(.*)$/);
+                // Notes sit inside a card, so even # stays smaller than the card's own title
+                const level = Math.min(hashes.length + 3, 6);
+                html.push(`<h${level}>${this.renderInline(title)}</h${level}>`);
+                i++;
+            } else if (/^\s*>/.test(line)) {
+                const quoted = [];
+                for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*> ?/, ''));
+                html.push(`<blockquote>${this.renderBlocks(quoted)}</blockquote>`);
+            } else if (this.getListType(line)) {
+                const type = this.getListType(line);
+                const items = [];
+                for (; i < lines.length && this.getListType(lines[i]) === type; i++) {
+                    items.push(`<li>${this.renderInline(lines[i].replace(/^\s*(?:[-*+]|\d+[.)])\s+/, ''))}</li>`);
+                }
+                html.push(`<${type}>${items.join('')}</${type}>`);
+            } else {
+                const paragraph = [];
+                for (; i < lines.length && lines[i].trim() && !this.startsBlock(lines[i]); i++) paragraph.push(lines[i].trim());
+                html.push(`<p>${paragraph.map(text => this.renderInline(text)).join('<br>')}</p>`);
+            }
+        }
+
+        return html.join('');
+    }
+
+    getListType(line) {
+        if (/^\s*[-*+]\s+/.test(line)) return 'ul';
+        if (/^\s*\d+[.)]\s+/.test(line)) return 'ol';
+        return null;
+    }
+
+    startsBlock(line) {
+        return /^\s*```/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || Boolean(this.getListType(line));
+    }
+
+    // Code spans and links are cut out first so emphasis can't reach into them
+    renderInline(text) {
+        const tokens = [];
+        const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+        let html = escapeHtml(text)
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+                this.isSafeUrl(url) ? hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${this.renderEmphasis(label)}</a>`) : match)
+            .replace(/\bhttps?:\/\/[^\s<\u0000]+[^\s<\u0000.,;:!?)]/g, url =>
+                hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+        html = this.renderEmphasis(html);
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+
+    renderEmphasis(html) {
+        return html
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>');
+    }
+
+    // The URL arrives HTML-escaped, which is also what an attribute value needs
+    isSafeUrl(url) {
+        return /^(https?:\/\/|mailto:)/i.test(url);
+    }
+}
+
+// ==================== Bookmark Importer ====================
+// Columns (EXPORT_COLUMNS keys) of a default CSV export, expected when restoring a CSV backup.
+// Headers are recognized in every language, so an export from either UI restores in the other
+const CSV_COLUMNS = ['id', 'name', 'url', 'tags', 'createdAt'];
+// Further export columns a CSV backup may carry and restores; others are ignored
+const CSV_OPTIONAL_COLUMNS = ['description', 'rating', 'archivedAt'];
+
+class BookmarkImporter {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Pick a parser from the file extension. Every parser returns { kind, entries, errors }
+    parseFile(fileName, content) {
+        const extension = fileName.toLowerCase().split('.').pop();
+
+        if (extension === 'json') return this.parseJsonDump(content);
+        if (extension === 'csv') return this.parseCsv(content);
+        return this.parseNetscapeHtml(content);
+    }
+
+    // Parse the Netscape bookmark file format exported by Chrome, Firefox and Edge
+    parseNetscapeHtml(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const result = { kind: 'html', entries: [], errors: [] };
+
+        doc.querySelectorAll('a[href]').forEach(link => {
+            const url = link.getAttribute('href').trim();
+            const name = link.textContent.trim() || url;
+
+            // Only web links are imported; bookmarklets and browser-internal URLs are skipped
+            if (!this.db.isWebUrl(url)) {
+                result.errors.push({ location: name, message: i18n.t('importer.unsupportedLink') });
+                return;
+            }
+
+            result.entries.push({
+                name,
+                url,
+                tags: this.db.normalizeTags([...this.getFolderPath(link), ...this.getTagsAttribute(link)]),
+                description: this.getDescription(link),
+                createdAt: this.parseAddDate(link.getAttribute('add_date')),
+                // Written by our own export
+                rating: Number(link.getAttribute('rating')) || undefined,
+                archivedAt: this.parseAddDate(link.getAttribute('archived_date'))
+            });
+        });
+
+        return result;
+    }
+
+    // Every <H3> folder above the link becomes a tag, outermost first
+    getFolderPath(link) {
+        const folders = [];
+        let node = link.parentElement;
+
+        while (node) {
+            const heading = node.tagName === 'DL' ? node.previousElementSibling : null;
+            if (heading && heading.tagName === 'H3' && !this.isRootFolder(heading)) {
+                const name = heading.textContent.trim();
+                if (name) folders.unshift(name);
+            }
+            node = node.parentElement;
+        }
+
+        return folders;
+    }
+
+    // Firefox (and our own export) list tags in a comma-separated TAGS attribute
+    getTagsAttribute(link) {
+        const tags = link.getAttribute('tags');
+        return tags ? tags.split(',') : [];
+    }
+
+    // A <DD> right after the link's <DT> holds its description. Line breaks are kept since
+    // notes may be Markdown
+    getDescription(link) {
+        const next = link.parentElement ? link.parentElement.nextElementSibling : null;
+        if (!next || next.tagName !== 'DD') return '';
+
+        const text = next.firstChild && next.firstChild.nodeType === Node.TEXT_NODE ? next.firstChild.textContent : '';
+        return text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).join('\n').trim();
+    }
+
+    // Browser-managed roots ("书签栏", "Other Bookmarks", ...) carry no meaning as tags
+    isRootFolder(heading) {
+        return heading.hasAttribute('personal_toolbar_folder') ||
+            heading.hasAttribute('unfiled_bookmarks_folder');
+    }
+
+    // ADD_DATE is a Unix timestamp in seconds; some exporters write milliseconds or microseconds
+    parseAddDate(value) {
+        let timestamp = parseInt(value, 10);
+        if (!timestamp || timestamp < 0) return null;
+
+        while (timestamp > 1e11) timestamp /= 1000;
+        return new Date(timestamp * 1000);
+    }
+
+    // Parse a CSV export with at least the default columns back into full records
+    parseCsv(text) {
+        const rows = this.parseCsvRows(text.replace(/^\uFEFF/, ''));
+        const header = rows.shift();
+        const columns = header ? header.cells : [];
+        const indexes = new Map();
+        [...CSV_COLUMNS, ...CSV_OPTIONAL_COLUMNS].forEach(key => {
+            const headers = i18n.translations(EXPORT_COLUMNS.find(column => column.key === key).header);
+            const index = columns.findIndex(name => headers.includes(name));
+            if (index !== -1) indexes.set(key, index);
+        });
+
+        if (!CSV_COLUMNS.every(key => indexes.has(key))) {
+            throw new Error('Unrecognized CSV header');
+        }
+
+        const result = { kind: 'backup', entries: [], errors: [] };
+
+        rows.forEach(({ cells, line, unterminated }) => {
+            const location = i18n.t('importer.line', { line });
+
+            if (unterminated) {
+                result.errors.push({ location, message: i18n.t('importer.unclosedQuote') });
+                return;
+            }
+            if (cells.length !== columns.length) {
+                result.errors.push({ location, message: i18n.t('importer.columnCount', { expected: columns.length, actual: cells.length }) });
+                return;
+            }
+
+            const cell = key => (indexes.has(key) ? cells[indexes.get(key)] : '');
+            const [id, name, url, tags, createdAt] = CSV_COLUMNS.map(cell);
+            const record = {
+                id: id ? Number(id) : undefined,
+                name,
+                url,
+                tags: tags.split('，'),
+                createdAt
+            };
+            CSV_OPTIONAL_COLUMNS.forEach(key => {
+                const value = cell(key);
+                if (value) record[key] = key === 'rating' ? Number(value) : value;
+            });
+            this.addBackupRecord(result, location, record);
+        });
+
+        return result;
+    }
+
+    // Split CSV text into rows, honouring quoted cells with embedded commas, quotes and newlines
+    parseCsvRows(text) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endRow = (unterminated = false) => {
+            cells.push(cell);
+            // Skip blank lines
+            if (cells.length > 1 || cells[0] !== '') {
+                rows.push({ cells, line: rowLine, unterminated });
+            }
+            cells = [];
+            cell = '';
+            rowLine = line;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '\n') line++;
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                    line++;
+                }
+                endRow();
+            } else {
+                cell += char;
+            }
+        }
+
+        if (inQuotes || cell || cells.length) endRow(inQuotes);
+
+        return rows;
+    }
+
+    // Parse a JSON dump of the bookmarks object store, keeping any extra fields intact
+    parseJsonDump(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data && data.bookmarks;
+
+        if (!Array.isArray(records)) {
+            throw new Error('JSON dump has no bookmarks array');
+        }
+
+        const result = { kind: 'backup', entries: [], errors: [] };
+
+        records.forEach((record, index) => {
+            const location = i18n.t('importer.record', { index: index + 1 });
+
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                result.errors.push({ location, message: i18n.t('importer.badRecord') });
+                return;
+            }
+            if (record.tags !== undefined && !Array.isArray(record.tags)) {
+                result.errors.push({ location, message: i18n.t('importer.badTags') });
+                return;
+            }
+
+            this.addBackupRecord(result, location, { ...record, tags: record.tags || [] });
+        });
+
+        this.addBackupFolders(result, Array.isArray(data) ? [] : data.folders || []);
+        return result;
+    }
+
+    // Keep the dump's folder tree; parents and folders that aren't part of it fall back to the top level
+    addBackupFolders(result, folders) {
+        result.folders = [];
+
+        folders.forEach((folder, index) => {
+            if (!folder || !Number.isInteger(folder.id) || folder.id <= 0 ||
+                typeof folder.name !== 'string' || !folder.name.trim()) {
+                result.errors.push({ location: i18n.t('importer.folderRecord', { index: index + 1 }), message: i18n.t('importer.badFolder') });
+                return;
+            }
+            result.folders.push({ ...folder, name: folder.name.trim() });
+        });
+
+        const byId = new Map(result.folders.map(folder => [folder.id, folder]));
+        result.folders.forEach(folder => {
+            if (!byId.has(folder.parentId)) folder.parentId = null;
+        });
+        // A parent chain that loops back would hide the whole loop from the tree
+        result.folders.forEach(folder => {
+            const seen = new Set([folder.id]);
+            for (let parent = byId.get(folder.parentId); parent; parent = byId.get(parent.parentId)) {
+                if (seen.has(parent.id)) {
+                    folder.parentId = null;
+                    break;
+                }
+                seen.add(parent.id);
+            }
+        });
+        const folderIds = new Set(byId.keys());
+        result.entries.forEach(record => {
+            if (!folderIds.has(record.folderId)) delete record.folderId;
+        });
+    }
+
+    // Validate one restored record and add it to either entries or errors
+    addBackupRecord(result, location, record) {
+        let message = null;
+
+        if (record.id !== undefined && !(Number.isInteger(record.id) && record.id > 0)) {
+            message = i18n.t('importer.invalidId');
+        } else if (typeof record.name !== 'string' || !record.name.trim()) {
+            message = i18n.t('importer.missingName');
+        } else if (typeof record.url !== 'string' || !this.isValidUrl(record.url)) {
+            message = i18n.t('importer.invalidUrl');
+        } else if (!this.isValidDate(record.createdAt)) {
+            message = i18n.t('importer.invalidCreatedAt');
+        } else if (record.rating != null && !(Number.isInteger(record.rating) && record.rating >= 1 && record.rating <= 5)) {
+            message = i18n.t('importer.invalidRating');
+        } else if (record.archivedAt && !this.isValidDate(record.archivedAt)) {
+            message = i18n.t('importer.invalidArchivedAt');
+        }
+
+        if (message) {
+            result.errors.push({ location, message });
+            return;
+        }
+
+        if (record.id === undefined) delete record.id;
+        if (record.rating == null) delete record.rating;
+        if (record.archivedAt) {
+            record.archivedAt = this.db.toTimestamp(record.archivedAt);
+        } else {
+            delete record.archivedAt;
+        }
+        record.tags = record.tags.map(String);
+        result.entries.push(record);
+    }
+
+    // Split valid entries into new records and duplicates. Replacing clears the store,
+    // so nothing already saved counts as a duplicate
+    classify(entries, existingBookmarks, mode = 'merge') {
+        const normalize = url => this.db.normalizeUrl(url);
+        const seenUrls = new Set(mode === 'merge' ? existingBookmarks.map(bookmark => normalize(bookmark.url)) : []);
+        const result = { fresh: [], duplicates: [] };
+
+        entries.forEach(entry => {
+            const key = normalize(entry.url);
+            if (mode === 'merge' && seenUrls.has(key)) {
+                result.duplicates.push(entry);
+            } else {
+                seenUrls.add(key);
+                result.fresh.push(entry);
+            }
+        });
+
+        return result;
+    }
+
+    isValidUrl(url) {
+        try {
+            new URL(url);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Accept the app's own "YYYY-MM-DD HH:mm" format as well as anything Date can parse
+    isValidDate(value) {
+        return typeof value === 'string' &&
+            (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(value) || !isNaN(Date.parse(value)));
+    }
+}
+
+// ==================== ZIP Writer ====================
+// Minimal ZIP archive builder for the XLSX export. Entries are stored uncompressed, which every
+// ZIP and spreadsheet reader accepts
+class ZipWriter {
+    constructor() {
+        this.files = [];
+        this.encoder = new TextEncoder();
+    }
+
+    addFile(name, content) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.files.push({ name: this.encoder.encode(name), data, crc: this.crc32(data) });
+    }
+
+    toBlob(type = 'application/zip') {
+        const parts = [];
+        const central = [];
+        const { time, date } = this.getDosDateTime(new Date());
+        let offset = 0;
+
+        this.files.forEach(file => {
+            // Bit 11 marks UTF-8 file names
+            const header = this.createHeader(30, [
+                [0x04034b50, 4], [20, 2], [0x0800, 2], [0, 2], [time, 2], [date, 2],
+                [file.crc, 4], [file.data.length, 4], [file.data.length, 4], [file.name.length, 2], [0, 2]
+            ]);
+            central.push(this.createHeader(46, [
+                [0x02014b50, 4], [20, 2], [20, 2], [0x0800, 2], [0, 2], [time, 2], [date, 2],
+                [file.crc, 4], [file.data.length, 4], [file.data.length, 4], [file.name.length, 2],
+                [0, 2], [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]
+            ]), file.name);
+
+            parts.push(header, file.name, file.data);
+            offset += header.length + file.name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.length, 0);
+        const end = this.createHeader(22, [
+            [0x06054b50, 4], [0, 2], [0, 2], [this.files.length, 2], [this.files.length, 2],
+            [centralSize, 4], [offset, 4], [0, 2]
+        ]);
+
+        return new Blob([...parts, ...central, end], { type });
+    }
+
+    // Little-endian fields given as [value, byteLength] pairs
+    createHeader(size, fields) {
+        const view = new DataView(new ArrayBuffer(size));
+        let position = 0;
+
+        fields.forEach(([value, length]) => {
+            if (length === 4) view.setUint32(position, value, true);
+            else view.setUint16(position, value, true);
+            position += length;
+        });
+
+        return new Uint8Array(view.buffer);
+    }
+
+    getDosDateTime(now) {
+        return {
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+    }
+
+    crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// ==================== XLSX Writer ====================
+// Builds an Office Open XML workbook. Cells are strings, numbers, Dates or { text, hyperlink };
+// strings are written inline so long digit runs are never turned into numbers
+class XlsxWriter {
+    constructor() {
+        this.sheets = [];
+    }
+
+    // columns: [{ header, width }]; the header row is bold, frozen and gets an AutoFilter
+    addSheet(name, columns, rows) {
+        this.sheets.push({ name: this.getSheetName(name), columns, rows });
+    }
+
+    toBlob() {
+        const zip = new ZipWriter();
+        const sheetOverrides = this.sheets.map((sheet, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+
+        zip.addFile('[Content_Types].xml', this.xml(
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheetOverrides +
+            '</Types>'
+        ));
+        zip.addFile('_rels/.rels', this.relationships([
+            { type: 'officeDocument', target: 'xl/workbook.xml' }
+        ]));
+        zip.addFile('xl/workbook.xml', this.getWorkbookXml());
+        zip.addFile('xl/_rels/workbook.xml.rels', this.relationships([
+            ...this.sheets.map((sheet, i) => ({ type: 'worksheet', target: `worksheets/sheet${i + 1}.xml` })),
+            { type: 'styles', target: 'styles.xml' }
+        ]));
+        zip.addFile('xl/styles.xml', this.getStylesXml());
+
+        this.sheets.forEach((sheet, i) => {
+            const hyperlinks = [];
+            zip.addFile(`xl/worksheets/sheet${i + 1}.xml`, this.getSheetXml(sheet, hyperlinks));
+            if (hyperlinks.length) {
+                zip.addFile(`xl/worksheets/_rels/sheet${i + 1}.xml.rels`, this.relationships(
+                    hyperlinks.map(target => ({ type: 'hyperlink', target, external: true }))
+                ));
+            }
+        });
+
+        return zip.toBlob('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
+    getWorkbookXml() {
+        const sheets = this.sheets.map((sheet, i) =>
+            `<sheet name="${this.escape(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+        ).join('');
+        // Excel expects a hidden _FilterDatabase name for every AutoFilter
+        const filters = this.sheets.map((sheet, i) =>
+            `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">` +
+            `'${this.escape(sheet.name.replace(/'/g, "''"))}'!${this.getFilterRange(sheet, true)}</definedName>`
+        ).join('');
+
+        return this.xml(
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheets}</sheets><definedNames>${filters}</definedNames></workbook>`
+        );
+    }
+
+    // Cell styles: 0 normal, 1 bold header, 2 hyperlink, 3 date and time
+    getStylesXml() {
+        return this.xml(
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+            '<fonts count="3">' +
+            '<font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>' +
+            '</fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>'
+        );
+    }
+
+    // Hyperlink targets are collected into hyperlinks for the sheet's relationship part
+    getSheetXml(sheet, hyperlinks) {
+        const links = [];
+        const cols = sheet.columns.map((column, i) =>
+            `<col min="${i + 1}" max="${i + 1}" width="${column.width || 16}" customWidth="1"/>`
+        ).join('');
+        const header = sheet.columns.map(column => column.header);
+        const rows = [header, ...sheet.rows].map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = this.getCellRef(columnIndex, rowIndex);
+                if (value && value.hyperlink) {
+                    hyperlinks.push(value.hyperlink);
+                    links.push(`<hyperlink ref="${ref}" r:id="rId${hyperlinks.length}"/>`);
+                }
+                return this.getCellXml(ref, value, rowIndex === 0);
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return this.xml(
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '</sheetView></sheetViews>' +
+            `<cols>${cols}</cols><sheetData>${rows}</sheetData>` +
+            `<autoFilter ref="${this.getFilterRange(sheet)}"/>` +
+            (links.length ? `<hyperlinks>${links.join('')}</hyperlinks>` : '') +
+            '</worksheet>'
+        );
+    }
+
+    getCellXml(ref, value, isHeader) {
+        if (value === null || value === undefined || value === '') return '';
+
+        if (typeof value === 'number') {
+            return `<c r="${ref}"${isHeader ? ' s="1"' : ''}><v>${value}</v></c>`;
+        }
+        if (value instanceof Date) {
+            if (isNaN(value)) return '';
+            return `<c r="${ref}" s="3"><v>${this.getDateSerial(value)}</v></c>`;
+        }
+
+        const text = value.hyperlink ? value.text : String(value);
+        const style = isHeader ? ' s="1"' : (value.hyperlink ? ' s="2"' : '');
+        return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escape(text)}</t></is></c>`;
+    }
+
+    // Days since 1899-12-30 in local time, which is how spreadsheets store dates
+    getDateSerial(date) {
+        const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+        return (local - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    // Header row through the last row, e.g. A1:E42 (or $A$1:$E$42)
+    getFilterRange(sheet, absolute = false) {
+        const lastColumn = Math.max(sheet.columns.length - 1, 0);
+        return `${this.getCellRef(0, 0, absolute)}:${this.getCellRef(lastColumn, sheet.rows.length, absolute)}`;
+    }
+
+    getCellRef(columnIndex, rowIndex, absolute = false) {
+        let letters = '';
+        for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return absolute ? `$${letters}$${rowIndex + 1}` : `${letters}${rowIndex + 1}`;
+    }
+
+    // Sheet names are limited to 31 characters and can't contain : \ / ? * [ ]
+    getSheetName(name) {
+        const base = name.replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet';
+        let unique = base;
+        for (let i = 2; this.sheets.some(sheet => sheet.name === unique); i++) {
+            unique = `${base.slice(0, 31 - String(i).length - 1)}_${i}`;
+        }
+        return unique;
+    }
+
+    relationships(items) {
+        const base = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+        return this.xml(
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            items.map((item, i) =>
+                `<Relationship Id="rId${i + 1}" Type="${base}${item.type}" Target="${this.escape(item.target)}"` +
+                `${item.external ? ' TargetMode="External"' : ''}/>`
+            ).join('') +
+            '</Relationships>'
+        );
+    }
+
+    xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+    }
+
+    // Control characters are not allowed anywhere in XML 1.0
+    escape(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// ==================== Bookmark Exporter ====================
+// Columns offered by the export dialog, with the message key of each header. The default ones
+// match CSV_COLUMNS, so a default CSV export can be imported back as a backup
+const EXPORT_COLUMNS = [
+    { key: 'id', header: 'columns.id', width: 8, default: true },
+    { key: 'name', header: 'columns.name', width: 28, default: true },
+    { key: 'url', header: 'columns.url', width: 48, default: true },
+    { key: 'tags', header: 'columns.tags', width: 24, default: true },
+    { key: 'description', header: 'columns.description', width: 40 },
+    { key: 'rating', header: 'columns.rating', width: 8 },
+    { key: 'createdAt', header: 'columns.createdAt', width: 18, default: true },
+    { key: 'updatedAt', header: 'columns.updatedAt', width: 18 },
+    { key: 'linkState', header: 'columns.linkState', width: 14 },
+    { key: 'visitCount', header: 'columns.visitCount', width: 10 },
+    { key: 'lastVisitedAt', header: 'columns.lastVisitedAt', width: 18 },
+    { key: 'archivedAt', header: 'columns.archivedAt', width: 18 }
+];
+
+class BookmarkExporter {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Same orders as the bookmark list
+    sort(bookmarks, order) {
+        return this.db.sortBookmarks(bookmarks, order);
+    }
+
+    // The chosen columns in dialog order, headed in the current language
+    getColumns(columnKeys) {
+        return EXPORT_COLUMNS
+            .filter(column => columnKeys.includes(column.key))
+            .map(column => ({ ...column, header: i18n.t(column.header) }));
+    }
+
+    getValue(bookmark, key) {
+        switch (key) {
+            case 'tags': return bookmark.tags.join('，');
+            case 'description': return bookmark.description || '';
+            case 'createdAt':
+            case 'updatedAt': return new Date(bookmark[key]);
+            case 'linkState': return this.describeLinkState(bookmark);
+            case 'visitCount': return bookmark.visitCount || 0;
+            case 'lastVisitedAt': return bookmark.lastVisitedAt ? new Date(bookmark.lastVisitedAt) : '';
+            case 'rating': return bookmark.rating || '';
+            case 'archivedAt': return bookmark.archivedAt ? new Date(bookmark.archivedAt) : '';
+            default: return bookmark[key];
+        }
+    }
+
+    describeLinkState(bookmark) {
+        if (!bookmark.linkCheck) return i18n.t('exporter.linkUnchecked');
+        const { status } = bookmark.linkCheck;
+        if (bookmark.linkState === 'broken') {
+            return status ? i18n.t('exporter.linkBroken', { status }) : i18n.t('exporter.linkUnreachable');
+        }
+        if (bookmark.linkState === 'redirected') return i18n.t('exporter.linkRedirected');
+        return i18n.t('exporter.linkOk');
+    }
+
+    // Main sheet, plus a per-tag summary sheet when tagSheet is set
+    toXlsx(bookmarks, columnKeys, { tagSheet = true } = {}) {
+        const writer = new XlsxWriter();
+        const columns = this.getColumns(columnKeys);
+
+        writer.addSheet(i18n.t('exporter.sheet'), columns, bookmarks.map(bookmark => columns.map(column => {
+            const value = this.getValue(bookmark, column.key);
+            return column.key === 'url' && this.isLinkable(value) ? { text: value, hyperlink: value } : value;
+        })));
+
+        if (tagSheet) {
+            writer.addSheet(i18n.t('exporter.tagSheet'), [
+                { header: i18n.t('exporter.tag'), width: 24 },
+                { header: i18n.t('exporter.tagCount'), width: 10 },
+                { header: i18n.t('exporter.tagLatest'), width: 18 }
+            ], this.getTagSummary(bookmarks).map(tag => [tag.name, tag.count, new Date(tag.latest)]));
+        }
+
+        return writer.toBlob();
+    }
+
+    // Only absolute web addresses become clickable; anything else could run in the spreadsheet app
+    isLinkable(url) {
+        return /^https?:\/\//i.test(url);
+    }
+
+    // Most used tags first; untagged bookmarks are counted together in a row of their own
+    getTagSummary(bookmarks) {
+        const tags = new Map();
+        const collator = new Intl.Collator('zh-CN');
+        const untagged = i18n.t('exporter.untagged');
+
+        bookmarks.forEach(bookmark => {
+            (bookmark.tags.length ? bookmark.tags : [untagged]).forEach(name => {
+                const tag = tags.get(name) || { name, count: 0, latest: bookmark.createdAt };
+                tag.count++;
+                if (bookmark.createdAt > tag.latest) tag.latest = bookmark.createdAt;
+                tags.set(name, tag);
+            });
+        });
+
+        return [...tags.values()].sort((a, b) => b.count - a.count || collator.compare(a.name, b.name));
+    }
+
+    toCsv(bookmarks, columnKeys) {
+        const columns = this.getColumns(columnKeys);
+        const quote = cell => `"${String(cell).replace(/"/g, '""')}"`;
+        const rows = bookmarks.map(bookmark => columns.map(column => {
+            const value = this.getValue(bookmark, column.key);
+            return quote(value instanceof Date ? this.db.formatDateTime(value) : value);
+        }).join(','));
+
+        // BOM for Excel UTF-8 support
+        return '\uFEFF' + [columns.map(column => column.header).join(','), ...rows].join('\n');
+    }
+
+    // One section per tag, so a bookmark with several tags is listed under each. Only web
+    // addresses become links. Notes are Markdown already, so they go in as written, indented
+    // under their item
+    toMarkdown(bookmarks) {
+        const lines = [
+            `# ${i18n.t('exporter.title')}`,
+            '',
+            `> ${i18n.t('exporter.summary', { date: this.db.formatDateTime(new Date()), count: bookmarks.length })}`
+        ];
+
+        this.groupByTag(bookmarks).forEach(({ name, bookmarks: items }) => {
+            lines.push('', `## ${name}`, '');
+            items.forEach(bookmark => {
+                const name = this.escapeMarkdown(bookmark.name);
+                const link = this.isLinkable(bookmark.url)
+                    ? `[${name}](${this.encodeMarkdownUrl(bookmark.url)})`
+                    : `${name} (${this.escapeMarkdown(bookmark.url)})`;
+                const details = [
+                    bookmark.rating ? '★'.repeat(bookmark.rating) : '',
+                    bookmark.archivedAt ? i18n.t('exporter.archived') : ''
+                ].filter(Boolean);
+                lines.push(`- ${[link, ...details].join(' ')}`);
+                if (bookmark.description) {
+                    lines.push(...bookmark.description.split(/\r?\n/).map(line => line.trim() ? `  ${line}` : ''));
+                }
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Tags in collation order with untagged bookmarks last; each keeps the export's sort order
+    groupByTag(bookmarks) {
+        const collator = new Intl.Collator('zh-CN', { numeric: true });
+        const groups = new Map();
+        const untagged = [];
+
+        bookmarks.forEach(bookmark => {
+            if (!bookmark.tags.length) untagged.push(bookmark);
+            bookmark.tags.forEach(tag => {
+                if (!groups.has(tag)) groups.set(tag, []);
+                groups.get(tag).push(bookmark);
+            });
+        });
+
+        const sections = [...groups]
+            .sort(([a], [b]) => collator.compare(a, b))
+            .map(([name, items]) => ({ name, bookmarks: items }));
+        if (untagged.length) sections.push({ name: i18n.t('exporter.uncategorized'), bookmarks: untagged });
+        return sections;
+    }
+
+    escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]<>|])/g, '\\$1').replace(/\s+/g, ' ');
+    }
+
+    encodeMarkdownUrl(url) {
+        return url.replace(/[ ()<>]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    }
+
+    // Netscape bookmark file that browsers import. Each bookmark sits in a folder named after its
+    // first tag, and all its tags are kept in the TAGS attribute
+    toNetscapeHtml(bookmarks) {
+        const seconds = value => Math.floor(new Date(value).getTime() / 1000);
+        const folders = new Map();
+        const loose = [];
+
+        bookmarks.forEach(bookmark => {
+            if (!bookmark.tags.length) {
+                loose.push(bookmark);
+                return;
+            }
+            if (!folders.has(bookmark.tags[0])) folders.set(bookmark.tags[0], []);
+            folders.get(bookmark.tags[0]).push(bookmark);
+        });
+
+        const entry = (bookmark, indent) => {
+            const tags = bookmark.tags.length ? ` TAGS="${escapeHtml(bookmark.tags.join(','))}"` : '';
+            // Browsers ignore these; our own import reads them back
+            const rating = bookmark.rating ? ` RATING="${bookmark.rating}"` : '';
+            const archived = bookmark.archivedAt ? ` ARCHIVED_DATE="${seconds(bookmark.archivedAt)}"` : '';
+            const lines = [`${indent}<DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${seconds(bookmark.createdAt)}" ` +
+                `LAST_MODIFIED="${seconds(bookmark.updatedAt)}"${tags}${rating}${archived}>${escapeHtml(bookmark.name)}</A>`];
+            if (bookmark.description) lines.push(`${indent}<DD>${escapeHtml(bookmark.description)}`);
+            return lines;
+        };
+
+        const lines = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>'
+        ];
+        folders.forEach((items, tag) => {
+            lines.push(`    <DT><H3>${escapeHtml(tag)}</H3>`, '    <DL><p>');
+            items.forEach(bookmark => lines.push(...entry(bookmark, '        ')));
+            lines.push('    </DL><p>');
+        });
+        loose.forEach(bookmark => lines.push(...entry(bookmark, '    ')));
+        lines.push('</DL><p>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Standalone read-only directory page: the stylesheet inlined, a section of cards (drawn by
+    // renderCard) per tag, and publishedPageScript for searching them. Given tags, only their
+    // sections are shown
+    toDirectoryPage(bookmarks, { title, stylesheet = '', renderCard, tags = [] }) {
+        const sections = this.groupByTag(bookmarks).filter(section => !tags.length || tags.includes(section.name));
+        const count = section => `<span class="tag-list-count">${section.bookmarks.length}</span>`;
+
+        return `<!DOCTYPE html>
+<html lang="${i18n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+${stylesheet.replace(/<\/style/gi, '<\\/style')}
+    </style>
+</head>
+<body class="published-page">
+    <header class="header">
+        <div class="container">
+            <div class="header-content">
+                <h1 class="logo">${escapeHtml(title)}</h1>
+                <div class="search-container">
+                    <div class="search-box">
+                        <svg class="search-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="11" cy="11" r="8"></circle>
+                            <path d="m21 21-4.35-4.35"></path>
+                        </svg>
+                        <input type="search" id="publishedSearch" class="search-input" placeholder="${escapeHtml(i18n.t('publish.searchPlaceholder'))}">
+                    </div>
+                </div>
+            </div>
+        </div>
+    </header>
+    <main class="main-content">
+        <div class="container">
+            <p class="published-summary">${escapeHtml(i18n.t('publish.pageSummary', { count: bookmarks.length, date: this.db.formatDateTime(new Date()) }))}</p>
+            <nav class="published-nav bookmark-tags" aria-label="${escapeHtml(i18n.t('publish.tagNav'))}">
+                ${sections.map((section, index) => `<a class="tag" href="#section-${index}">${escapeHtml(section.name)} ${count(section)}</a>`).join('\n                ')}
+            </nav>
+${sections.map((section, index) => `
+            <section class="published-section" id="section-${index}">
+                <h2>${escapeHtml(section.name)} ${count(section)}</h2>
+                <div class="bookmarks-grid">
+                    ${section.bookmarks.map(bookmark => renderCard(bookmark)).join('')}
+                </div>
+            </section>`).join('\n')}
+            <p id="publishedEmpty" class="published-empty" hidden>${escapeHtml(i18n.t('publish.noResults'))}</p>
+        </div>
+    </main>
+    <script>
+(${publishedPageScript})();
+    </script>
+</body>
+</html>
+`;
+    }
+}
+
+// Runs inside a published directory page, serialized into it, so it can only rely on that page's
+// markup. Every word typed must appear in a card; a card's tag searches for that tag
+function publishedPageScript() {
+    const search = document.getElementById('publishedSearch');
+    const sections = [...document.querySelectorAll('.published-section')];
+    const cards = [...document.querySelectorAll('.bookmark-card')].map(card => ({
+        card,
+        text: `${card.textContent} ${card.querySelector('.bookmark-url').href}`.toLowerCase()
+    }));
+
+    const filter = () => {
+        const words = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+        cards.forEach(({ card, text }) => {
+            card.hidden = !words.every(word => text.includes(word));
+        });
+        sections.forEach(section => {
+            section.hidden = !section.querySelector('.bookmark-card:not([hidden])');
+        });
+        document.getElementById('publishedEmpty').hidden = sections.some(section => !section.hidden);
+    };
+
+    search.addEventListener('input', filter);
+    document.addEventListener('click', (e) => {
+        const tag = e.target.closest('.bookmark-card .tag');
+        if (!tag) return;
+        search.value = tag.dataset.tag;
+        filter();
+        window.scrollTo({ top: 0 });
+    });
+}
+
+// ==================== Backup ====================
+const BACKUP_FORMAT = 'bookmark-backup';
+
+// localStorage keys restored along with the data; sync credentials and per-device state stay out
+const BACKUP_SETTINGS = ['trashRetentionDays', 'sortOrder', 'collapsedFolders', 'quickAddOptions', 'language'];
+
+// Rolling snapshots kept, and how old the newest may get before another is taken
+const SNAPSHOT_LIMIT = 7;
+const SNAPSHOT_INTERVAL = 24 * 60 * 60 * 1000;
+
+// PBKDF2-SHA-256 rounds turning a passphrase into the AES-GCM key
+const BACKUP_KDF_ITERATIONS = 310000;
+
+// Thrown for files that can't be restored; the message is shown to the user
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+// Full backups: { format, version, schemaVersion, createdAt, stores, settings } where stores holds
+// every record of every store but the device-local ones. With a passphrase the file is
+// { format, version, encryption, data }, data being the backup encrypted with AES-GCM
+class BookmarkBackup {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create() {
+        return {
+            format: BACKUP_FORMAT,
+            version: 1,
+            schemaVersion: this.db.version,
+            createdAt: new Date().toISOString(),
+            stores: await this.db.dumpStores(),
+            settings: this.readSettings()
+        };
+    }
+
+    // Replaces the data and settings with the backup's
+    async restore(backup) {
+        await this.db.restoreStores(backup.stores);
+        this.writeSettings(backup.settings || {});
+    }
+
+    readSettings() {
+        const settings = {};
+        BACKUP_SETTINGS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) settings[key] = value;
+        });
+        return settings;
+    }
+
+    writeSettings(settings) {
+        BACKUP_SETTINGS.forEach(key => {
+            if (typeof settings[key] === 'string') {
+                localStorage.setItem(key, settings[key]);
+            } else {
+                localStorage.removeItem(key);
+            }
+        });
+    }
+
+    // File contents, encrypted when a passphrase is given
+    async serialize(backup, passphrase = '') {
+        if (!passphrase) return JSON.stringify(backup);
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(backup)));
+
+        return JSON.stringify({
+            format: BACKUP_FORMAT,
+            version: 1,
+            encryption: {
+                cipher: 'AES-GCM',
+                kdf: 'PBKDF2-SHA-256',
+                iterations: BACKUP_KDF_ITERATIONS,
+                salt: this.toBase64(salt),
+                iv: this.toBase64(iv)
+            },
+            data: this.toBase64(new Uint8Array(data))
+        });
+    }
+
+    isBackup(text) {
+        try {
+            return JSON.parse(text).format === BACKUP_FORMAT;
+        } catch {
+            return false;
+        }
+    }
+
+    // The file's JSON; encrypted files still need decrypt()
+    parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch {
+            throw new BackupError(i18n.t('backup.notJson'));
+        }
+        if (!file || file.format !== BACKUP_FORMAT) throw new BackupError(i18n.t('backup.notBackup'));
+        if (file.version > 1) throw new BackupError(i18n.t('backup.newerVersion'));
+        return file;
+    }
+
+    isEncrypted(file) {
+        return Boolean(file.encryption);
+    }
+
+    async decrypt(file, passphrase) {
+        const { salt, iv, iterations } = file.encryption;
+        let plain;
+
+        try {
+            const key = await this.deriveKey(passphrase, this.fromBase64(salt), iterations);
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(file.data));
+        } catch {
+            // AES-GCM can't tell a wrong passphrase from a tampered file
+            throw new BackupError(i18n.t('backup.wrongPassphrase'));
+        }
+        return this.parse(new TextDecoder().decode(plain));
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Throws BackupError unless the backup fits this database
+    validate(backup) {
+        if (!backup.stores || typeof backup.stores !== 'object' || Array.isArray(backup.stores)) {
+            throw new BackupError(i18n.t('backup.incomplete'));
+        }
+        if (backup.schemaVersion > this.db.version) throw new BackupError(i18n.t('backup.newerVersion'));
+        if (backup.settings !== undefined && (typeof backup.settings !== 'object' || Array.isArray(backup.settings))) {
+            throw new BackupError(i18n.t('backup.badSettings'));
+        }
+
+        const storeNames = this.db.getBackupStoreNames();
+        Object.entries(backup.stores).forEach(([name, records]) => {
+            if (!storeNames.includes(name)) throw new BackupError(i18n.t('backup.unknownStore', { name }));
+            if (!Array.isArray(records) || !records.every(record => this.isValidStoreRecord(name, record))) {
+                throw new BackupError(name === this.db.storeName
+                    ? i18n.t('backup.badBookmarks')
+                    : i18n.t('backup.badStore', { name }));
+            }
+        });
+        return backup;
+    }
+
+    // One record of a backed-up store
+    isValidStoreRecord(name, record) {
+        const isKey = value => Number.isInteger(value) && value > 0;
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return false;
+
+        switch (name) {
+            case this.db.storeName:
+                return (record.id === undefined || isKey(record.id)) &&
+                    (record.folderId === undefined || isKey(record.folderId)) && this.isValidBookmark(record);
+            case this.db.trashStoreName:
+                return isKey(record.trashId) && this.db.isIsoDate(record.deletedAt) && this.isValidBookmark(record.bookmark);
+            case this.db.folderStoreName:
+                return isKey(record.id) && typeof record.name === 'string' && record.name.trim() !== '' &&
+                    (record.parentId == null || isKey(record.parentId));
+            case this.db.settingsStoreName:
+                return typeof record.key === 'string';
+            default:
+                return false;
+        }
+    }
+
+    // Bookmarks, live or in the trash, follow the rules a sync applies (BookmarkDB.isValidRecord)
+    // as normalizeRecord leaves them, since one from an older schema is brought up to date on
+    // restore. A date it would have to make up counts as invalid
+    isValidBookmark(bookmark) {
+        if (!bookmark || typeof bookmark !== 'object' || typeof bookmark.url !== 'string') return false;
+        const hasDate = field => this.db.toTimestamp(bookmark[field]) !== null;
+        if (!hasDate('createdAt') || (bookmark.updatedAt !== undefined && !hasDate('updatedAt'))) return false;
+
+        return this.db.isValidRecord(this.db.normalizeRecord(bookmark));
+    }
+
+    // What restoring would change: bookmarks added, removed and changed (matched by syncId, names
+    // listed), record counts of the other stores, and settings that differ
+    async diff(backup) {
+        const current = await this.db.dumpStores();
+        const key = record => record.syncId || `id:${record.id}`;
+        const before = new Map((current[this.db.storeName] || []).map(record => [key(record), record]));
+        const bookmarks = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        (backup.stores[this.db.storeName] || []).forEach(record => {
+            const existing = before.get(key(record));
+            before.delete(key(record));
+
+            if (!existing) {
+                bookmarks.added.push(record.name);
+            } else if (JSON.stringify(this.db.normalizeRecord(record)) !== JSON.stringify(existing)) {
+                bookmarks.changed.push(record.name);
+            } else {
+                bookmarks.unchanged++;
+            }
+        });
+        before.forEach(record => bookmarks.removed.push(record.name));
+
+        const stores = Object.keys(current)
+            .filter(name => name !== this.db.storeName && name !== this.db.settingsStoreName)
+            .map(name => ({ name, before: current[name].length, after: (backup.stores[name] || []).length }));
+        const settings = this.readSettings();
+        const changedSettings = BACKUP_SETTINGS.filter(name => settings[name] !== (backup.settings || {})[name]);
+
+        // Settings in the settings store count as settings too, one per key
+        const stored = records => new Map((records || []).map(record => [record.key, JSON.stringify(record.value)]));
+        const storedBefore = stored(current[this.db.settingsStoreName]);
+        const storedAfter = stored(backup.stores[this.db.settingsStoreName]);
+        new Set([...storedBefore.keys(), ...storedAfter.keys()]).forEach(key => {
+            if (storedBefore.get(key) !== storedAfter.get(key)) changedSettings.push(key);
+        });
+
+        return { bookmarks, stores, settings: changedSettings };
+    }
+
+    // Snapshot unless the newest is younger than SNAPSHOT_INTERVAL; resolves to whether one was taken
+    async snapshotIfDue() {
+        const latest = await this.db.getLatestSnapshotTime();
+        if (latest && Date.now() - Date.parse(latest) < SNAPSHOT_INTERVAL) return false;
+
+        await this.db.addSnapshot(await this.create(), SNAPSHOT_LIMIT);
+        return true;
+    }
+
+    // In chunks: spreading a large array into fromCharCode overflows the stack
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// ==================== Endpoint Client ====================
+// Most sites don't send CORS headers, so requests for other sites can go through a proxy: the
+// endpoint is a URL template where {url} is replaced by the encoded target (appended when
+// there's no placeholder). An empty endpoint fetches directly
+class EndpointClient {
+    constructor(endpoint = '', timeout = 8000) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
+
+    // Rejects on network errors, timeouts and non-2xx answers from the endpoint
+    async fetch(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(this.getRequestUrl(url), { signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    getRequestUrl(url) {
+        if (!this.endpoint) return url;
+        if (this.endpoint.includes('{url}')) return this.endpoint.replace('{url}', encodeURIComponent(url));
+        return this.endpoint + encodeURIComponent(url);
+    }
+}
+
+// ==================== Metadata Resolver ====================
+// Fetches a page to fill in its title, description and favicon.
+// Any object with resolve(url) can stand in for this class
+class MetadataResolver {
+    constructor({ endpoint = '', timeout = 8000, maxIconSize = 64 * 1024 } = {}) {
+        this.client = new EndpointClient(endpoint, timeout);
+        this.maxIconSize = maxIconSize;
+    }
+
+    // Resolves to { title, description, favicon } with empty strings for anything not found;
+    // favicon is a data URL so it keeps working offline and when the site is gone
+    async resolve(url) {
+        const response = await this.client.fetch(url);
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const baseUrl = this.getBaseUrl(doc, url);
+
+        const title = this.getMeta(doc, 'og:title') ||
+            (doc.querySelector('title') ? doc.querySelector('title').textContent : '');
+        const description = this.getMeta(doc, 'og:description') || this.getMeta(doc, 'description');
+        const favicon = await this.fetchFavicon(this.getIconUrl(doc, baseUrl)).catch(error => {
+            console.warn('Favicon fetch error:', error);
+            return '';
+        });
+
+        return {
+            title: this.cleanText(title),
+            description: this.cleanText(description),
+            favicon
+        };
+    }
+
+    // Relative links resolve against <base href> when the page sets one
+    getBaseUrl(doc, url) {
+        const base = doc.querySelector('base[href]');
+        try {
+            return base ? new URL(base.getAttribute('href'), url).href : url;
+        } catch {
+            return url;
+        }
+    }
+
+    getMeta(doc, key) {
+        const meta = doc.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+        return meta ? meta.getAttribute('content') || '' : '';
+    }
+
+    // Prefer an explicit rel="icon" (or "shortcut icon"), then the touch icon, then /favicon.ico
+    getIconUrl(doc, baseUrl) {
+        const links = [...doc.querySelectorAll('link[rel][href]')];
+        const hasRel = (link, rel) => link.getAttribute('rel').toLowerCase().split(/\s+/).includes(rel);
+        const icon = links.find(link => hasRel(link, 'icon')) ||
+            links.find(link => hasRel(link, 'apple-touch-icon'));
+
+        try {
+            return new URL(icon ? icon.getAttribute('href') : '/favicon.ico', baseUrl).href;
+        } catch {
+            return '';
+        }
+    }
+
+    async fetchFavicon(iconUrl) {
+        if (!iconUrl) return '';
+        if (iconUrl.startsWith('data:')) return /^data:image\//.test(iconUrl) ? iconUrl : '';
+
+        const blob = await (await this.client.fetch(iconUrl)).blob();
+        if (blob.size === 0 || blob.size > this.maxIconSize || !blob.type.startsWith('image/')) return '';
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    cleanText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// ==================== Link Checker ====================
+// Link states that need attention; 'ok' is the only other value
+const LINK_ISSUE_STATES = ['broken', 'redirected'];
+
+// Background job that checks every bookmark's URL, one request at a time with a pause in
+// between. Pages can't read cross-origin status codes, so the endpoint (a template as in
+// EndpointClient) must answer with JSON { "status": 404, "url": "<final URL>" }, using status 0
+// for hosts that can't be reached. Progress is saved in localStorage, so a reload resumes the job
+class LinkChecker {
+    constructor(db, { endpoint = '', interval = 1500, timeout = 20000, storageKey = 'linkCheckProgress' } = {}) {
+        this.db = db;
+        this.client = new EndpointClient(endpoint, timeout);
+        this.interval = interval;
+        this.storageKey = storageKey;
+        this.runId = 0;
+        this.running = false;
+        this.onProgress = () => {};
+        this.onChecked = () => {};
+        this.onFinish = () => {};
+        this.onError = () => {};
+    }
+
+    isConfigured() {
+        return Boolean(this.client.endpoint);
+    }
+
+    // { lastId, checked, flagged, paused } while a job is underway, otherwise null
+    getProgress() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {
+            return null;
+        }
+    }
+
+    saveProgress(progress) {
+        localStorage.setItem(this.storageKey, JSON.stringify(progress));
+    }
+
+    // Continue a job that a reload interrupted, unless it had been paused
+    resume() {
+        const progress = this.getProgress();
+        if (progress && !progress.paused && this.isConfigured()) this.start();
+    }
+
+    async start() {
+        if (this.running) return;
+
+        const runId = ++this.runId;
+        const progress = this.getProgress() || { lastId: null, checked: 0, flagged: 0 };
+        progress.paused = false;
+        this.saveProgress(progress);
+        this.running = true;
+
+        try {
+            const ids = await this.db.getIdsAfter(progress.lastId);
+            const total = progress.checked + ids.length;
+
+            for (const id of ids) {
+                if (runId !== this.runId) return;
+                this.onProgress(progress.checked, total);
+
+                const bookmark = await this.db.get(id);
+                if (bookmark) {
+                    const check = await this.checkUrl(bookmark.url);
+                    const state = this.classify(bookmark.url, check);
+                    const record = await this.db.recordLinkCheck(id, check, state);
+                    if (runId !== this.runId) return;
+                    if (state !== 'ok') progress.flagged++;
+                    if (record) this.onChecked(record);
+                }
+
+                progress.lastId = id;
+                progress.checked++;
+                this.saveProgress(progress);
+                await new Promise(resolve => setTimeout(resolve, this.interval));
+            }
+
+            if (runId !== this.runId) return;
+            this.running = false;
+            localStorage.removeItem(this.storageKey);
+            this.onFinish(progress);
+        } catch (error) {
+            if (runId !== this.runId) return;
+            // The endpoint failed rather than the link: keep the progress so the job can resume
+            this.pause();
+            this.onError(error);
+        }
+    }
+
+    pause() {
+        this.runId++;
+        this.running = false;
+
+        const progress = this.getProgress();
+        if (progress) this.saveProgress({ ...progress, paused: true });
+    }
+
+    async checkUrl(url) {
+        const result = await (await this.client.fetch(url)).json();
+        if (typeof result.status !== 'number') throw new Error('Invalid link check response');
+
+        return {
+            status: result.status,
+            redirectUrl: result.url && result.url !== url ? result.url : '',
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // Redirects that only add https, www. or a trailing slash don't count
+    classify(url, check) {
+        if (check.status === 0 || check.status >= 400) return 'broken';
+        if (check.redirectUrl && this.db.normalizeUrl(check.redirectUrl) !== this.db.normalizeUrl(url)) {
+            return 'redirected';
+        }
+        return 'ok';
+    }
+}
+
+// ==================== Sync ====================
+// Thrown by a sync adapter's write when another device wrote the remote copy after it was read
+class RemoteChangedError extends Error {
+    constructor() {
+        super('Remote data changed since it was read');
+        this.name = 'RemoteChangedError';
+    }
+}
+
+// Remote state is one JSON document { format: 'bookmark-sync', records }, where each record is
+// { syncId, rev, updatedAt, deviceId, data } and a deleted bookmark leaves a tombstone with
+// deleted: true instead of data. Adapters read it together with a version (the ETag) and write
+// it back only while that version is current. Cross-origin servers must expose the ETag header
+class RestSyncAdapter {
+    constructor(url, { token = '', timeout = 20000 } = {}) {
+        this.url = url;
+        this.token = token;
+        this.timeout = timeout;
+    }
+
+    getHeaders() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    // { records, version }; nothing stored yet reads as no records and a null version
+    async read() {
+        const response = await this.request('GET');
+        if (response.status === 404) return { records: [], version: null };
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        if (!data || !Array.isArray(data.records)) throw new Error('Remote data has no records array');
+        return { records: data.records, version: response.headers.get('ETag') };
+    }
+
+    // Resolves to the new version; rejects with RemoteChangedError when the version is stale
+    async write(records, version) {
+        const response = await this.request('PUT', {
+            'Content-Type': 'application/json',
+            // Without a version there must not be a document yet
+            ...(version ? { 'If-Match': version } : { 'If-None-Match': '*' })
+        }, JSON.stringify({ format: 'bookmark-sync', records }));
+
+        if (response.status === 412) throw new RemoteChangedError();
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.headers.get('ETag');
+    }
+
+    async request(method, headers = {}, body = undefined) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(this.url, {
+                method,
+                headers: { ...this.getHeaders(), ...headers },
+                body,
+                cache: 'no-store',
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// The same document as a file on a WebDAV share (Nextcloud, a NAS, ...), with basic auth
+class WebDavSyncAdapter extends RestSyncAdapter {
+    constructor(url, { username = '', password = '', timeout = 20000 } = {}) {
+        super(url, { timeout });
+        this.username = username;
+        this.password = password;
+    }
+
+    getHeaders() {
+        if (!this.username) return {};
+        // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+        const credentials = new TextEncoder().encode(`${this.username}:${this.password}`);
+        return { Authorization: `Basic ${btoa(String.fromCharCode(...credentials))}` };
+    }
+}
+
+// Three-way sync between the bookmarks store and a remote adapter. The sync base remembers each
+// record's remote rev and a hash of its synced fields as of the last sync, so a side changed a
+// record when its rev or hash differs from the base. A record changed on both sides goes to the
+// newer updatedAt (last writer wins) and is reported as a conflict. Bookmarks deleted on another
+// device go to the trash here
+class SyncEngine {
+    constructor(db, adapter, { deviceId, maxAttempts = 3 } = {}) {
+        this.db = db;
+        this.adapter = adapter;
+        this.deviceId = deviceId;
+        this.maxAttempts = maxAttempts;
+    }
+
+    // Resolves to { pushed, pulled, conflicts }; a write that lost the race to another device
+    // starts over from a fresh read
+    async sync() {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.run();
+            } catch (error) {
+                if (!(error instanceof RemoteChangedError) || attempt >= this.maxAttempts) throw error;
+            }
+        }
+    }
+
+    async run() {
+        const [remote, bookmarks, base, trash] = await Promise.all([
+            this.adapter.read(),
+            this.db.getAll(),
+            this.db.getSyncBase(),
+            this.db.getTrash()
+        ]);
+        const remoteRecords = new Map(remote.records.filter(record => this.isValid(record)).map(record => [record.syncId, record]));
+        // Written back untouched, in case a newer client understands them
+        const unknownRecords = remote.records.filter(record => !this.isValid(record));
+        const localRecords = new Map(bookmarks.map(bookmark => [bookmark.syncId, bookmark]));
+        const baseEntries = new Map(base.map(entry => [entry.syncId, entry]));
+        // When each local deletion happened, for tombstones and conflicts. Backups are checked for
+        // entries without a bookmark, but one restored before that check could still hold some
+        const deletedAt = new Map(trash.filter(entry => entry.bookmark).map(entry => [entry.bookmark.syncId, entry.deletedAt]));
+        const now = new Date().toISOString();
+
+        const applied = { changes: [], deletes: [], baseUpdates: [], baseDeletes: [] };
+        const result = { pushed: 0, pulled: 0, conflicts: [] };
+
+        const push = (syncId, bookmark, remoteRecord, baseEntry) => {
+            const rev = Math.max(remoteRecord ? remoteRecord.rev : 0, baseEntry ? baseEntry.rev : 0) + 1;
+            const record = bookmark
+                ? { syncId, rev, updatedAt: bookmark.updatedAt, deviceId: this.deviceId, data: this.pick(bookmark) }
+                : { syncId, rev, updatedAt: deletedAt.get(syncId) || now, deviceId: this.deviceId, deleted: true };
+
+            remoteRecords.set(syncId, record);
+            applied.baseUpdates.push({ syncId, rev, hash: bookmark ? this.hash(bookmark) : null });
+            result.pushed++;
+        };
+
+        // The local record's hash as read here goes along, for applySync to check nothing changed since
+        const pull = (syncId, bookmark, remoteRecord) => {
+            const base = { syncId, rev: remoteRecord.rev, hash: remoteRecord.deleted ? null : this.hash(remoteRecord.data) };
+            const hash = bookmark ? this.hash(bookmark) : null;
+
+            if (remoteRecord.deleted) {
+                if (bookmark) {
+                    applied.deletes.push({ id: bookmark.id, hash, base });
+                } else {
+                    applied.baseUpdates.push(base);
+                }
+            } else {
+                applied.changes.push({ id: bookmark ? bookmark.id : null, syncId, data: this.pick(remoteRecord.data), hash, base });
+            }
+            if (bookmark || !remoteRecord.deleted) result.pulled++;
+        };
+
+        new Set([...remoteRecords.keys(), ...localRecords.keys(), ...baseEntries.keys()]).forEach(syncId => {
+            const bookmark = localRecords.get(syncId);
+            const remoteRecord = remoteRecords.get(syncId);
+            const baseEntry = baseEntries.get(syncId);
+            const hash = bookmark ? this.hash(bookmark) : null;
+
+            // Other devices would set aside a record breaking the rules, such as a mailto: link
+            // saved before the form took only web addresses, so it stays on this device
+            if (bookmark && !this.db.isValidRecord(bookmark)) return;
+
+            // Missing remotely, e.g. after the remote copy was reset: upload what is left here
+            if (!remoteRecord) {
+                if (bookmark) {
+                    push(syncId, bookmark, null, baseEntry);
+                } else {
+                    applied.baseDeletes.push(syncId);
+                }
+                return;
+            }
+
+            const localChanged = baseEntry ? hash !== baseEntry.hash : Boolean(bookmark);
+            const remoteChanged = !baseEntry || remoteRecord.rev !== baseEntry.rev;
+
+            if (localChanged && !remoteChanged) {
+                push(syncId, bookmark, remoteRecord, baseEntry);
+            } else if (remoteChanged && !localChanged) {
+                pull(syncId, bookmark, remoteRecord);
+            } else if (localChanged && remoteChanged) {
+                const remoteHash = remoteRecord.deleted ? null : this.hash(remoteRecord.data);
+
+                // Both sides made the same change
+                if (hash === remoteHash) {
+                    applied.baseUpdates.push({ syncId, rev: remoteRecord.rev, hash });
+                    return;
+                }
+
+                const localTime = bookmark ? bookmark.updatedAt : deletedAt.get(syncId) || now;
+                const localWins = localTime > remoteRecord.updatedAt ||
+                    (localTime === remoteRecord.updatedAt && this.deviceId > remoteRecord.deviceId);
+
+                if (localWins) {
+                    push(syncId, bookmark, remoteRecord, baseEntry);
+                } else {
+                    pull(syncId, bookmark, remoteRecord);
+                }
+                result.conflicts.push({
+                    syncId,
+                    name: (bookmark || remoteRecord.data || {}).name || '',
+                    winner: localWins ? 'local' : 'remote',
+                    localDeleted: !bookmark,
+                    remoteDeleted: Boolean(remoteRecord.deleted)
+                });
+            }
+        });
+
+        // Upload first: if applying locally fails afterwards, the next sync sees both sides
+        // agreeing and only fixes up the base
+        if (result.pushed) {
+            // One record per syncId: what this device writes replaces a record it couldn't read
+            const kept = unknownRecords.filter(record => !remoteRecords.has(record.syncId));
+            await this.adapter.write([...kept, ...remoteRecords.values()], remote.version);
+        }
+        await this.db.applySync(applied, bookmark => this.hash(bookmark));
+
+        return result;
+    }
+
+    // Skip records another client wrote in a shape this version can't use, or with data that
+    // breaks the rules every bookmark follows, such as a javascript: URL
+    isValid(record) {
+        if (!record || typeof record.syncId !== 'string' || !Number.isFinite(record.rev)) return false;
+        return Boolean(record.deleted || this.db.isValidRecord(record.data));
+    }
+
+    pick(record) {
+        const data = {};
+        SYNC_FIELDS.forEach(field => {
+            if (record[field] !== undefined) data[field] = record[field];
+        });
+        return data;
+    }
+
+    // FNV-1a of the synced fields, enough to tell whether a record changed since the last sync
+    hash(record) {
+        const text = JSON.stringify(SYNC_FIELDS.map(field => record[field] ?? null));
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+}
+
+// ==================== Undo History ====================
+// Undo and redo stacks of { label, undo, redo } entries; undo and redo are async functions that
+// replay the change against the database
+class UndoHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+    }
+
+    // A new change makes the redo stack meaningless
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Resolves to the entry undone, or null when there's nothing to undo. A failed entry is
+    // dropped, since the database may no longer match either side of it
+    async undo() {
+        return this.replay(this.undoStack, this.redoStack, 'undo');
+    }
+
+    async redo() {
+        return this.replay(this.redoStack, this.undoStack, 'redo');
+    }
+
+    async replay(from, to, action) {
+        if (this.busy || from.length === 0) return null;
+
+        const entry = from.pop();
+        this.busy = true;
+        try {
+            await entry[action]();
+            to.push(entry);
+            return entry;
+        } finally {
+            this.busy = false;
+        }
+    }
+}
+
+// ==================== I18n ====================
+// Locales with a catalog in MESSAGES (locales.js); the first is the fallback for a missing message
+const LOCALES = ['zh-CN', 'en'];
+// Attributes translated from data-i18n-<attribute>
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+class I18n {
+    constructor(messages) {
+        this.messages = messages;
+        this.setLocale(localStorage.getItem('language') || this.detectLocale());
+    }
+
+    // The first browser language there is a catalog for
+    detectLocale() {
+        const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+        for (const language of languages) {
+            const locale = LOCALES.find(locale => language.toLowerCase().startsWith(locale.split('-')[0]));
+            if (locale) return locale;
+        }
+        return 'en';
+    }
+
+    setLocale(locale) {
+        this.locale = LOCALES.includes(locale) ? locale : LOCALES[0];
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.relativeTimeFormat = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+        this.dateFormat = new Intl.DateTimeFormat(this.locale, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    // The message for a dotted key with {name} placeholders filled in; plural forms are chosen by
+    // params.count. A missing message falls back to LOCALES[0], then to the key itself
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key) ?? this.lookup(LOCALES[0], key);
+        if (message === undefined) {
+            console.warn('Missing message:', key);
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    lookup(locale, key) {
+        const message = key.split('.').reduce((node, part) => (node ? node[part] : undefined), this.messages[locale]);
+        // A namespace isn't a message; an object of plural forms is
+        return typeof message === 'string' || (message && typeof message.other === 'string') ? message : undefined;
+    }
+
+    // A plain message in every locale, for recognizing text written by either UI
+    translations(key) {
+        return LOCALES.map(locale => this.lookup(locale, key)).filter(message => typeof message === 'string');
+    }
+
+    // 今天, 3 天前, 2 周前 … up to a year, then the date
+    formatRelativeDate(date, now = new Date()) {
+        const days = Math.floor((now - date) / (1000 * 60 * 60 * 24));
+
+        if (days < 7) return this.relativeTimeFormat.format(-days, 'day');
+        if (days < 30) return this.relativeTimeFormat.format(-Math.floor(days / 7), 'week');
+        if (days < 365) return this.relativeTimeFormat.format(-Math.floor(days / 30), 'month');
+
+        return this.dateFormat.format(date);
+    }
+
+    // Static markup names its messages: data-i18n sets the text, data-i18n-html markup from the
+    // catalog, data-i18n-<attribute> an attribute, and data-i18n-count the {count} of each
+    translatePage(root = document) {
+        const params = element => ('i18nCount' in element.dataset ? { count: Number(element.dataset.i18nCount) } : {});
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, params(element));
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml, params(element));
+        });
+        I18N_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`), params(element)));
+            });
+        });
+        document.documentElement.lang = this.locale;
+    }
+}
+
+const i18n = new I18n(MESSAGES);
+
+// ==================== Application Manager ====================
+// dataTransfer type carrying the ids of bookmark cards dragged onto a folder
+const BOOKMARK_DRAG_TYPE = 'application/x-bookmark-ids';
+
+// Background sync runs this often while the page is open, and whenever it is hidden
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+// Sync conflicts kept for the sync dialog
+const SYNC_CONFLICT_LIMIT = 50;
+
+const PAGE_SIZES = [12, 24, 48, 96];
+const VIEW_MODES = ['grid', 'list', 'table'];
+const THEMES = ['light', 'dark', 'auto'];
+
+// Display settings kept in the database's settings store: the default of each and the values it accepts
+const SETTINGS = {
+    pageSize: { default: 12, isValid: value => PAGE_SIZES.includes(value) },
+    infiniteScroll: { default: false, isValid: value => typeof value === 'boolean' },
+    viewMode: { default: 'grid', isValid: value => VIEW_MODES.includes(value) },
+    theme: { default: 'auto', isValid: value => THEMES.includes(value) },
+    defaultTags: { default: [], isValid: value => Array.isArray(value) && value.every(tag => typeof tag === 'string') }
+};
+
+// Sort orders the table view's column headings switch between; 添加时间 flips newest and oldest
+const TABLE_SORT_COLUMNS = [
+    { key: 'name', orders: ['name'] },
+    { key: 'domain', orders: ['domain'] },
+    { key: 'tags', orders: [] },
+    { key: 'rating', orders: ['rating'] },
+    { key: 'added', orders: ['newest', 'oldest'] }
+];
+
+class BookmarkApp {
+    constructor() {
+        this.db = new BookmarkDB();
+        this.importer = new BookmarkImporter(this.db);
+        this.backup = new BookmarkBackup(this.db);
+        this.fuzzyMatcher = new FuzzyMatcher();
+        this.markdown = new MarkdownRenderer();
+        this.metadataResolver = new MetadataResolver({ endpoint: this.getMetaContent('metadata-proxy') });
+        this.linkChecker = new LinkChecker(this.db, { endpoint: this.getMetaContent('link-check-endpoint') });
+        this.history = new UndoHistory();
+        this.toastTimer = null;
+        // Installed service worker waiting to take over, set once the update prompt shows
+        this.waitingWorker = null;
+        this.syncEngine = null;
+        // 'off', 'syncing', 'synced', 'offline' or 'error'
+        this.syncState = 'off';
+        this.syncError = '';
+        // { at, pushed, pulled } of the last successful sync
+        this.lastSync = null;
+        this.syncConflicts = JSON.parse(localStorage.getItem('syncConflicts') || '[]');
+        this.currentPage = 1;
+        // Pages of results in bookmarksContainer, which infinite scroll appends to
+        this.renderedPages = 0;
+        // Search, filters and sort of the last load, to tell a reload of the same results
+        this.loadedView = null;
+        // Display settings (SETTINGS), read from the database in init
+        this.settings = this.readStoredSettings({});
+        this.itemsPerPage = this.settings.pageSize;
+        // Infinite scroll: the next batch is loading; the observer loads it when the bottom shows
+        this.loadingMore = false;
+        this.loadMoreObserver = null;
+        this.darkScheme = window.matchMedia('(prefers-color-scheme: dark)');
+        // Ordered keys of the current results, or null for the unfiltered list (paged off the index)
+        this.resultIds = null;
+        this.resultCount = 0;
+        this.totalCount = 0;
+        this.linkIssueCount = 0;
+        // Show only broken and redirected links
+        this.linkFilter = false;
+        // 常用 view: only bookmarks that were opened, ranked by frecency
+        this.frequentView = false;
+        this.visitedCount = 0;
+        // 归档 view: only archived bookmarks, which every other view leaves out
+        this.archivedView = false;
+        this.archivedCount = 0;
+        // Bookmark shown in the detail view
+        this.detailId = null;
+        // Command palette: the bookmarks it searches, the entries listed and the highlighted one
+        this.paletteBookmarks = [];
+        this.paletteItems = [];
+        this.paletteIndex = 0;
+        // Last element focused outside the modals, and for each open modal where focus returns
+        // when it closes
+        this.pageFocus = null;
+        this.modalReturnFocus = new Map();
+        this.activeQuery = null;
+        this.searchTimer = null;
+        this.loadRequestId = 0;
+        this.currentEditId = null;
+        // Bumped whenever the bookmark modal opens or closes, so a save that awaited something can
+        // tell the form it read is gone
+        this.formSession = 0;
+        this.deleteTargetIds = [];
+        this.pendingImport = null;
+        this.duplicateCheckTimer = null;
+        this.metadataTimer = null;
+        this.metadataRequestId = 0;
+        // Favicon of the record being edited, and values the form filled in from page metadata
+        // (replaced again when the URL changes, unlike anything the user typed)
+        this.formFavicon = '';
+        this.autoFilled = { name: '', description: '' };
+        this.selectedTags = [];
+        this.tagMatchMode = 'and';
+        this.tagEditSources = [];
+        this.selectionMode = false;
+        this.selectedIds = new Set();
+        // Anchor for shift-click ranges
+        this.lastSelectedId = null;
+        this.folders = [];
+        // Folder whose branch the list is scoped to; null shows every bookmark
+        this.currentFolderId = null;
+        this.folderCount = 0;
+        this.folderEditId = null;
+        this.folderDeleteId = null;
+        // Backup file being restored: { fileName, file, backup }, backup set once decrypted and checked
+        this.pendingRestore = null;
+        this.readSettings();
+
+        this.init();
+    }
+
+    // Preferences kept in localStorage (BACKUP_SETTINGS); read again after a restore
+    readSettings() {
+        this.trashRetentionDays = parseInt(localStorage.getItem('trashRetentionDays')) || 30;
+        this.sortOrder = localStorage.getItem('sortOrder') || 'newest';
+        this.collapsedFolders = new Set(JSON.parse(localStorage.getItem('collapsedFolders') || '[]'));
+        i18n.setLocale(localStorage.getItem('language') || i18n.locale);
+    }
+
+    async init() {
+        try {
+            this.renderLanguage();
+            await this.db.init();
+            await this.loadSettings();
+            await this.db.purgeExpiredTrash(this.trashRetentionDays);
+            this.bindEvents();
+            await this.loadBookmarks();
+            this.hideLoading();
+            this.backup.snapshotIfDue().catch(error => console.error('Snapshot error:', error));
+            this.initLinkChecker();
+            this.registerServiceWorker();
+            this.initSync();
+            await this.handleQuickAdd();
+        } catch (error) {
+            console.error('Initialization error:', error);
+            this.showToast(i18n.t('app.initFailed'), 'error');
+            this.hideLoading();
+        }
+    }
+
+    bindEvents() {
+        // Search
+        document.getElementById('searchBtn').addEventListener('click', () => this.handleSearch());
+        document.getElementById('searchInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleSearch();
+        });
+
+        // Live search while typing
+        document.getElementById('searchInput').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.handleSearch(), 200);
+        });
+
+        // Add bookmark
+        document.getElementById('addBtn').addEventListener('click', () => this.showAddModal());
+
+        // Language
+        document.getElementById('languageSelect').addEventListener('change', (e) => this.setLanguage(e.target.value));
+
+        // Settings
+        document.getElementById('settingsBtn').addEventListener('click', () => this.showSettingsModal());
+        document.getElementById('settingsModalClose').addEventListener('click', () => this.closeSettingsModal());
+        document.getElementById('settingsDoneBtn').addEventListener('click', () => this.closeSettingsModal());
+        document.querySelector('#settingsModal .modal-overlay').addEventListener('click', () => this.closeSettingsModal());
+        document.getElementById('settingsPageSize').addEventListener('change', (e) => this.updateSetting('pageSize', parseInt(e.target.value)));
+        document.getElementById('settingsInfiniteScroll').addEventListener('change', (e) => this.updateSetting('infiniteScroll', e.target.checked));
+        document.querySelectorAll('input[name="settingsViewMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateSetting('viewMode', radio.value));
+        });
+        document.querySelectorAll('input[name="settingsTheme"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateSetting('theme', radio.value));
+        });
+        document.getElementById('settingsDefaultTags').addEventListener('change', (e) => {
+            this.updateSetting('defaultTags', this.parseTags(e.target.value));
+        });
+        this.darkScheme.addEventListener('change', () => this.applyTheme());
+
+        // Infinite scroll loads the next batch as the pagination area comes into view; without an
+        // IntersectionObserver its load more button still works
+        if ('IntersectionObserver' in window) {
+            this.loadMoreObserver = new IntersectionObserver((entries) => {
+                if (this.settings.infiniteScroll && entries.some(entry => entry.isIntersecting)) this.loadMore();
+            }, { rootMargin: '200px' });
+            this.loadMoreObserver.observe(document.getElementById('pagination'));
+        }
+
+        // New version prompt
+        document.getElementById('updateReloadBtn').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('updateDismissBtn').addEventListener('click', () => {
+            document.getElementById('updateBanner').style.display = 'none';
+        });
+
+        // Quick add (bookmarklet)
+        document.getElementById('quickAddBtn').addEventListener('click', () => this.showQuickAddModal());
+        document.getElementById('quickAddModalClose').addEventListener('click', () => this.closeQuickAddModal());
+        document.querySelector('#quickAddModal .modal-overlay').addEventListener('click', () => this.closeQuickAddModal());
+        document.getElementById('quickAddTags').addEventListener('input', () => this.renderBookmarklet());
+        document.querySelectorAll('input[name="quickAddMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderBookmarklet());
+        });
+        // Clicking it here would only add this page
+        document.getElementById('bookmarkletLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showToast(i18n.t('quickAdd.dragHint'), 'error');
+        });
+        document.getElementById('bookmarkletCode').addEventListener('focus', (e) => e.target.select());
+
+        // Sync
+        document.getElementById('syncBtn').addEventListener('click', () => this.showSyncModal());
+        document.getElementById('syncModalClose').addEventListener('click', () => this.closeSyncModal());
+        document.getElementById('cancelSyncBtn').addEventListener('click', () => this.closeSyncModal());
+        document.querySelector('#syncModal .modal-overlay').addEventListener('click', () => this.closeSyncModal());
+        document.getElementById('syncType').addEventListener('change', () => this.renderSyncFields());
+        document.getElementById('clearSyncConflictsBtn').addEventListener('click', () => this.clearSyncConflicts());
+        document.getElementById('syncForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSyncSubmit();
+        });
+
+        // Backup & restore
+        document.getElementById('backupModalClose').addEventListener('click', () => this.closeBackupModal());
+        document.querySelector('#backupModal .modal-overlay').addEventListener('click', () => this.closeBackupModal());
+        document.getElementById('downloadBackupBtn').addEventListener('click', () => this.downloadBackup());
+        document.getElementById('createSnapshotBtn').addEventListener('click', () => this.createSnapshot());
+        document.getElementById('chooseBackupBtn').addEventListener('click', () => document.getElementById('backupFile').click());
+        document.getElementById('backupFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleRestoreFile(file);
+        });
+        document.getElementById('restoreModalClose').addEventListener('click', () => this.closeRestoreModal());
+        document.getElementById('cancelRestoreBtn').addEventListener('click', () => this.closeRestoreModal());
+        document.querySelector('#restoreModal .modal-overlay').addEventListener('click', () => this.closeRestoreModal());
+        document.getElementById('decryptRestoreBtn').addEventListener('click', () => this.decryptRestore());
+        document.getElementById('restorePassphrase').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.decryptRestore();
+        });
+        document.getElementById('confirmRestoreBtn').addEventListener('click', () => this.confirmRestore());
+
+        // Sort order
+        const sortSelect = document.getElementById('sortSelect');
+        sortSelect.value = this.sortOrder;
+        sortSelect.addEventListener('change', () => this.setSortOrder(sortSelect.value));
+
+        // Export
+        document.getElementById('exportBtn').addEventListener('click', () => this.showExportModal());
+        document.getElementById('publishBtn').addEventListener('click', () => this.showPublishModal());
+        document.getElementById('backupBtn').addEventListener('click', () => this.showBackupModal());
+
+        // Import
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // Reset so picking the same file again still fires change
+            e.target.value = '';
+            if (file) this.handleImportFile(file);
+        });
+
+        // Modal controls
+        document.getElementById('modalClose').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancelBtn').addEventListener('click', () => this.closeModal());
+        document.querySelector('.modal-overlay').addEventListener('click', () => this.closeModal());
+
+        // Warn about duplicates and look up page metadata while the URL is typed
+        document.getElementById('bookmarkUrl').addEventListener('input', () => {
+            clearTimeout(this.duplicateCheckTimer);
+            this.duplicateCheckTimer = setTimeout(() => this.checkDuplicateUrl(), 300);
+            clearTimeout(this.metadataTimer);
+            this.metadataTimer = setTimeout(() => this.fetchMetadata(), 800);
+        });
+        document.getElementById('fetchMetadataBtn').addEventListener('click', () => this.fetchMetadata());
+
+        // Form submit
+        document.getElementById('bookmarkForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFormSubmit();
+        });
+
+        // Delete modal
+        document.getElementById('cancelDeleteBtn').addEventListener('click', () => this.closeDeleteModal());
+        document.getElementById('confirmDeleteBtn').addEventListener('click', () => this.confirmDelete());
+        document.querySelectorAll('#deleteModal .modal-overlay').forEach(overlay => {
+            overlay.addEventListener('click', () => this.closeDeleteModal());
+        });
+
+        // Duplicates
+        document.getElementById('duplicatesBtn').addEventListener('click', () => this.showDuplicatesModal());
+        document.getElementById('duplicatesModalClose').addEventListener('click', () => this.closeDuplicatesModal());
+        document.getElementById('mergeAllBtn').addEventListener('click', () => this.mergeAllDuplicates());
+        document.querySelector('#duplicatesModal .modal-overlay').addEventListener('click', () => this.closeDuplicatesModal());
+
+        // Link health
+        document.getElementById('linkCheckBtn').addEventListener('click', () => this.toggleLinkCheck());
+        document.getElementById('linkFilterBtn').addEventListener('click', () => this.toggleLinkFilter());
+
+        // Visits
+        document.getElementById('frequentBtn').addEventListener('click', () => this.toggleFrequentView());
+
+        // Archive, rating and detail view
+        document.getElementById('archivedBtn').addEventListener('click', () => this.toggleArchivedView());
+        document.getElementById('bulkArchiveBtn').addEventListener('click', () => this.archiveSelected());
+        document.querySelectorAll('input[name="bookmarkRating"]').forEach(input => {
+            input.addEventListener('change', () => this.renderRatingInput());
+        });
+        document.getElementById('detailModalClose').addEventListener('click', () => this.closeDetailModal());
+        document.querySelector('#detailModal .modal-overlay').addEventListener('click', () => this.closeDetailModal());
+        document.getElementById('detailEditBtn').addEventListener('click', () => {
+            const id = this.detailId;
+            this.closeDetailModal();
+            this.showEditModal(id);
+        });
+        document.getElementById('detailArchiveBtn').addEventListener('click', async () => {
+            await this.toggleArchive(this.detailId);
+            this.closeDetailModal();
+        });
+        document.getElementById('detailUrl').addEventListener('click', () => this.handleVisit(this.detailId));
+        document.getElementById('deleteBrokenBtn').addEventListener('click', () => this.deleteBrokenLinks());
+        document.getElementById('applyRedirectsBtn').addEventListener('click', () => this.applyRedirects());
+
+        // Selection and bulk actions
+        document.getElementById('selectModeBtn').addEventListener('click', () => this.toggleSelectionMode());
+        document.getElementById('selectAllBtn').addEventListener('click', () => this.selectAllMatching());
+        document.getElementById('clearSelectionBtn').addEventListener('click', () => this.clearSelection());
+        document.getElementById('bulkTagBtn').addEventListener('click', () => this.showBulkTagModal());
+        document.getElementById('exportSelectionBtn').addEventListener('click', () => this.showExportModal('selection'));
+        document.getElementById('exportSelectionJsonBtn').addEventListener('click', () => this.exportToJson([...this.selectedIds]));
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => this.deleteSelected());
+
+        // Bulk tag modal
+        document.getElementById('cancelBulkTagBtn').addEventListener('click', () => this.closeBulkTagModal());
+        document.querySelector('#bulkTagModal .modal-overlay').addEventListener('click', () => this.closeBulkTagModal());
+        document.getElementById('bulkTagForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBulkTags();
+        });
+
+        // Trash
+        document.getElementById('trashBtn').addEventListener('click', () => this.showTrashModal());
+        document.getElementById('trashModalClose').addEventListener('click', () => this.closeTrashModal());
+        document.querySelector('#trashModal .modal-overlay').addEventListener('click', () => this.closeTrashModal());
+        document.getElementById('trashRetention').addEventListener('change', (e) => this.setTrashRetention(parseInt(e.target.value)));
+        document.getElementById('restoreAllBtn').addEventListener('click', () => this.restoreAllTrash());
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
+
+        // Undo/redo, leaving text fields to their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target instanceof Element && e.target.closest('input, textarea, select')) return;
+            if (document.querySelector('.modal.active')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Tag panel
+        document.querySelectorAll('.tag-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setTagMatchMode(btn.dataset.mode));
+        });
+        document.getElementById('clearTagsBtn').addEventListener('click', () => this.clearTagFilter());
+        document.getElementById('mergeTagsBtn').addEventListener('click', () => this.showTagModal(this.selectedTags));
+
+        // Folders
+        document.getElementById('addFolderBtn').addEventListener('click', () => this.showFolderModal());
+        document.getElementById('cancelFolderBtn').addEventListener('click', () => this.closeFolderModal());
+        document.querySelector('#folderModal .modal-overlay').addEventListener('click', () => this.closeFolderModal());
+        document.getElementById('folderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFolderSubmit();
+        });
+        document.getElementById('cancelFolderDeleteBtn').addEventListener('click', () => this.closeFolderDeleteModal());
+        document.getElementById('confirmFolderDeleteBtn').addEventListener('click', () => this.confirmFolderDelete());
+        document.querySelector('#folderDeleteModal .modal-overlay').addEventListener('click', () => this.closeFolderDeleteModal());
+
+        // Tag rename/merge modal
+        document.getElementById('cancelTagBtn').addEventListener('click', () => this.closeTagModal());
+        document.querySelector('#tagModal .modal-overlay').addEventListener('click', () => this.closeTagModal());
+        document.getElementById('tagForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleTagRename();
+        });
+
+        // Export modal
+        document.getElementById('exportModalClose').addEventListener('click', () => this.closeExportModal());
+        document.getElementById('cancelExportBtn').addEventListener('click', () => this.closeExportModal());
+        document.getElementById('confirmExportBtn').addEventListener('click', () => this.confirmExport());
+        document.querySelectorAll('input[name="exportFormat"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setExportFormat(radio.value));
+        });
+        document.querySelector('#exportModal .modal-overlay').addEventListener('click', () => this.closeExportModal());
+
+        // Publish modal
+        document.getElementById('publishModalClose').addEventListener('click', () => this.closePublishModal());
+        document.getElementById('cancelPublishBtn').addEventListener('click', () => this.closePublishModal());
+        document.getElementById('confirmPublishBtn').addEventListener('click', () => this.confirmPublish());
+        document.querySelector('#publishModal .modal-overlay').addEventListener('click', () => this.closePublishModal());
+
+        // Import modal
+        document.getElementById('importModalClose').addEventListener('click', () => this.closeImportModal());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.closeImportModal());
+        document.getElementById('confirmImportBtn').addEventListener('click', () => this.confirmImport());
+        document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setImportMode(radio.value));
+        });
+        document.querySelector('#importModal .modal-overlay').addEventListener('click', () => this.closeImportModal());
+
+        // Keyboard navigation, command palette and shortcut help
+        this.bindKeyboard();
+
+        // ESC key to close modals
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal();
+                this.closeDeleteModal();
+                this.closeImportModal();
+                this.closeDuplicatesModal();
+                this.closeTagModal();
+                this.closeBulkTagModal();
+                this.closeTrashModal();
+                this.closeExportModal();
+                this.closePublishModal();
+                this.closeSettingsModal();
+                this.closeFolderModal();
+                this.closeFolderDeleteModal();
+                this.closeQuickAddModal();
+                this.closeSyncModal();
+                this.closeBackupModal();
+                this.closeRestoreModal();
+                this.closeDetailModal();
+                this.closePalette();
+                this.closeShortcutsModal();
+            }
+        });
+    }
+
+    async loadBookmarks(searchQuery = '') {
+        // Live search can start a new load before the previous one finishes; only the latest renders
+        const requestId = ++this.loadRequestId;
+
+        try {
+            searchQuery = searchQuery.trim();
+            const query = searchQuery ? new SearchQuery(searchQuery, this.fuzzyMatcher) : null;
+            const folders = await this.db.getFolders();
+
+            // The open folder may have been deleted meanwhile
+            const folderId = folders.some(folder => folder.id === this.currentFolderId) ? this.currentFolderId : null;
+            const folderIds = folderId ? this.db.getFolderSubtree(folders, folderId) : [];
+
+            // Tag, link and folder filters apply on top of the search results
+            // Archived bookmarks only show in the 归档 view or when the query asks for is:archived
+            const archived = this.archivedView ? 'only' : query && query.includesArchived() ? 'include' : 'exclude';
+            const [ids, totalCount, linkIssueIds, visitedIds, archivedIds, folderBookmarkIds] = await Promise.all([
+                this.db.findIds({
+                    query,
+                    tags: this.selectedTags,
+                    tagMode: this.tagMatchMode,
+                    linkStates: this.linkFilter ? LINK_ISSUE_STATES : [],
+                    folderIds,
+                    visited: this.frequentView,
+                    archived,
+                    sort: this.frequentView ? 'frecency' : this.sortOrder
+                }),
+                this.db.count(),
+                this.db.getIdsByLinkStates(LINK_ISSUE_STATES),
+                this.db.getVisitedIds(),
+                this.db.getArchivedIds(),
+                folderId ? this.db.getIdsByFolders(folderIds) : null
+            ]);
+
+            if (requestId !== this.loadRequestId) return;
+
+            this.activeQuery = query;
+            this.folders = folders;
+            this.currentFolderId = folderId;
+            this.folderCount = folderBookmarkIds ? folderBookmarkIds.size : 0;
+            this.resultIds = ids;
+            this.totalCount = totalCount;
+            this.linkIssueCount = linkIssueIds.size;
+            this.visitedCount = visitedIds.size;
+            this.archivedCount = archivedIds.size;
+            this.resultCount = ids ? ids.length : totalCount;
+
+            // With infinite scroll, reloading the same view after an edit, pin or archive keeps the
+            // pages loaded so far; any other search, filter or sort starts from the first page
+            const view = JSON.stringify([searchQuery, this.selectedTags, this.tagMatchMode, this.linkFilter,
+                folderId, this.frequentView, this.archivedView, this.sortOrder]);
+            const lastPage = Math.max(1, Math.ceil(this.resultCount / this.itemsPerPage));
+            this.currentPage = this.settings.infiniteScroll && view === this.loadedView
+                ? Math.min(this.currentPage, lastPage)
+                : 1;
+            this.loadedView = view;
+            this.hideSearchError();
+            await this.render();
+            await this.renderFolderTree();
+            await this.renderTagPanel();
+        } catch (error) {
+            if (requestId !== this.loadRequestId) return;
+            if (error instanceof QuerySyntaxError) {
+                this.showSearchError(error.message);
+                return;
+            }
+            console.error('Load bookmarks error:', error);
+            this.showToast(i18n.t('common.loadFailed'), 'error');
+        }
+    }
+
+    async render() {
+        await this.renderBookmarks();
+        this.renderPagination();
+        this.updateStats();
+        this.renderSelectionBar();
+        await this.renderLinkFilterBar();
+    }
+
+    // Infinite scroll shows every page loaded so far; append adds just the current page below
+    // them, leaving the cards already shown (and their focus and scroll position) alone
+    async renderBookmarks({ append = false } = {}) {
+        const container = document.getElementById('bookmarksContainer');
+        const emptyState = document.getElementById('emptyState');
+
+        const page = this.currentPage;
+        const startIndex = this.settings.infiniteScroll && !append ? 0 : (page - 1) * this.itemsPerPage;
+        const endIndex = page * this.itemsPerPage;
+        const pageBookmarks = this.resultIds
+            ? await this.db.getMany(this.resultIds.slice(startIndex, endIndex))
+            : await this.db.getPage(startIndex, endIndex - startIndex);
+
+        // Another page was requested while this one loaded
+        if (page !== this.currentPage) return;
+
+        if (append) {
+            // A full render meanwhile already drew this page
+            if (this.renderedPages !== page - 1) return;
+
+            const batch = document.createElement('template');
+            batch.innerHTML = pageBookmarks.map(bookmark => this.createBookmarkCard(bookmark)).join('');
+            this.bindCardEvents(batch.content);
+            container.append(batch.content);
+            this.renderedPages = page;
+            return;
+        }
+
+        if (this.resultCount === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        // Keep keyboard focus on the same card, or the one now in its place, across re-renders
+        const focusedCard = document.activeElement && document.activeElement.closest('#bookmarksContainer .bookmark-card');
+        const focusedIndex = focusedCard ? this.getCards().indexOf(focusedCard) : -1;
+        container.innerHTML = (this.settings.viewMode === 'table' ? this.createTableHeader() : '') +
+            pageBookmarks.map(bookmark => this.createBookmarkCard(bookmark)).join('');
+
+        this.bindCardEvents(container);
+        this.renderedPages = page;
+
+        if (focusedCard) {
+            const cards = this.getCards();
+            const card = cards.find(candidate => candidate.dataset.id === focusedCard.dataset.id) ||
+                cards[Math.min(focusedIndex, cards.length - 1)];
+            if (card) card.focus();
+        }
+    }
+
+    // Event handlers for the cards (and table header) under root
+    bindCardEvents(root) {
+        root.querySelectorAll('.table-sort-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setSortOrder(btn.dataset.order));
+        });
+
+        root.querySelectorAll('.edit-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = parseInt(btn.dataset.id);
+                this.showEditModal(id);
+            });
+        });
+
+        root.querySelectorAll('.delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = parseInt(btn.dataset.id);
+                this.showDeleteModal([id]);
+            });
+        });
+
+        root.querySelectorAll('.tag').forEach(chip => {
+            chip.addEventListener('click', () => this.toggleTag(chip.dataset.tag));
+        });
+
+        root.querySelectorAll('.select-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('click', (e) => this.handleSelectClick(parseInt(checkbox.dataset.id), e.shiftKey));
+        });
+
+        root.querySelectorAll('.bookmark-url').forEach(link => {
+            const id = parseInt(link.closest('.bookmark-card').dataset.id);
+            link.addEventListener('click', () => this.handleVisit(id));
+            // Middle click opens a tab too
+            link.addEventListener('auxclick', (e) => {
+                if (e.button === 1) this.handleVisit(id);
+            });
+        });
+
+        root.querySelectorAll('.pin-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.togglePin(parseInt(btn.dataset.id)));
+        });
+
+        root.querySelectorAll('.archive-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleArchive(parseInt(btn.dataset.id)));
+        });
+
+        root.querySelectorAll('.detail-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showDetailModal(parseInt(btn.dataset.id)));
+        });
+
+        // Links inside the notes open normally; anywhere else the notes open the detail view
+        root.querySelectorAll('.bookmark-description').forEach(notes => {
+            notes.addEventListener('click', (e) => {
+                if (!e.target.closest('a')) this.showDetailModal(parseInt(notes.closest('.bookmark-card').dataset.id));
+            });
+        });
+
+        root.querySelectorAll('.bookmark-card').forEach(card => {
+            card.addEventListener('dragstart', (e) => this.handleCardDragStart(e, card));
+            card.addEventListener('dragend', () => card.classList.remove('dragging'));
+            if (this.sortOrder === 'custom') this.bindReorderTarget(card);
+        });
+    }
+
+    // readOnly leaves out the selection box, visit and link details and the actions, and dates the
+    // card absolutely, for a page published outside the app
+    createBookmarkCard(bookmark, { readOnly = false } = {}) {
+        // Every value in an attribute goes through escapeHtml, which also escapes quotes
+        const id = escapeHtml(bookmark.id);
+        const title = key => escapeHtml(i18n.t(key));
+        const initial = escapeHtml(bookmark.name.charAt(0).toUpperCase());
+        const iconUrl = this.safeFavicon(bookmark.favicon);
+        const favicon = iconUrl
+            ? `<img src="${escapeHtml(iconUrl)}" alt="" loading="lazy">`
+            : initial;
+        const formattedDate = readOnly
+            ? i18n.dateFormat.format(new Date(bookmark.createdAt))
+            : this.formatDate(bookmark.createdAt);
+        const match = this.activeQuery && !readOnly ? this.activeQuery.evaluate(bookmark) : null;
+        const highlights = match ? match.highlights : { name: [], tags: new Map() };
+        const linkState = !readOnly && LINK_ISSUE_STATES.includes(bookmark.linkState) ? bookmark.linkState : '';
+        const selected = !readOnly && this.selectedIds.has(bookmark.id);
+        const pinned = Boolean(bookmark.pinnedAt);
+        const archived = Boolean(bookmark.archivedAt);
+        const checkbox = this.selectionMode && !readOnly
+            ? `<input type="checkbox" class="select-checkbox" data-id="${id}" ${selected ? 'checked' : ''} title="${title('selection.checkboxTitle')}">`
+            : '';
+        const tagsHtml = bookmark.tags.map(tag => `
+            <button type="button" class="tag ${!readOnly && this.selectedTags.includes(tag) ? 'active' : ''}"
+                    data-tag="${escapeHtml(tag)}" title="${title('card.filterTag')}">${this.highlightText(tag, highlights.tags.get(tag))}</button>
+        `).join('');
+        const actions = readOnly ? '' : `
+            <div class="bookmark-actions">
+                <button class="icon-btn pin-btn ${pinned ? 'active' : ''}" data-id="${id}" title="${title(pinned ? 'card.unpin' : 'card.pin')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="12" y1="17" x2="12" y2="22"></line>
+                        <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"></path>
+                    </svg>
+                </button>
+                <button class="icon-btn archive-btn ${archived ? 'active' : ''}" data-id="${id}" title="${title(archived ? 'card.unarchive' : 'card.archive')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="21 8 21 21 3 21 3 8"></polyline>
+                        <rect x="1" y="3" width="22" height="5"></rect>
+                        <line x1="10" y1="12" x2="14" y2="12"></line>
+                    </svg>
+                </button>
+                <button class="icon-btn detail-btn" data-id="${id}" title="${title('card.detail')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="10"></circle>
+                        <line x1="12" y1="16" x2="12" y2="12"></line>
+                        <line x1="12" y1="8" x2="12.01" y2="8"></line>
+                    </svg>
+                </button>
+                <button class="icon-btn edit-btn" data-id="${id}" title="${title('common.edit')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                    </svg>
+                </button>
+                <button class="icon-btn delete-btn delete" data-id="${id}" title="${title('common.delete')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3 6 5 6 21 6"></polyline>
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    </svg>
+                </button>
+            </div>
+        `;
+
+        return `
+            <div class="bookmark-card ${linkState ? `link-${linkState}` : ''} ${selected ? 'selected' : ''} ${pinned ? 'pinned' : ''} ${archived ? 'archived' : ''}" data-id="${id}" ${readOnly ? '' : 'draggable="true" tabindex="0"'}>
+                <div class="bookmark-header">
+                    ${checkbox}
+                    <div class="bookmark-favicon ${iconUrl ? 'has-icon' : ''}">${favicon}</div>
                     <div class="bookmark-info">
-                        <h3 class="bookmark-name">${this.escapeHtml(bookmark.name)}</h3>
-                        <a href="${this.escapeHtml(bookmark.url)}"
+                        <h3 class="bookmark-name">${this.highlightText(bookmark.name, highlights.name)}</h3>
+                        <a href="${escapeHtml(bookmark.url)}"
                            class="bookmark-url"
                            target="_blank"
                            rel="noopener noreferrer"
-                           title="${this.escapeHtml(bookmark.url)}">
-                            ${this.escapeHtml(this.truncateUrl(bookmark.url))}
+                           title="${escapeHtml(bookmark.url)}">
+                            ${escapeHtml(this.truncateUrl(bookmark.url))}
                         </a>
                     </div>
                 </div>
-                ${bookmark.tags.length > 0 ? `<div class="bookmark-tags">${tagsHtml}</div>` : ''}
-                <div class="bookmark-date">${formattedDate}</div>
-                <div class="bookmark-actions">
-                    <button class="icon-btn edit-btn" data-id="${bookmark.id}" title="编辑">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                        </svg>
-                    </button>
-                    <button class="icon-btn delete-btn delete" data-id="${bookmark.id}" title="删除">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polyline points="3 6 5 6 21 6"></polyline>
-                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                        </svg>
-                    </button>
-                </div>
-            </div>
-        `;
+                ${bookmark.rating ? this.createRating(bookmark.rating) : ''}
+                ${bookmark.description ? `<div class="bookmark-description markdown" ${readOnly ? '' : `title="${title('card.notesTitle')}"`}>${this.markdown.render(bookmark.description)}</div>` : ''}
+                ${bookmark.tags.length > 0 ? `<div class="bookmark-tags">${tagsHtml}</div>` : ''}
+                <div class="bookmark-date">${formattedDate}${readOnly ? '' : this.createVisitCount(bookmark)}${archived ? `<span class="archived-badge">${i18n.t('card.archivedBadge')}</span>` : ''}${linkState ? this.createLinkBadge(bookmark) : ''}</div>
+                ${actions}
+            </div>
+        `;
+    }
+
+    // Column headings of the table view, laid out over the same grid as its rows. A heading
+    // sorts by its column's order, or the next of its orders when already sorted by it
+    createTableHeader() {
+        const cells = TABLE_SORT_COLUMNS.map(column => {
+            const label = i18n.t(`table.${column.key}`);
+            if (column.orders.length === 0) return `<span class="table-heading">${label}</span>`;
+
+            // The 常用 view has its own ranking
+            const current = this.frequentView ? -1 : column.orders.indexOf(this.sortOrder);
+            const order = column.orders[(current + 1) % column.orders.length];
+            const arrow = current === -1 ? '' : ['oldest', 'name', 'domain'].includes(this.sortOrder) ? ' ↑' : ' ↓';
+            return `<button type="button" class="table-heading table-sort-btn ${current === -1 ? '' : 'active'}" data-order="${order}"
+                            title="${i18n.t('table.sortTitle')}" ${this.frequentView ? 'disabled' : ''}>${label}${arrow}</button>`;
+        });
+
+        // Name and domain share the first column, as they share a cell in each row
+        return `
+            <div class="bookmark-table-head">
+                <div class="table-heading-group">${cells[0]}${cells[1]}</div>
+                ${cells.slice(2).join('')}
+            </div>
+        `;
+    }
+
+    renderPagination() {
+        const pagination = document.getElementById('pagination');
+        const totalPages = Math.ceil(this.resultCount / this.itemsPerPage);
+
+        if (totalPages <= 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        if (this.settings.infiniteScroll) {
+            const shown = Math.min(this.currentPage * this.itemsPerPage, this.resultCount);
+            pagination.innerHTML = shown < this.resultCount
+                ? `<button class="page-btn load-more-btn" onclick="app.loadMore()">${i18n.t('settings.loadMore', { shown, total: this.resultCount })}</button>`
+                : '';
+            return;
+        }
+
+        let html = '';
+
+        // Previous button
+        html += `
+            <button class="page-btn" ${this.currentPage === 1 ? 'disabled' : ''}
+                    onclick="app.goToPage(${this.currentPage - 1})">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="15 18 9 12 15 6"></polyline>
+                </svg>
+            </button>
+        `;
+
+        // Page numbers with ellipsis
+        const pages = this.getPageNumbers(totalPages);
+        pages.forEach(page => {
+            if (page === '...') {
+                html += `<span class="page-ellipsis">...</span>`;
+            } else {
+                html += `
+                    <button class="page-btn ${page === this.currentPage ? 'active' : ''}"
+                            onclick="app.goToPage(${page})">
+                        ${page}
+                    </button>
+                `;
+            }
+        });
+
+        // Next button
+        html += `
+            <button class="page-btn" ${this.currentPage === totalPages ? 'disabled' : ''}
+                    onclick="app.goToPage(${this.currentPage + 1})">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+            </button>
+        `;
+
+        pagination.innerHTML = html;
+    }
+
+    getPageNumbers(totalPages) {
+        const pages = [];
+        const current = this.currentPage;
+
+        if (totalPages <= 7) {
+            for (let i = 1; i <= totalPages; i++) {
+                pages.push(i);
+            }
+        } else {
+            if (current <= 3) {
+                for (let i = 1; i <= 4; i++) pages.push(i);
+                pages.push('...');
+                pages.push(totalPages);
+            } else if (current >= totalPages - 2) {
+                pages.push(1);
+                pages.push('...');
+                for (let i = totalPages - 3; i <= totalPages; i++) pages.push(i);
+            } else {
+                pages.push(1);
+                pages.push('...');
+                for (let i = current - 1; i <= current + 1; i++) pages.push(i);
+                pages.push('...');
+                pages.push(totalPages);
+            }
+        }
+
+        return pages;
+    }
+
+    async goToPage(page) {
+        const totalPages = Math.ceil(this.resultCount / this.itemsPerPage);
+        if (page < 1 || page > totalPages) return;
+
+        const append = this.settings.infiniteScroll && page === this.currentPage + 1;
+        this.currentPage = page;
+        this.renderPagination();
+        if (!this.settings.infiniteScroll) window.scrollTo({ top: 0, behavior: 'smooth' });
+        await this.renderBookmarks({ append });
+    }
+
+    // Infinite scroll: add the next page below the cards shown. Observing the pagination area
+    // afresh reports it again, so a batch that still doesn't fill the screen loads another
+    async loadMore() {
+        if (this.loadingMore || this.currentPage >= Math.ceil(this.resultCount / this.itemsPerPage)) return;
+
+        this.loadingMore = true;
+        try {
+            await this.goToPage(this.currentPage + 1);
+        } finally {
+            this.loadingMore = false;
+        }
+
+        if (this.loadMoreObserver) {
+            const pagination = document.getElementById('pagination');
+            this.loadMoreObserver.unobserve(pagination);
+            this.loadMoreObserver.observe(pagination);
+        }
+    }
+
+    updateStats() {
+        document.getElementById('totalCount').textContent = this.totalCount;
+        document.getElementById('displayCount').textContent = this.resultCount;
+        document.getElementById('linkIssueCount').textContent = this.linkIssueCount;
+        document.getElementById('linkFilterBtn').classList.toggle('active', this.linkFilter);
+        document.getElementById('visitedCount').textContent = this.visitedCount;
+        document.getElementById('frequentBtn').classList.toggle('active', this.frequentView);
+        document.getElementById('archivedCount').textContent = this.archivedCount;
+        document.getElementById('archivedBtn').classList.toggle('active', this.archivedView);
+        document.getElementById('bulkArchiveBtn').textContent = i18n.t(this.archivedView ? 'card.unarchive' : 'card.archive');
+        // The 常用 view has its own ranking
+        document.getElementById('sortSelect').disabled = this.frequentView;
+
+        const folder = this.getFolder(this.currentFolderId);
+        document.getElementById('folderStat').style.display = folder ? '' : 'none';
+        if (folder) {
+            document.getElementById('folderStatName').textContent = folder.name;
+            document.getElementById('folderCount').textContent = this.folderCount;
+        }
+    }
+
+    // ==================== Tags ====================
+    async renderTagPanel() {
+        const tagList = document.getElementById('tagList');
+        const counts = await this.db.getTagCounts();
+
+        // Drop selections whose tag no longer exists (deleted or renamed elsewhere)
+        this.selectedTags = this.selectedTags.filter(tag => counts.has(tag));
+
+        const tags = [...counts.entries()].sort((a, b) =>
+            b[1] - a[1] || a[0].localeCompare(b[0], 'zh-CN')
+        );
+
+        if (tags.length === 0) {
+            tagList.innerHTML = `<li class="tag-list-empty">${i18n.t('tags.empty')}</li>`;
+        } else {
+            tagList.innerHTML = tags.map(([tag, count]) => `
+                <li class="tag-list-item ${this.selectedTags.includes(tag) ? 'active' : ''}">
+                    <button type="button" class="tag-filter-btn" data-tag="${escapeHtml(tag)}">
+                        <span class="tag-list-name">${escapeHtml(tag)}</span>
+                        <span class="tag-list-count">${count}</span>
+                    </button>
+                    <button type="button" class="tag-rename-btn" data-tag="${escapeHtml(tag)}" title="${i18n.t('tags.rename')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                        </svg>
+                    </button>
+                </li>
+            `).join('');
+
+            tagList.querySelectorAll('.tag-filter-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.toggleTag(btn.dataset.tag));
+            });
+            tagList.querySelectorAll('.tag-rename-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.showTagModal([btn.dataset.tag]));
+            });
+        }
+
+        document.querySelectorAll('.tag-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.tagMatchMode);
+        });
+        document.getElementById('clearTagsBtn').disabled = this.selectedTags.length === 0;
+        document.getElementById('mergeTagsBtn').disabled = this.selectedTags.length < 2;
+    }
+
+    async toggleTag(tag) {
+        if (this.selectedTags.includes(tag)) {
+            this.selectedTags = this.selectedTags.filter(selected => selected !== tag);
+        } else {
+            this.selectedTags.push(tag);
+        }
+        await this.loadBookmarks(document.getElementById('searchInput').value.trim());
+    }
+
+    async setTagMatchMode(mode) {
+        this.tagMatchMode = mode;
+        await this.loadBookmarks(document.getElementById('searchInput').value.trim());
+    }
+
+    async clearTagFilter() {
+        this.selectedTags = [];
+        await this.loadBookmarks(document.getElementById('searchInput').value.trim());
+    }
+
+    // One source tag means rename; several means merge them into the entered name
+    showTagModal(tags) {
+        if (tags.length === 0) return;
+
+        this.tagEditSources = [...tags];
+        const merging = tags.length > 1;
+
+        document.getElementById('tagModalTitle').textContent = i18n.t(merging ? 'tags.mergeTitle' : 'tags.renameTitle');
+        document.getElementById('tagSources').innerHTML = tags.map(tag =>
+            `<span class="tag">${escapeHtml(tag)}</span>`
+        ).join('');
+        document.getElementById('tagNewName').value = tags[0];
+        document.getElementById('tagModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        document.getElementById('tagNewName').select();
+    }
+
+    closeTagModal() {
+        document.getElementById('tagModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.tagEditSources = [];
+    }
+
+    async handleTagRename() {
+        const newName = document.getElementById('tagNewName').value.trim();
+        const sources = this.tagEditSources;
+
+        if (!newName) {
+            this.showToast(i18n.t('tags.nameRequired'), 'error');
+            return;
+        }
+
+        // Tags are entered as a separated list in the bookmark form, so separators can't be part of a name
+        if (/[,;，；\s]/.test(newName)) {
+            this.showToast(i18n.t('tags.invalidName'), 'error');
+            return;
+        }
+
+        if (sources.length === 1 && sources[0] === newName) {
+            this.closeTagModal();
+            return;
+        }
+
+        try {
+            const updated = await this.db.renameTags(sources, newName);
+
+            // Keep the filter pointing at the renamed tag
+            if (sources.some(tag => this.selectedTags.includes(tag))) {
+                this.selectedTags = this.selectedTags.filter(tag => !sources.includes(tag));
+                this.selectedTags.push(newName);
+            }
+
+            this.showToast(i18n.t('tags.updated', { count: updated }), 'success');
+            this.closeTagModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value.trim());
+        } catch (error) {
+            console.error('Rename tag error:', error);
+            this.showToast(i18n.t('tags.failed'), 'error');
+        }
+    }
+
+    // ==================== Language ====================
+    async setLanguage(locale) {
+        i18n.setLocale(locale);
+        localStorage.setItem('language', i18n.locale);
+        this.renderLanguage();
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
+
+    // Static text follows its data-i18n attributes; text that depends on state is rendered again,
+    // and loadBookmarks redraws the rest
+    renderLanguage() {
+        i18n.translatePage();
+        document.getElementById('languageSelect').value = i18n.locale;
+        this.renderSelectionMode();
+        this.renderSelectionBar();
+        this.renderLinkCheckStatus('');
+        this.renderSyncStatus();
+    }
+
+    // ==================== Settings ====================
+    // SETTINGS' defaults, overridden by the stored values that are still valid
+    readStoredSettings(stored) {
+        return Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => [
+            key,
+            setting.isValid(stored[key]) ? stored[key] : setting.default
+        ]));
+    }
+
+    async loadSettings() {
+        this.settings = this.readStoredSettings(await this.db.getSettings());
+        this.applySettings();
+    }
+
+    // The page size, view and theme take effect here; the list is drawn again by the caller
+    applySettings() {
+        this.itemsPerPage = this.settings.pageSize;
+        const container = document.getElementById('bookmarksContainer');
+        VIEW_MODES.forEach(mode => container.classList.toggle(`view-${mode}`, mode === this.settings.viewMode));
+        this.applyTheme();
+    }
+
+    // 跟随系统 tracks the system's dark mode as it changes
+    applyTheme() {
+        const { theme } = this.settings;
+        const dark = theme === 'dark' || (theme === 'auto' && this.darkScheme.matches);
+        document.documentElement.dataset.theme = dark ? 'dark' : 'light';
+    }
+
+    async updateSetting(key, value) {
+        try {
+            await this.db.putSetting(key, value);
+            this.settings[key] = value;
+            this.applySettings();
+
+            if (['pageSize', 'infiniteScroll', 'viewMode'].includes(key)) {
+                this.currentPage = 1;
+                await this.render();
+            }
+        } catch (error) {
+            console.error('Settings error:', error);
+            this.showToast(i18n.t('settings.failed'), 'error');
+        }
+    }
+
+    showSettingsModal() {
+        const { pageSize, infiniteScroll, viewMode, theme, defaultTags } = this.settings;
+
+        document.getElementById('settingsPageSize').innerHTML = PAGE_SIZES.map(size =>
+            `<option value="${size}" ${size === pageSize ? 'selected' : ''}>${i18n.t('settings.pageSizeOption', { count: size })}</option>`
+        ).join('');
+        document.getElementById('settingsInfiniteScroll').checked = infiniteScroll;
+        document.querySelector(`input[name="settingsViewMode"][value="${viewMode}"]`).checked = true;
+        document.querySelector(`input[name="settingsTheme"][value="${theme}"]`).checked = true;
+        document.getElementById('settingsDefaultTags').value = defaultTags.join(i18n.t('common.tagSeparator'));
+
+        document.getElementById('settingsModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeSettingsModal() {
+        document.getElementById('settingsModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    // ==================== Offline & Updates ====================
+    // sw.js precaches the app shell; a changed worker installs alongside the running one and
+    // waits, so the user decides when to reload into the new version
+    registerServiceWorker() {
+        // Service workers need http(s); opened from disk the app simply runs online-only
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // Only a worker installed while another one controls the page is an update
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.error('Service worker registration error:', error);
+        });
+
+        // The first install also claims the page; reload only for an update the user accepted
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.waitingWorker) location.reload();
+        });
+    }
+
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+        document.getElementById('updateBanner').style.display = 'flex';
+    }
+
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        this.waitingWorker.postMessage({ type: 'skipWaiting' });
+        document.getElementById('updateBanner').style.display = 'none';
+    }
+
+    // ==================== Sync ====================
+    // Settings are { type: 'rest' | 'webdav', url, token, username, password }; no type means off
+    getSyncSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('syncSettings')) || { type: '' };
+        } catch {
+            return { type: '' };
+        }
+    }
+
+    createSyncEngine(settings) {
+        if (!settings.type || !settings.url) return null;
+
+        const adapter = settings.type === 'webdav'
+            ? new WebDavSyncAdapter(settings.url, { username: settings.username, password: settings.password })
+            : new RestSyncAdapter(settings.url, { token: settings.token });
+        return new SyncEngine(this.db, adapter, { deviceId: this.getDeviceId() });
+    }
+
+    // Breaks last-writer-wins ties between devices
+    getDeviceId() {
+        let deviceId = localStorage.getItem('syncDeviceId');
+        if (!deviceId) {
+            deviceId = this.db.createSyncId();
+            localStorage.setItem('syncDeviceId', deviceId);
+        }
+        return deviceId;
+    }
+
+    initSync() {
+        this.syncEngine = this.createSyncEngine(this.getSyncSettings());
+        this.syncState = this.syncEngine ? 'synced' : 'off';
+        this.renderSyncStatus();
+
+        setInterval(() => this.runSync(), SYNC_INTERVAL);
+        window.addEventListener('online', () => this.runSync());
+        // Send changes off when the user leaves, instead of waiting for the next interval
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.runSync();
+        });
+        this.runSync();
+    }
+
+    async runSync({ manual = false } = {}) {
+        const engine = this.syncEngine;
+        if (!engine || this.syncState === 'syncing') return;
+
+        if (!navigator.onLine) {
+            this.syncState = 'offline';
+            this.renderSyncStatus();
+            return;
+        }
+
+        this.syncState = 'syncing';
+        this.renderSyncStatus();
+
+        try {
+            const { pushed, pulled, conflicts } = await engine.sync();
+            // The settings may have changed while this sync ran
+            if (engine !== this.syncEngine) return;
+
+            this.syncState = 'synced';
+            this.lastSync = { at: new Date(), pushed, pulled };
+            if (conflicts.length) {
+                const at = new Date().toISOString();
+                this.syncConflicts = [...conflicts.map(conflict => ({ ...conflict, at })), ...this.syncConflicts]
+                    .slice(0, SYNC_CONFLICT_LIMIT);
+                localStorage.setItem('syncConflicts', JSON.stringify(this.syncConflicts));
+                this.showToast(i18n.t('sync.conflictToast', { count: conflicts.length }), 'error', {
+                    label: i18n.t('common.view'),
+                    onClick: () => this.showSyncModal()
+                });
+            } else if (manual) {
+                this.showToast(i18n.t('sync.done', { pushed, pulled }));
+            }
+            if (pulled) await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            if (engine !== this.syncEngine) return;
+            console.error('Sync error:', error);
+            this.syncState = 'error';
+            this.syncError = error.message;
+            if (manual) this.showToast(i18n.t('sync.failed'), 'error');
+        } finally {
+            if (engine === this.syncEngine) {
+                this.renderSyncStatus();
+                this.renderSyncReport();
+            }
+        }
+    }
+
+    renderSyncStatus() {
+        const button = document.getElementById('syncBtn');
+        const status = document.getElementById('syncStatus');
+        const conflicts = this.syncConflicts.length;
+        let text = i18n.t('sync.status');
+        let title = i18n.t('sync.statusTitle');
+
+        if (this.syncState === 'syncing') {
+            text = i18n.t('sync.syncing');
+        } else if (this.syncState === 'offline') {
+            text = i18n.t('sync.offline');
+            title = i18n.t('sync.offlineTitle');
+        } else if (this.syncState === 'error') {
+            text = i18n.t('sync.failed');
+            title = i18n.t('sync.failedTitle', { error: this.syncError });
+        } else if (this.syncState === 'synced' && conflicts) {
+            text = i18n.t('sync.conflictCount', { count: conflicts });
+            title = i18n.t('sync.conflictTitle');
+        } else if (this.syncState === 'synced' && this.lastSync) {
+            // Just the time of day
+            text = i18n.t('sync.synced', { time: this.db.formatDateTime(this.lastSync.at).slice(11) });
+        }
+
+        button.dataset.state = this.syncState === 'synced' && conflicts ? 'conflict' : this.syncState;
+        button.title = title;
+        status.textContent = text;
+    }
+
+    showSyncModal() {
+        const settings = this.getSyncSettings();
+
+        document.getElementById('syncType').value = settings.type || '';
+        document.getElementById('syncUrl').value = settings.url || '';
+        document.getElementById('syncToken').value = settings.token || '';
+        document.getElementById('syncUsername').value = settings.username || '';
+        document.getElementById('syncPassword').value = settings.password || '';
+        this.renderSyncFields();
+        this.renderSyncReport();
+        document.getElementById('syncModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeSyncModal() {
+        document.getElementById('syncModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    // Only the fields of the chosen adapter are shown
+    renderSyncFields() {
+        const type = document.getElementById('syncType').value;
+        document.querySelectorAll('#syncModal .sync-field').forEach(field => {
+            field.style.display = field.dataset.syncTypes.split(' ').includes(type) ? '' : 'none';
+        });
+    }
+
+    renderSyncReport() {
+        const report = document.getElementById('syncReport');
+        const conflictList = document.getElementById('syncConflictList');
+
+        if (this.syncState === 'error') {
+            report.textContent = i18n.t('sync.lastFailed', { error: this.syncError });
+        } else if (this.lastSync) {
+            const { at, pushed, pulled } = this.lastSync;
+            report.textContent = i18n.t('sync.last', { date: this.db.formatDateTime(at), pushed, pulled });
+        } else {
+            report.textContent = '';
+        }
+
+        document.getElementById('syncConflicts').style.display = this.syncConflicts.length ? '' : 'none';
+        conflictList.innerHTML = this.syncConflicts.map(conflict => {
+            let outcome = conflict.winner === 'local' ? 'sync.keptLocal' : 'sync.keptRemote';
+            if (conflict.winner === 'local' && conflict.localDeleted) outcome = 'sync.keptLocalDelete';
+            if (conflict.winner === 'remote' && conflict.remoteDeleted) outcome = 'sync.trashedRemoteDelete';
+
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-info">
+                        <span class="duplicate-item-name">${escapeHtml(conflict.name || i18n.t('common.noName'))}</span>
+                        <span class="duplicate-item-date">${i18n.t('sync.conflict', { date: this.db.formatDateTime(new Date(conflict.at)), outcome: i18n.t(outcome) })}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    clearSyncConflicts() {
+        this.syncConflicts = [];
+        localStorage.removeItem('syncConflicts');
+        this.renderSyncReport();
+        this.renderSyncStatus();
+    }
+
+    async handleSyncSubmit() {
+        const previous = this.getSyncSettings();
+        const settings = {
+            type: document.getElementById('syncType').value,
+            url: document.getElementById('syncUrl').value.trim(),
+            token: document.getElementById('syncToken').value,
+            username: document.getElementById('syncUsername').value.trim(),
+            password: document.getElementById('syncPassword').value
+        };
+
+        if (settings.type && !this.db.isWebUrl(settings.url)) {
+            this.showToast(i18n.t('sync.invalidUrl'), 'error');
+            return;
+        }
+
+        try {
+            // The sync base describes the old remote; against a different one every record
+            // has to be compared afresh
+            if (settings.type !== previous.type || settings.url !== previous.url) {
+                await this.db.clearSyncBase();
+            }
+            localStorage.setItem('syncSettings', JSON.stringify(settings));
+            this.syncEngine = this.createSyncEngine(settings);
+            this.syncState = this.syncEngine ? 'synced' : 'off';
+            this.syncError = '';
+            this.lastSync = null;
+            this.renderSyncStatus();
+            this.closeSyncModal();
+            await this.runSync({ manual: true });
+        } catch (error) {
+            console.error('Sync settings error:', error);
+            this.showToast(i18n.t('common.saveFailed'), 'error');
+        }
+    }
+
+    // ==================== Quick Add ====================
+    // Pages opened as ?add=<url>&title=<title> by the bookmarklet, or shared to the installed app
+    // through the manifest's share target (title, text, add). tags=<a,b> adds tags and save=1
+    // stores the link without showing the form, provided key=<this install's quick add key>
+    getQuickAddRequest(search = location.search) {
+        const params = new URLSearchParams(search);
+        // Share sheets often send the address as part of the text rather than as the url
+        const sharedText = params.get('text') || '';
+        const url = (params.get('add') || (sharedText.match(/https?:\/\/\S+/) || [''])[0]).trim();
+
+        if (!url) return null;
+        return {
+            url,
+            title: (params.get('title') || '').trim(),
+            tags: this.parseTags(params.get('tags') || ''),
+            save: params.get('save') === '1',
+            key: params.get('key') || ''
+        };
+    }
+
+    // Random key only this install's bookmarklet carries, so another site can't link here with
+    // save=1 and have something saved unseen
+    getQuickAddKey() {
+        let key = localStorage.getItem('quickAddKey');
+        if (!key) {
+            key = this.db.createSyncId();
+            localStorage.setItem('quickAddKey', key);
+        }
+        return key;
+    }
+
+    async handleQuickAdd() {
+        const request = this.getQuickAddRequest();
+        if (!request) return;
+
+        // Don't add the link again when the page is reloaded
+        history.replaceState(null, '', location.pathname + location.hash);
+
+        if (!this.db.isWebUrl(request.url)) {
+            this.showToast(i18n.t('quickAdd.webOnly'), 'error');
+            return;
+        }
+
+        // The default tags go on along with the bookmarklet's own
+        request.tags = this.db.normalizeTags([...this.settings.defaultTags, ...request.tags]);
+
+        if (request.save && request.key === this.getQuickAddKey()) {
+            await this.quickSave(request);
+        } else {
+            this.showAddModal(request);
+            // Without the key, save=1 came from an old bookmarklet or from somewhere else
+            if (request.save) this.showToast(i18n.t('quickAdd.confirmNeeded'), 'error');
+        }
+    }
+
+    async quickSave({ url, title, tags }) {
+        try {
+            const [existing] = await this.db.findDuplicates(url);
+            if (existing) {
+                this.showToast(i18n.t('quickAdd.exists', { name: existing.name }), 'error', {
+                    label: i18n.t('common.edit'),
+                    onClick: () => this.showEditModal(existing.id)
+                });
+                return;
+            }
+
+            const metadata = await this.metadataResolver.resolve(url).catch(error => {
+                console.warn('Metadata fetch error:', error);
+                return { title: '', description: '', favicon: '' };
+            });
+            const name = title || metadata.title || new URL(url).hostname;
+            const id = await this.db.add({
+                name,
+                url,
+                tags,
+                description: metadata.description,
+                favicon: metadata.favicon
+            });
+            const record = await this.db.get(id);
+
+            this.recordChange(i18n.t('quickAdd.added', { name }), {
+                label: i18n.t('bookmark.addLabel', { name }),
+                undo: () => this.db.purge(id),
+                redo: () => this.db.bulkPut([record])
+            });
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Quick add error:', error);
+            this.showToast(i18n.t('quickAdd.failed'), 'error');
+        }
+    }
+
+    showQuickAddModal() {
+        const options = JSON.parse(localStorage.getItem('quickAddOptions') || '{}');
+
+        document.getElementById('quickAddTags').value = (options.tags || []).join(i18n.t('common.tagSeparator'));
+        document.querySelector(`input[name="quickAddMode"][value="${options.save ? 'save' : 'form'}"]`).checked = true;
+        this.renderBookmarklet();
+        document.getElementById('quickAddModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeQuickAddModal() {
+        document.getElementById('quickAddModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    // Regenerate the bookmarklet from the options and remember them for next time
+    renderBookmarklet() {
+        const options = {
+            tags: this.parseTags(document.getElementById('quickAddTags').value),
+            save: document.querySelector('input[name="quickAddMode"]:checked').value === 'save'
+        };
+        const bookmarklet = this.getBookmarklet(options);
+
+        localStorage.setItem('quickAddOptions', JSON.stringify(options));
+        document.getElementById('bookmarkletLink').href = bookmarklet;
+        document.getElementById('bookmarkletCode').value = bookmarklet;
+    }
+
+    getBookmarklet({ tags, save }) {
+        const appUrl = location.href.split(/[?#]/)[0];
+        let extra = tags.length ? `&tags=${encodeURIComponent(tags.join(','))}` : '';
+        if (save) extra += `&save=1&key=${encodeURIComponent(this.getQuickAddKey())}`;
+
+        const code = `window.open(${JSON.stringify(appUrl)}+'?add='+encodeURIComponent(location.href)` +
+            `+'&title='+encodeURIComponent(document.title)+${JSON.stringify(extra)})`;
+        // Browsers percent-decode javascript: URLs once before running them
+        return `javascript:(function(){${code.replace(/%/g, '%25')}})();`;
+    }
+
+    // ==================== Visits ====================
+    // Count the open without holding up the link; only the card's count is refreshed so the
+    // list doesn't reshuffle under the pointer
+    async handleVisit(id) {
+        try {
+            const record = await this.db.recordVisit(id);
+            if (!record) return;
+
+            const card = document.querySelector(`#bookmarksContainer .bookmark-card[data-id="${id}"]`);
+            const counter = card && card.querySelector('.visit-count');
+            if (counter) counter.outerHTML = this.createVisitCount(record);
+            if (record.visitCount === 1) {
+                this.visitedCount++;
+                this.updateStats();
+            }
+        } catch (error) {
+            console.error('Record visit error:', error);
+        }
+    }
+
+    async toggleFrequentView() {
+        this.frequentView = !this.frequentView;
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
+
+    createVisitCount(bookmark) {
+        if (bookmark.trackVisits === false) return `<span class="visit-count" title="${i18n.t('card.visitsOff')}"></span>`;
+        if (!bookmark.visitCount) return '<span class="visit-count"></span>';
+
+        const title = i18n.t('card.lastVisit', { date: this.db.formatDateTime(new Date(bookmark.lastVisitedAt)) });
+        return `<span class="visit-count" title="${title}">${i18n.t('card.visits', { count: bookmark.visitCount })}</span>`;
+    }
+
+    // ★★★★☆ for a 1–5 rating
+    createRating(rating) {
+        return `<div class="bookmark-rating" title="${i18n.t('common.stars', { count: rating })}">${'★'.repeat(rating)}<span class="rating-empty">${'★'.repeat(5 - rating)}</span></div>`;
+    }
+
+    // ==================== Archive ====================
+    async toggleArchivedView() {
+        this.archivedView = !this.archivedView;
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
+
+    async toggleArchive(id) {
+        try {
+            const before = await this.db.get(id);
+            if (!before) return;
+
+            const archived = !before.archivedAt;
+            await this.db.setArchived([id], archived);
+            const after = await this.db.get(id);
+            this.recordChange(i18n.t(archived ? 'bookmark.archived' : 'bookmark.unarchived'), {
+                label: i18n.t(archived ? 'bookmark.archiveLabel' : 'bookmark.unarchiveLabel', { name: before.name }),
+                undo: () => this.db.bulkPut([before]),
+                redo: () => this.db.bulkPut([after])
+            });
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Archive error:', error);
+            this.showToast(i18n.t('bookmark.archiveFailed'), 'error');
+        }
+    }
+
+    // In the 归档 view the selection is unarchived, anywhere else archived
+    async archiveSelected() {
+        if (this.selectedIds.size === 0) return;
+
+        const archived = !this.archivedView;
+        try {
+            const ids = [...this.selectedIds];
+            const before = await this.db.getMany(ids);
+            const updated = await this.db.setArchived(ids, archived);
+            const after = await this.db.getMany(ids);
+
+            this.recordChange(i18n.t(archived ? 'bookmark.bulkArchived' : 'bookmark.bulkUnarchived', { count: updated }), {
+                label: i18n.t(archived ? 'bookmark.bulkArchiveLabel' : 'bookmark.bulkUnarchiveLabel', { count: ids.length }),
+                undo: () => this.db.bulkPut(before),
+                redo: () => this.db.bulkPut(after)
+            });
+            this.clearSelection();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Bulk archive error:', error);
+            this.showToast(i18n.t('bookmark.archiveFailed'), 'error');
+        }
+    }
+
+    // ==================== Detail View ====================
+    async showDetailModal(id) {
+        try {
+            const bookmark = await this.db.get(id);
+            if (!bookmark) {
+                this.showToast(i18n.t('bookmark.notFound'), 'error');
+                return;
+            }
+
+            const folder = this.getFolder(bookmark.folderId);
+            const url = document.getElementById('detailUrl');
+            this.detailId = id;
+            document.getElementById('detailName').textContent = bookmark.name;
+            url.href = bookmark.url;
+            url.textContent = bookmark.url;
+            document.getElementById('detailRating').innerHTML = bookmark.rating ? this.createRating(bookmark.rating) : i18n.t('detail.noRating');
+            document.getElementById('detailNotes').innerHTML = bookmark.description
+                ? this.markdown.render(bookmark.description)
+                : `<p class="detail-empty">${i18n.t('detail.noNotes')}</p>`;
+            document.getElementById('detailTags').innerHTML = bookmark.tags.length
+                ? bookmark.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')
+                : i18n.t('common.none');
+            document.getElementById('detailFolder').textContent = folder ? folder.name : i18n.t('common.none');
+            document.getElementById('detailCreated').textContent = this.db.formatDateTime(new Date(bookmark.createdAt));
+            document.getElementById('detailUpdated').textContent = this.db.formatDateTime(new Date(bookmark.updatedAt));
+            document.getElementById('detailVisits').textContent = bookmark.visitCount
+                ? i18n.t('detail.visitSummary', { count: bookmark.visitCount, date: this.db.formatDateTime(new Date(bookmark.lastVisitedAt)) })
+                : i18n.t('detail.notVisited');
+            document.getElementById('detailArchivedRow').style.display = bookmark.archivedAt ? '' : 'none';
+            if (bookmark.archivedAt) {
+                document.getElementById('detailArchived').textContent = this.db.formatDateTime(new Date(bookmark.archivedAt));
+            }
+            document.getElementById('detailArchiveBtn').textContent = i18n.t(bookmark.archivedAt ? 'card.unarchive' : 'card.archive');
+
+            document.getElementById('detailModal').classList.add('active');
+            document.body.style.overflow = 'hidden';
+        } catch (error) {
+            console.error('Show detail error:', error);
+            this.showToast(i18n.t('common.loadFailed'), 'error');
+        }
+    }
+
+    closeDetailModal() {
+        document.getElementById('detailModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.detailId = null;
+    }
+
+    // ==================== Ordering ====================
+    async setSortOrder(order) {
+        this.sortOrder = order;
+        localStorage.setItem('sortOrder', order);
+        // The table view's headings sort too
+        document.getElementById('sortSelect').value = order;
+        if (order === 'custom') this.showToast(i18n.t('sort.customHint'), 'success');
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
+
+    async togglePin(id) {
+        try {
+            const before = await this.db.get(id);
+            if (!before) return;
+
+            const pinned = !before.pinnedAt;
+            await this.db.setPinned([id], pinned);
+            const after = await this.db.get(id);
+            this.recordChange(i18n.t(pinned ? 'bookmark.pinned' : 'bookmark.unpinned'), {
+                label: i18n.t(pinned ? 'bookmark.pinLabel' : 'bookmark.unpinLabel', { name: before.name }),
+                undo: () => this.db.bulkPut([before]),
+                redo: () => this.db.bulkPut([after])
+            });
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Pin error:', error);
+            this.showToast(i18n.t('bookmark.pinFailed'), 'error');
+        }
+    }
+
+    // In the custom order a card dropped on the left half of another lands before it, on the
+    // right half after it; in the list and table views, which run down the page, the top and
+    // bottom halves
+    bindReorderTarget(card) {
+        const targetId = parseInt(card.dataset.id);
+        const isAfter = (e) => {
+            const rect = card.getBoundingClientRect();
+            return this.settings.viewMode === 'grid'
+                ? e.clientX > rect.left + rect.width / 2
+                : e.clientY > rect.top + rect.height / 2;
+        };
+        const clear = () => card.classList.remove('drop-before', 'drop-after');
+
+        card.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(BOOKMARK_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const after = isAfter(e);
+            card.classList.toggle('drop-before', !after);
+            card.classList.toggle('drop-after', after);
+        });
+        card.addEventListener('dragleave', (e) => {
+            if (!card.contains(e.relatedTarget)) clear();
+        });
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            clear();
+            const ids = JSON.parse(e.dataTransfer.getData(BOOKMARK_DRAG_TYPE) || '[]');
+            if (ids.length && !ids.includes(targetId)) this.reorder(ids, targetId, isAfter(e));
+        });
+    }
+
+    async reorder(ids, targetId, after) {
+        try {
+            // Keep a dragged selection in its current order
+            const order = this.resultIds || [];
+            const moving = [...ids].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+            const page = this.currentPage;
+
+            await this.db.moveInOrder(moving, targetId, after);
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+
+            // Stay on the page the card was dropped on
+            const lastPage = Math.ceil(this.resultCount / this.itemsPerPage);
+            if (page > 1 && lastPage > 1) {
+                this.currentPage = Math.min(page, lastPage);
+                this.renderPagination();
+                await this.renderBookmarks();
+            }
+        } catch (error) {
+            console.error('Reorder error:', error);
+            this.showToast(i18n.t('sort.failed'), 'error');
+        }
+    }
+
+    // ==================== Folders ====================
+    getFolder(id) {
+        return this.folders.find(folder => folder.id === id) || null;
+    }
+
+    // Subfolders sorted by name; null gives the top level
+    getChildFolders(parentId) {
+        return this.folders
+            .filter(folder => folder.parentId === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+    }
+
+    // Folders depth-first in tree order, each with its depth
+    flattenFolders(parentId = null, depth = 0) {
+        return this.getChildFolders(parentId).flatMap(folder => [
+            { folder, depth },
+            ...this.flattenFolders(folder.id, depth + 1)
+        ]);
+    }
+
+    async renderFolderTree() {
+        const tree = document.getElementById('folderTree');
+        const directCounts = await this.db.getFolderCounts();
+
+        // A folder's count includes everything filed in its subfolders
+        const totals = new Map();
+        const getTotal = (folder) => {
+            if (!totals.has(folder.id)) {
+                totals.set(folder.id, this.getChildFolders(folder.id).reduce(
+                    (sum, child) => sum + getTotal(child),
+                    directCounts.get(folder.id) || 0
+                ));
+            }
+            return totals.get(folder.id);
+        };
+
+        const renderItems = (parentId) => this.getChildFolders(parentId).map(folder => {
+            const hasChildren = this.getChildFolders(folder.id).length > 0;
+            const expanded = hasChildren && !this.collapsedFolders.has(folder.id);
+
+            return `
+                <li>
+                    <div class="tag-list-item folder-row ${folder.id === this.currentFolderId ? 'active' : ''}" data-folder-id="${folder.id}">
+                        <button type="button" class="folder-toggle ${expanded ? 'expanded' : ''}" data-folder-id="${folder.id}"
+                                title="${i18n.t(expanded ? 'folders.collapse' : 'folders.expand')}" ${hasChildren ? '' : 'disabled'}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="9 18 15 12 9 6"></polyline>
+                            </svg>
+                        </button>
+                        <button type="button" class="tag-filter-btn folder-filter-btn" data-folder-id="${folder.id}">
+                            <span class="tag-list-name">${escapeHtml(folder.name)}</span>
+                            <span class="tag-list-count">${getTotal(folder)}</span>
+                        </button>
+                        <button type="button" class="tag-rename-btn folder-edit-btn" data-folder-id="${folder.id}" title="${i18n.t('folders.editTitle')}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button type="button" class="tag-rename-btn folder-delete-btn" data-folder-id="${folder.id}" title="${i18n.t('folders.deleteTitle')}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                    ${expanded ? `<ul>${renderItems(folder.id)}</ul>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        // The root row lists everything; dropping a card on it takes the card out of its folder
+        tree.innerHTML = `
+            <li>
+                <div class="tag-list-item folder-row ${this.currentFolderId === null ? 'active' : ''}" data-folder-id="">
+                    <button type="button" class="folder-toggle" disabled></button>
+                    <button type="button" class="tag-filter-btn folder-filter-btn" data-folder-id="">
+                        <span class="tag-list-name">${i18n.t('folders.all')}</span>
+                        <span class="tag-list-count">${this.totalCount}</span>
+                    </button>
+                </div>
+            </li>
+            ${renderItems(null)}
+        `;
+
+        tree.querySelectorAll('.folder-toggle:not(:disabled)').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleFolderCollapsed(parseInt(btn.dataset.folderId)));
+        });
+        tree.querySelectorAll('.folder-filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectFolder(parseInt(btn.dataset.folderId) || null));
+        });
+        tree.querySelectorAll('.folder-edit-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showFolderModal(parseInt(btn.dataset.folderId)));
+        });
+        tree.querySelectorAll('.folder-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showFolderDeleteModal(parseInt(btn.dataset.folderId)));
+        });
+        tree.querySelectorAll('.folder-row').forEach(row => {
+            const folderId = parseInt(row.dataset.folderId) || null;
+
+            row.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes(BOOKMARK_DRAG_TYPE)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                row.classList.add('drop-target');
+            });
+            row.addEventListener('dragleave', (e) => {
+                if (!row.contains(e.relatedTarget)) row.classList.remove('drop-target');
+            });
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                row.classList.remove('drop-target');
+                const ids = JSON.parse(e.dataTransfer.getData(BOOKMARK_DRAG_TYPE) || '[]');
+                if (ids.length) this.moveToFolder(ids, folderId);
+            });
+        });
+    }
+
+    async selectFolder(folderId) {
+        this.currentFolderId = folderId;
+        await this.loadBookmarks(document.getElementById('searchInput').value.trim());
+    }
+
+    async toggleFolderCollapsed(folderId) {
+        if (this.collapsedFolders.has(folderId)) {
+            this.collapsedFolders.delete(folderId);
+        } else {
+            this.collapsedFolders.add(folderId);
+        }
+        localStorage.setItem('collapsedFolders', JSON.stringify([...this.collapsedFolders]));
+        await this.renderFolderTree();
+    }
+
+    // Fill a folder <select>, indenting subfolders; excludeId leaves out that folder's branch
+    renderFolderOptions(select, selectedId, rootLabel, excludeId = null) {
+        const excluded = excludeId ? this.db.getFolderSubtree(this.folders, excludeId) : [];
+        const options = this.flattenFolders().filter(({ folder }) => !excluded.includes(folder.id));
+
+        select.innerHTML = `<option value="">${rootLabel}</option>` + options.map(({ folder, depth }) =>
+            `<option value="${folder.id}">${'　'.repeat(depth)}${escapeHtml(folder.name)}</option>`
+        ).join('');
+        select.value = options.some(({ folder }) => folder.id === selectedId) ? String(selectedId) : '';
+    }
+
+    // Dragging a selected card carries the whole selection along
+    handleCardDragStart(e, card) {
+        const id = parseInt(card.dataset.id);
+        const ids = this.selectedIds.has(id) ? [...this.selectedIds] : [id];
+
+        e.dataTransfer.setData(BOOKMARK_DRAG_TYPE, JSON.stringify(ids));
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+    }
+
+    async moveToFolder(ids, folderId) {
+        try {
+            const before = await this.db.getMany(ids);
+            const moved = await this.db.moveBookmarks(ids, folderId);
+            if (moved === 0) return;
+
+            const after = await this.db.getMany(ids);
+            const folder = this.getFolder(folderId);
+            const message = folder
+                ? i18n.t('bookmark.moved', { count: moved, folder: folder.name })
+                : i18n.t('bookmark.movedOut', { count: moved });
+            this.recordChange(message, {
+                label: i18n.t('bookmark.moveLabel', { count: moved }),
+                undo: () => this.db.bulkPut(before),
+                redo: () => this.db.bulkPut(after)
+            });
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Move bookmarks error:', error);
+            this.showToast(i18n.t('bookmark.moveFailed'), 'error');
+        }
+    }
+
+    // Without an id a new folder is created inside the folder being browsed
+    showFolderModal(id = null) {
+        const folder = this.getFolder(id);
+
+        this.folderEditId = folder ? folder.id : null;
+        document.getElementById('folderModalTitle').textContent = i18n.t(folder ? 'folders.edit' : 'folders.add');
+        document.getElementById('folderName').value = folder ? folder.name : '';
+        this.renderFolderOptions(
+            document.getElementById('folderParent'),
+            folder ? folder.parentId : this.currentFolderId,
+            i18n.t('folders.topLevel'),
+            this.folderEditId
+        );
+        document.getElementById('folderModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        document.getElementById('folderName').select();
+    }
+
+    closeFolderModal() {
+        document.getElementById('folderModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.folderEditId = null;
+    }
+
+    async handleFolderSubmit() {
+        const name = document.getElementById('folderName').value.trim();
+        const parentId = parseInt(document.getElementById('folderParent').value) || null;
+
+        if (!name) {
+            this.showToast(i18n.t('folders.nameRequired'), 'error');
+            return;
+        }
+        if (this.getChildFolders(parentId).some(folder => folder.name === name && folder.id !== this.folderEditId)) {
+            this.showToast(i18n.t('folders.nameTaken'), 'error');
+            return;
+        }
+
+        try {
+            if (this.folderEditId) {
+                await this.db.updateFolder(this.folderEditId, { name, parentId });
+                this.showToast(i18n.t('folders.updated'), 'success');
+            } else {
+                await this.db.addFolder({ name, parentId });
+                this.showToast(i18n.t('folders.created'), 'success');
+                // Show the new folder inside its parent
+                this.collapsedFolders.delete(parentId);
+            }
+            this.closeFolderModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Save folder error:', error);
+            this.showToast(i18n.t('folders.saveFailed'), 'error');
+        }
+    }
+
+    showFolderDeleteModal(id) {
+        const folder = this.getFolder(id);
+        if (!folder) return;
+
+        const parent = this.getFolder(folder.parentId);
+        this.folderDeleteId = id;
+        document.getElementById('folderDeleteMessage').textContent =
+            i18n.t('folders.deleteConfirm', {
+                name: folder.name,
+                target: parent ? i18n.t('folders.deleteTarget', { name: parent.name }) : i18n.t('folders.deleteTargetTop')
+            });
+        document.querySelector('input[name="folderDeleteMode"][value="move"]').checked = true;
+        document.getElementById('folderDeleteModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeFolderDeleteModal() {
+        document.getElementById('folderDeleteModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.folderDeleteId = null;
+    }
+
+    async confirmFolderDelete() {
+        const id = this.folderDeleteId;
+        if (!id) return;
+
+        const withBookmarks = document.querySelector('input[name="folderDeleteMode"]:checked').value === 'trash';
+
+        try {
+            const name = this.getFolder(id).name;
+            let deletion = await this.db.deleteFolder(id, { withBookmarks });
+            const { trashIds, bookmarks } = deletion;
+
+            let message = i18n.t('folders.deleted');
+            if (withBookmarks && trashIds.length) {
+                message = i18n.t('folders.deletedTrashed', { count: trashIds.length });
+            } else if (!withBookmarks && bookmarks.length) {
+                message = i18n.t('folders.deletedMoved', { count: bookmarks.length });
+            }
+            this.recordChange(message, {
+                label: i18n.t('folders.deleteLabel', { name }),
+                undo: () => this.db.revertFolderDelete(deletion),
+                redo: async () => {
+                    deletion = await this.db.deleteFolder(id, { withBookmarks });
+                }
+            });
+            // Browse the parent when the open folder went away with this one
+            const removed = withBookmarks ? this.db.getFolderSubtree(this.folders, id) : [id];
+            if (removed.includes(this.currentFolderId)) {
+                this.currentFolderId = this.getFolder(id).parentId;
+            }
+            this.closeFolderDeleteModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Delete folder error:', error);
+            this.showToast(i18n.t('folders.deleteFailed'), 'error');
+        }
+    }
+
+    // ==================== Selection ====================
+    toggleSelectionMode() {
+        this.selectionMode = !this.selectionMode;
+        this.selectedIds.clear();
+        this.lastSelectedId = null;
+        this.renderSelectionMode();
+        this.render();
+    }
+
+    renderSelectionMode() {
+        document.getElementById('selectModeBtn').textContent = i18n.t(this.selectionMode ? 'selection.exit' : 'selection.start');
+    }
+
+    // Shift-click applies the clicked box's new state to everything between it and the last click,
+    // following the result order so ranges can span pages
+    handleSelectClick(id, shiftKey) {
+        const select = !this.selectedIds.has(id);
+        let ids = [id];
+
+        if (shiftKey && this.lastSelectedId !== null) {
+            const order = this.resultIds ||
+                [...document.querySelectorAll('#bookmarksContainer .bookmark-card')].map(card => parseInt(card.dataset.id));
+            const from = order.indexOf(this.lastSelectedId);
+            const to = order.indexOf(id);
+            if (from !== -1 && to !== -1) {
+                ids = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+            }
+        }
+
+        ids.forEach(selectedId => (select ? this.selectedIds.add(selectedId) : this.selectedIds.delete(selectedId)));
+        this.lastSelectedId = id;
+        this.renderSelection();
+    }
+
+    async selectAllMatching() {
+        try {
+            const ids = this.resultIds || await this.db.getIdsAfter(null);
+            ids.forEach(id => this.selectedIds.add(id));
+            this.renderSelection();
+        } catch (error) {
+            console.error('Select all error:', error);
+            this.showToast(i18n.t('selection.failed'), 'error');
+        }
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.lastSelectedId = null;
+        this.renderSelection();
+    }
+
+    // Sync checkboxes on the current page without re-rendering the cards
+    renderSelection() {
+        document.querySelectorAll('#bookmarksContainer .bookmark-card').forEach(card => {
+            const selected = this.selectedIds.has(parseInt(card.dataset.id));
+            card.classList.toggle('selected', selected);
+            const checkbox = card.querySelector('.select-checkbox');
+            if (checkbox) checkbox.checked = selected;
+        });
+        this.renderSelectionBar();
+    }
+
+    renderSelectionBar() {
+        const count = this.selectedIds.size;
+
+        document.getElementById('selectionBar').style.display = this.selectionMode ? 'flex' : 'none';
+        document.getElementById('selectionSummary').textContent = i18n.t('selection.summary', { count });
+        document.querySelectorAll('#selectionBar [data-needs-selection]').forEach(button => {
+            button.disabled = count === 0;
+        });
+    }
+
+    deleteSelected() {
+        if (this.selectedIds.size === 0) return;
+
+        this.showDeleteModal([...this.selectedIds], i18n.t('selection.deleteConfirm', { count: this.selectedIds.size }));
+    }
+
+    async showBulkTagModal() {
+        if (this.selectedIds.size === 0) return;
+
+        try {
+            // Offer the tags the selection already carries, for removal
+            const bookmarks = await this.db.getMany([...this.selectedIds]);
+            const existing = this.db.normalizeTags(bookmarks.flatMap(bookmark => bookmark.tags));
+            const container = document.getElementById('bulkTagExisting');
+
+            container.innerHTML = existing.map(tag =>
+                `<button type="button" class="tag" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`
+            ).join('') || `<span class="form-hint">${i18n.t('bulkTag.noTags')}</span>`;
+            container.querySelectorAll('.tag').forEach(chip => {
+                chip.addEventListener('click', () => {
+                    const input = document.getElementById('bulkTagInput');
+                    input.value = this.parseTags(`${input.value}，${chip.dataset.tag}`).join(i18n.t('common.tagSeparator'));
+                });
+            });
+
+            document.getElementById('bulkTagModalTitle').textContent = i18n.t('bulkTag.title', { count: this.selectedIds.size });
+            document.getElementById('bulkTagForm').reset();
+            document.getElementById('bulkTagModal').classList.add('active');
+            document.body.style.overflow = 'hidden';
+            document.getElementById('bulkTagInput').focus();
+        } catch (error) {
+            console.error('Show bulk tag modal error:', error);
+            this.showToast(i18n.t('common.loadFailed'), 'error');
+        }
+    }
+
+    closeBulkTagModal() {
+        document.getElementById('bulkTagModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    async handleBulkTags() {
+        const tags = this.parseTags(document.getElementById('bulkTagInput').value);
+        const mode = document.querySelector('input[name="bulkTagMode"]:checked').value;
+
+        if (tags.length === 0) {
+            this.showToast(i18n.t('tags.nameRequired'), 'error');
+            return;
+        }
+
+        try {
+            const ids = [...this.selectedIds];
+            const changes = mode === 'add' ? { add: tags } : { remove: tags };
+            const before = await this.db.getMany(ids);
+            const updated = await this.db.bulkUpdateTags(ids, changes);
+            const after = await this.db.getMany(ids);
+
+            this.recordChange(i18n.t('tags.updated', { count: updated }), {
+                label: i18n.t('bulkTag.title', { count: ids.length }),
+                undo: () => this.db.bulkPut(before),
+                redo: () => this.db.bulkPut(after)
+            });
+            this.closeBulkTagModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Bulk tag error:', error);
+            this.showToast(i18n.t('tags.failed'), 'error');
+        }
+    }
+
+    // ==================== Keyboard ====================
+    bindKeyboard() {
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') this.trapFocus(e);
+        });
+        document.addEventListener('focusin', (e) => {
+            if (!e.target.closest('.modal')) this.pageFocus = e.target;
+        });
+        this.observeModals();
+
+        document.getElementById('paletteInput').addEventListener('input', () => this.renderPalette());
+        document.getElementById('paletteInput').addEventListener('keydown', (e) => this.handlePaletteKey(e));
+        document.querySelector('#paletteModal .modal-overlay').addEventListener('click', () => this.closePalette());
+        document.getElementById('shortcutsModalClose').addEventListener('click', () => this.closeShortcutsModal());
+        document.querySelector('#shortcutsModal .modal-overlay').addEventListener('click', () => this.closeShortcutsModal());
+    }
+
+    // Single-key shortcuts only act on the page itself: never while typing or with a dialog open
+    handleShortcut(e) {
+        if (e.defaultPrevented || e.altKey) return;
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (document.getElementById('paletteModal').classList.contains('active')) {
+                this.closePalette();
+            } else if (!document.querySelector('.modal.active')) {
+                this.showPalette();
+            }
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey) return;
+        if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable]')) return;
+        if (document.querySelector('.modal.active')) return;
+
+        const card = e.target instanceof Element ? e.target.closest('#bookmarksContainer .bookmark-card') : null;
+        const id = card ? parseInt(card.dataset.id) : null;
+
+        switch (e.key) {
+            case '/':
+                e.preventDefault();
+                document.getElementById('searchInput').focus();
+                break;
+            case '?':
+                e.preventDefault();
+                this.showShortcutsModal();
+                break;
+            case 'n':
+                e.preventDefault();
+                this.showAddModal();
+                break;
+            case 'j':
+            case 'k':
+                // From the page itself, j and k start on the first card
+                if (!card && e.target !== document.body) return;
+                e.preventDefault();
+                this.moveCardFocus(card, e.key === 'j' ? 1 : -1);
+                break;
+            case 'ArrowDown':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                // Elsewhere the arrow keys keep scrolling the page
+                if (!card) return;
+                e.preventDefault();
+                this.moveCardFocus(card, {
+                    ArrowDown: this.getGridColumns(),
+                    ArrowRight: 1,
+                    ArrowUp: -this.getGridColumns(),
+                    ArrowLeft: -1
+                }[e.key]);
+                break;
+            case 'PageDown':
+            case 'PageUp': {
+                // The page turns only once the browser has nothing left to scroll that way
+                const delta = e.key === 'PageDown' ? 1 : -1;
+                if (this.canScroll(delta)) return;
+                e.preventDefault();
+                this.turnPage(delta, card ? 0 : null);
+                break;
+            }
+            case 'Enter':
+                // Enter on a button or link inside the card belongs to that control
+                if (!card || e.target !== card) return;
+                e.preventDefault();
+                card.querySelector('.bookmark-url').click();
+                break;
+            case 'e':
+                if (!card) return;
+                e.preventDefault();
+                this.showEditModal(id);
+                break;
+            case 'Delete':
+                if (!card) return;
+                e.preventDefault();
+                this.showDeleteModal([id]);
+                break;
+        }
+    }
+
+    getCards() {
+        return [...document.querySelectorAll('#bookmarksContainer .bookmark-card')];
+    }
+
+    // Whether the page can still scroll down (delta 1) or up (delta -1)
+    canScroll(delta) {
+        const { scrollTop, clientHeight, scrollHeight } = document.documentElement;
+        return delta > 0 ? scrollTop + clientHeight < scrollHeight - 1 : scrollTop > 0;
+    }
+
+    // Cards in the first row of the grid, so up and down move by whole rows
+    getGridColumns() {
+        const cards = this.getCards();
+        if (cards.length === 0) return 1;
+
+        const top = cards[0].getBoundingClientRect().top;
+        const columns = cards.findIndex(card => card.getBoundingClientRect().top > top);
+        return columns === -1 ? 1 : columns;
+    }
+
+    // Move step cards from the focused one (from nothing, onto the first card), turning the
+    // page at either end. With infinite scroll, going past the last card loads more instead
+    moveCardFocus(card, step) {
+        const cards = this.getCards();
+        if (cards.length === 0) return;
+
+        const index = card ? cards.indexOf(card) + step : 0;
+        const infinite = this.settings.infiniteScroll;
+        if (index >= cards.length && this.currentPage < Math.ceil(this.resultCount / this.itemsPerPage)) {
+            this.turnPage(1, infinite ? cards.length : 0);
+        } else if (index < 0 && this.currentPage > 1 && !infinite) {
+            this.turnPage(-1, -1);
+        } else {
+            cards[Math.min(Math.max(index, 0), cards.length - 1)].focus();
+        }
+    }
+
+    // focusIndex is the card to focus on the new page (negative counts from the end), or null for none
+    async turnPage(delta, focusIndex = null) {
+        const page = this.currentPage + delta;
+        if (page < 1 || page > Math.ceil(this.resultCount / this.itemsPerPage)) return;
+
+        await this.goToPage(page);
+        const cards = this.getCards();
+        if (focusIndex !== null && cards.length) cards.at(focusIndex).focus();
+    }
+
+    // Keep Tab and Shift+Tab inside the topmost open modal
+    trapFocus(e) {
+        const modal = [...document.querySelectorAll('.modal.active')].pop();
+        if (!modal) return;
+
+        const focusable = this.getFocusable(modal);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = modal.contains(document.activeElement);
+
+        if (e.shiftKey && (!inside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Sections the app hides with an inline display: none don't count
+    getFocusable(container) {
+        const selector = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])';
+        return [...container.querySelectorAll(selector)].filter(element =>
+            !element.disabled && !element.closest('[hidden], [style*="display: none"]')
+        );
+    }
+
+    // Move focus into a modal as it opens, preferring its first field, and back to the page once
+    // it closes. Modals that focus a field themselves have done so before this runs
+    observeModals() {
+        const observer = new MutationObserver(records => {
+            records.forEach(({ target: modal }) => {
+                const active = modal.classList.contains('active');
+
+                if (active && !this.modalReturnFocus.has(modal)) {
+                    this.modalReturnFocus.set(modal, this.pageFocus);
+                    if (!modal.contains(document.activeElement)) {
+                        const focusable = this.getFocusable(modal);
+                        const target = focusable.find(element => element.matches('input, select, textarea')) || focusable[0];
+                        if (target) target.focus();
+                    }
+                } else if (!active && this.modalReturnFocus.has(modal)) {
+                    const previous = this.modalReturnFocus.get(modal);
+                    this.modalReturnFocus.delete(modal);
+                    // Leave the focus alone when another modal took over
+                    if (previous && previous.isConnected && !document.querySelector('.modal.active')) previous.focus();
+                }
+            });
+        });
+
+        document.querySelectorAll('.modal').forEach(modal => {
+            observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+        });
+    }
+
+    showShortcutsModal() {
+        document.getElementById('shortcutsModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeShortcutsModal() {
+        document.getElementById('shortcutsModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    // ==================== Command Palette ====================
+    async showPalette() {
+        const input = document.getElementById('paletteInput');
+        input.value = '';
+        this.paletteBookmarks = [];
+        this.renderPalette();
+        document.getElementById('paletteModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        input.focus();
+
+        try {
+            this.paletteBookmarks = await this.db.getAll();
+            if (document.getElementById('paletteModal').classList.contains('active')) this.renderPalette();
+        } catch (error) {
+            console.error('Palette load error:', error);
+        }
+    }
+
+    closePalette() {
+        document.getElementById('paletteModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.paletteBookmarks = [];
+    }
+
+    getPaletteActions() {
+        const click = id => () => document.getElementById(id).click();
+        return [
+            { label: i18n.t('header.add'), shortcut: 'n', run: () => this.showAddModal() },
+            { label: i18n.t('header.search'), shortcut: '/', run: () => document.getElementById('searchInput').focus() },
+            { label: i18n.t('palette.quickAdd'), run: () => this.showQuickAddModal() },
+            { label: i18n.t('header.import'), run: click('importBtn') },
+            { label: i18n.t('header.export'), run: () => this.showExportModal() },
+            { label: i18n.t('publish.title'), run: () => this.showPublishModal() },
+            { label: i18n.t('settings.title'), run: () => this.showSettingsModal() },
+            { label: i18n.t('backup.title'), run: () => this.showBackupModal() },
+            { label: i18n.t('sync.status'), run: () => this.showSyncModal() },
+            { label: i18n.t('header.trash'), run: () => this.showTrashModal() },
+            { label: i18n.t('header.duplicates'), run: () => this.showDuplicatesModal() },
+            { label: i18n.t('linkCheck.start'), run: () => this.toggleLinkCheck() },
+            { label: i18n.t('selection.start'), run: () => this.toggleSelectionMode() },
+            { label: i18n.t('stats.frequent'), run: () => this.toggleFrequentView() },
+            { label: i18n.t('stats.archived'), run: () => this.toggleArchivedView() },
+            { label: i18n.t('folders.add'), run: click('addFolderBtn') },
+            { label: i18n.t('undo.undo'), shortcut: 'Ctrl+Z', run: () => this.undo() },
+            { label: i18n.t('undo.redo'), shortcut: 'Ctrl+Y', run: () => this.redo() },
+            { label: i18n.t('shortcuts.title'), shortcut: '?', run: () => this.showShortcutsModal() }
+        ];
+    }
+
+    // Matching actions, then bookmarks by name or address; with no query every action and the
+    // most used bookmarks
+    getPaletteItems(query) {
+        const text = query.trim().toLowerCase();
+        const actions = this.getPaletteActions().map(action => ({ ...action, type: 'action', ranges: [] }));
+
+        if (!text) {
+            const frequent = this.db.sortBookmarks(this.paletteBookmarks.filter(bookmark => bookmark.visitCount), 'frecency');
+            return [...actions, ...frequent.slice(0, 10).map(bookmark => ({ type: 'bookmark', bookmark, ranges: [] }))];
+        }
+
+        const score = (...matches) => Math.max(-1, ...matches.filter(Boolean).map(match => match.score));
+        const matchedActions = actions
+            .map(action => ({ ...action, match: this.fuzzyMatcher.match(text, action.label) }))
+            .filter(action => action.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .map(action => ({ ...action, ranges: action.match.ranges }));
+
+        const matchedBookmarks = this.paletteBookmarks
+            .map(bookmark => {
+                const name = this.fuzzyMatcher.match(text, bookmark.name);
+                const url = this.fuzzyMatcher.match(text, bookmark.url, { fuzzy: false });
+                return {
+                    type: 'bookmark',
+                    bookmark,
+                    score: score(name, url && { score: url.score * 0.6 }),
+                    ranges: name ? name.ranges : []
+                };
+            })
+            .filter(item => item.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 50);
+
+        return [...matchedActions, ...matchedBookmarks];
+    }
+
+    renderPalette() {
+        const list = document.getElementById('paletteList');
+        this.paletteItems = this.getPaletteItems(document.getElementById('paletteInput').value);
+
+        if (this.paletteItems.length === 0) {
+            list.innerHTML = `<li class="palette-empty">${i18n.t('palette.empty')}</li>`;
+            return;
+        }
+
+        list.innerHTML = this.paletteItems.map((item, index) => item.type === 'action' ? `
+            <li class="palette-item" role="option" data-index="${index}">
+                <span class="palette-kind">${i18n.t('palette.action')}</span>
+                <span class="palette-label">${this.highlightText(item.label, item.ranges)}</span>
+                ${item.shortcut ? `<kbd>${escapeHtml(item.shortcut)}</kbd>` : ''}
+            </li>
+        ` : `
+            <li class="palette-item" role="option" data-index="${index}">
+                <span class="palette-kind">${i18n.t('palette.bookmark')}</span>
+                <span class="palette-label">${this.highlightText(item.bookmark.name, item.ranges)}</span>
+                <span class="palette-url">${escapeHtml(this.truncateUrl(item.bookmark.url))}</span>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.palette-item').forEach(element => {
+            element.addEventListener('click', (e) => this.runPaletteItem(parseInt(element.dataset.index), e.shiftKey));
+            element.addEventListener('mousemove', () => this.setPaletteIndex(parseInt(element.dataset.index)));
+        });
+        this.setPaletteIndex(0);
+    }
+
+    setPaletteIndex(index) {
+        const items = document.querySelectorAll('#paletteList .palette-item');
+        if (items.length === 0) return;
+
+        this.paletteIndex = (index + items.length) % items.length;
+        items.forEach((item, i) => {
+            item.classList.toggle('active', i === this.paletteIndex);
+            item.setAttribute('aria-selected', i === this.paletteIndex);
+        });
+        items[this.paletteIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    handlePaletteKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.setPaletteIndex(this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runPaletteItem(this.paletteIndex, e.shiftKey);
+        }
+    }
+
+    // A bookmark opens its link, or with details its detail view
+    runPaletteItem(index, details = false) {
+        const item = this.paletteItems[index];
+        if (!item) return;
+
+        this.closePalette();
+        if (item.type === 'action') {
+            item.run();
+        } else if (details) {
+            this.showDetailModal(item.bookmark.id);
+        } else {
+            window.open(item.bookmark.url, '_blank', 'noopener,noreferrer');
+            this.handleVisit(item.bookmark.id);
+        }
+    }
+
+    // ==================== Modal Management ====================
+    // prefill { url, title, tags } comes from a quick-add link
+    showAddModal(prefill = null) {
+        this.currentEditId = null;
+        document.getElementById('modalTitle').textContent = i18n.t('form.addTitle');
+        document.getElementById('bookmarkForm').reset();
+        document.getElementById('bookmarkId').value = '';
+        document.getElementById('dateDisplay').style.display = 'none';
+        // New bookmarks go into the folder being browsed
+        this.renderFolderOptions(document.getElementById('bookmarkFolder'), this.currentFolderId, i18n.t('form.noFolder'));
+        document.getElementById('bookmarkTrackVisits').checked = true;
+        document.getElementById('bookmarkTags').value = this.settings.defaultTags.join(i18n.t('common.tagSeparator'));
+        this.renderRatingInput();
+        this.resetMetadata('');
+        this.hideDuplicateWarning();
+
+        if (prefill) {
+            document.getElementById('bookmarkUrl').value = prefill.url;
+            document.getElementById('bookmarkName').value = prefill.title;
+            document.getElementById('bookmarkTags').value = prefill.tags.join(i18n.t('common.tagSeparator'));
+            this.checkDuplicateUrl();
+            this.fetchMetadata();
+        }
+        this.openModal();
+    }
+
+    async showEditModal(id) {
+        try {
+            const bookmark = await this.db.get(id);
+            if (!bookmark) {
+                this.showToast(i18n.t('bookmark.notFound'), 'error');
+                return;
+            }
+
+            this.currentEditId = id;
+            document.getElementById('modalTitle').textContent = i18n.t('form.editTitle');
+            document.getElementById('bookmarkId').value = id;
+            document.getElementById('bookmarkName').value = bookmark.name;
+            document.getElementById('bookmarkUrl').value = bookmark.url;
+            // Use Chinese comma to separate tags
+            document.getElementById('bookmarkTags').value = bookmark.tags.join(i18n.t('common.tagSeparator'));
+            document.getElementById('bookmarkDescription').value = bookmark.description || '';
+            document.getElementById('bookmarkDate').value = this.db.formatDateTime(new Date(bookmark.createdAt));
+            document.getElementById('dateDisplay').style.display = 'block';
+            this.renderFolderOptions(document.getElementById('bookmarkFolder'), bookmark.folderId, i18n.t('form.noFolder'));
+            document.getElementById('bookmarkTrackVisits').checked = bookmark.trackVisits !== false;
+            document.querySelector(`input[name="bookmarkRating"][value="${bookmark.rating || 0}"]`).checked = true;
+            this.renderRatingInput();
+            document.getElementById('bookmarkArchived').checked = Boolean(bookmark.archivedAt);
+            this.resetMetadata(bookmark.favicon || '');
+            this.hideDuplicateWarning();
+            this.openModal();
+        } catch (error) {
+            console.error('Show edit modal error:', error);
+            this.showToast(i18n.t('common.loadFailed'), 'error');
+        }
+    }
+
+    // Light up the stars up to the chosen rating
+    renderRatingInput() {
+        const rating = Number(document.querySelector('input[name="bookmarkRating"]:checked').value);
+        document.querySelectorAll('.rating-star').forEach(star => {
+            star.classList.toggle('filled', Number(star.dataset.value) <= rating);
+        });
+    }
+
+    openModal() {
+        this.formSession++;
+        document.getElementById('modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        document.getElementById('bookmarkUrl').focus();
+    }
+
+    closeModal() {
+        document.getElementById('modal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.currentEditId = null;
+        this.formSession++;
+        clearTimeout(this.duplicateCheckTimer);
+        clearTimeout(this.metadataTimer);
+        // Drop any lookup still in flight
+        this.metadataRequestId++;
+    }
+
+    showDeleteModal(ids, message = i18n.t('bookmark.deleteConfirm')) {
+        this.deleteTargetIds = ids;
+        document.getElementById('deleteMessage').textContent = message;
+        document.getElementById('deleteModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeDeleteModal() {
+        document.getElementById('deleteModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.deleteTargetIds = [];
+    }
+
+    // ==================== CRUD Operations ====================
+    async handleFormSubmit() {
+        const saveButton = document.getElementById('saveBtn');
+        // Enter pressed again while the last save is still going
+        if (saveButton.disabled) return;
+
+        // Read before any await: closing or reopening the modal meanwhile changes both
+        const editId = this.currentEditId;
+        const session = this.formSession;
+        const url = document.getElementById('bookmarkUrl').value.trim();
+        const tagsInput = document.getElementById('bookmarkTags').value.trim();
+
+        if (!url) {
+            this.showToast(i18n.t('form.required'), 'error');
+            return;
+        }
+
+        // Web addresses only, which is all a sync or a backup carries
+        if (!this.db.isWebUrl(url)) {
+            this.showToast(i18n.t('form.invalidUrl'), 'error');
+            return;
+        }
+        const hostname = new URL(url).hostname;
+
+        saveButton.disabled = true;
+        try {
+            // Name left blank: wait for the page title, falling back to the host name
+            if (!document.getElementById('bookmarkName').value.trim()) {
+                clearTimeout(this.metadataTimer);
+                await this.fetchMetadata();
+                // Closed while the page loaded: the user gave up on this save
+                if (session !== this.formSession) return;
+            }
+
+            await this.saveBookmarkForm(editId, url, hostname, tagsInput);
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+
+    // Add the form's bookmark, or update editId's, and close the modal
+    async saveBookmarkForm(editId, url, hostname, tagsInput) {
+        const name = document.getElementById('bookmarkName').value.trim() || hostname;
+        const description = document.getElementById('bookmarkDescription').value.trim();
+
+        const tags = this.parseTags(tagsInput);
+        const folderId = parseInt(document.getElementById('bookmarkFolder').value) || null;
+
+        const trackVisits = document.getElementById('bookmarkTrackVisits').checked;
+        const rating = Number(document.querySelector('input[name="bookmarkRating"]:checked').value);
+        const archived = document.getElementById('bookmarkArchived').checked;
+
+        const bookmark = { name, url, tags, description, favicon: this.formFavicon, folderId, trackVisits, rating, archived };
+
+        try {
+            if (editId) {
+                const id = editId;
+                const before = await this.db.get(id);
+                await this.db.update(id, bookmark);
+                const after = await this.db.get(id);
+                this.recordChange(i18n.t('bookmark.updated'), {
+                    label: i18n.t('bookmark.editLabel', { name }),
+                    undo: () => this.db.bulkPut([before]),
+                    redo: () => this.db.bulkPut([after])
+                });
+            } else {
+                const id = await this.db.add(bookmark);
+                const record = await this.db.get(id);
+                this.recordChange(i18n.t('bookmark.added'), {
+                    label: i18n.t('bookmark.addLabel', { name }),
+                    undo: () => this.db.purge(id),
+                    redo: () => this.db.bulkPut([record])
+                });
+            }
+
+            this.closeModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Save error:', error);
+            this.showToast(i18n.t('common.saveFailed'), 'error');
+        }
+    }
+
+    async confirmDelete() {
+        const ids = this.deleteTargetIds;
+        if (ids.length === 0) return;
+
+        try {
+            let trashIds = await this.db.bulkDelete(ids);
+            this.recordChange(ids.length === 1 ? i18n.t('bookmark.deleted') : i18n.t('bookmark.bulkDeleted', { count: ids.length }), {
+                label: i18n.t('bookmark.deleteLabel', { count: ids.length }),
+                undo: () => this.db.restoreFromTrash(trashIds),
+                redo: async () => {
+                    trashIds = await this.db.bulkDelete(ids);
+                }
+            });
+            ids.forEach(id => this.selectedIds.delete(id));
+            this.closeDeleteModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Delete error:', error);
+            this.showToast(i18n.t('common.deleteFailed'), 'error');
+        }
+    }
+
+    // ==================== Undo & Trash ====================
+    // Remember a change for undo and confirm it with a toast offering 撤销
+    recordChange(message, entry) {
+        this.history.push(entry);
+        this.showToast(message, 'success', { label: i18n.t('undo.undo'), onClick: () => this.undo() });
+    }
+
+    async undo() {
+        try {
+            const entry = await this.history.undo();
+            if (!entry) return;
+
+            this.showToast(i18n.t('undo.undone', { label: entry.label }), 'success', { label: i18n.t('undo.redo'), onClick: () => this.redo() });
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Undo error:', error);
+            this.showToast(i18n.t('undo.undoFailed'), 'error');
+        }
+    }
+
+    async redo() {
+        try {
+            const entry = await this.history.redo();
+            if (!entry) return;
+
+            this.showToast(i18n.t('undo.redone', { label: entry.label }), 'success', { label: i18n.t('undo.undo'), onClick: () => this.undo() });
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Redo error:', error);
+            this.showToast(i18n.t('undo.redoFailed'), 'error');
+        }
+    }
+
+    async showTrashModal() {
+        document.getElementById('trashRetention').value = String(this.trashRetentionDays);
+        document.getElementById('trashModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        await this.renderTrash();
+    }
+
+    closeTrashModal() {
+        document.getElementById('trashModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    async renderTrash() {
+        const container = document.getElementById('trashList');
+
+        try {
+            await this.db.purgeExpiredTrash(this.trashRetentionDays);
+            const entries = await this.db.getTrash();
+            const dayMs = 24 * 60 * 60 * 1000;
+
+            document.getElementById('restoreAllBtn').disabled = entries.length === 0;
+            document.getElementById('emptyTrashBtn').disabled = entries.length === 0;
+
+            if (entries.length === 0) {
+                container.innerHTML = `<p class="trash-empty">${i18n.t('trash.empty')}</p>`;
+                return;
+            }
+
+            container.innerHTML = entries.map(entry => {
+                const daysLeft = Math.max(0, Math.ceil(
+                    (new Date(entry.deletedAt).getTime() + this.trashRetentionDays * dayMs - Date.now()) / dayMs
+                ));
+                return `
+                    <div class="trash-item">
+                        <div class="trash-item-info">
+                            <span class="duplicate-item-name">${escapeHtml(entry.bookmark.name)}</span>
+                            <span class="duplicate-item-url">${escapeHtml(entry.bookmark.url)}</span>
+                            <span class="duplicate-item-date">${i18n.t('trash.deletedAt', { date: this.db.formatDateTime(new Date(entry.deletedAt)), count: daysLeft })}</span>
+                        </div>
+                        <div class="trash-item-actions">
+                            <button type="button" class="btn btn-secondary restore-btn" data-trash-id="${entry.trashId}">${i18n.t('common.restore')}</button>
+                            <button type="button" class="btn btn-ghost purge-btn" data-trash-id="${entry.trashId}">${i18n.t('trash.purge')}</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            container.querySelectorAll('.restore-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.restoreTrash([parseInt(btn.dataset.trashId)]));
+            });
+            container.querySelectorAll('.purge-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.purgeTrash([parseInt(btn.dataset.trashId)]));
+            });
+        } catch (error) {
+            console.error('Render trash error:', error);
+            this.showToast(i18n.t('trash.loadFailed'), 'error');
+        }
+    }
+
+    async restoreTrash(trashIds) {
+        try {
+            const restored = await this.db.restoreFromTrash(trashIds);
+            this.showToast(i18n.t('trash.restored', { count: restored.length }), 'success');
+            await this.renderTrash();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showToast(i18n.t('trash.restoreFailed'), 'error');
+        }
+    }
+
+    async restoreAllTrash() {
+        const entries = await this.db.getTrash();
+        await this.restoreTrash(entries.map(entry => entry.trashId));
+    }
+
+    async purgeTrash(trashIds) {
+        try {
+            await this.db.purgeTrash(trashIds);
+            await this.renderTrash();
+        } catch (error) {
+            console.error('Purge error:', error);
+            this.showToast(i18n.t('common.deleteFailed'), 'error');
+        }
+    }
+
+    // Emptying can't be undone, so the button asks for a second click
+    async emptyTrash() {
+        const button = document.getElementById('emptyTrashBtn');
+        if (!button.classList.contains('confirming')) {
+            button.classList.add('confirming');
+            button.textContent = i18n.t('trash.confirmEmpty');
+            setTimeout(() => {
+                button.classList.remove('confirming');
+                button.textContent = i18n.t('trash.emptyTrash');
+            }, 3000);
+            return;
+        }
+
+        button.classList.remove('confirming');
+        button.textContent = i18n.t('trash.emptyTrash');
+        await this.purgeTrash(null);
+        this.showToast(i18n.t('trash.emptied'), 'success');
+    }
+
+    async setTrashRetention(days) {
+        this.trashRetentionDays = days;
+        localStorage.setItem('trashRetentionDays', String(days));
+        await this.renderTrash();
+    }
+
+    // ==================== Link Health ====================
+    initLinkChecker() {
+        this.linkChecker.onProgress = (checked, total) => {
+            this.renderLinkCheckStatus(i18n.t('linkCheck.progress', { checked, total }));
+        };
+        this.linkChecker.onChecked = (record) => this.handleLinkChecked(record);
+        this.linkChecker.onFinish = (progress) => {
+            this.renderLinkCheckStatus('');
+            this.showToast(i18n.t('linkCheck.done', { checked: progress.checked, flagged: progress.flagged }), 'success');
+            this.loadBookmarks(document.getElementById('searchInput').value);
+        };
+        this.linkChecker.onError = (error) => {
+            console.error('Link check error:', error);
+            this.renderLinkCheckStatus('');
+            this.showToast(i18n.t('linkCheck.unavailable'), 'error');
+        };
+
+        this.renderLinkCheckStatus('');
+        this.linkChecker.resume();
+    }
+
+    toggleLinkCheck() {
+        if (this.linkChecker.running) {
+            this.linkChecker.pause();
+            this.renderLinkCheckStatus('');
+            return;
+        }
+        if (!this.linkChecker.isConfigured()) {
+            this.showToast(i18n.t('linkCheck.notConfigured'), 'error');
+            return;
+        }
+        this.linkChecker.start();
+        this.renderLinkCheckStatus(i18n.t('linkCheck.starting'));
+    }
+
+    // The button offers to pause while running and to resume when a paused job is left
+    renderLinkCheckStatus(message) {
+        const progress = this.linkChecker.getProgress();
+        const button = document.getElementById('linkCheckBtn');
+
+        if (this.linkChecker.running) {
+            button.textContent = i18n.t('linkCheck.pause');
+        } else {
+            button.textContent = i18n.t(progress ? 'linkCheck.resume' : 'linkCheck.start');
+        }
+
+        document.getElementById('linkCheckStatus').textContent =
+            message || (progress ? i18n.t('linkCheck.checked', { count: progress.checked }) : '');
+    }
+
+    // Refresh the count, and the page when the checked bookmark is on it
+    async handleLinkChecked(record) {
+        try {
+            this.linkIssueCount = (await this.db.getIdsByLinkStates(LINK_ISSUE_STATES)).size;
+            this.updateStats();
+
+            const card = document.querySelector(`#bookmarksContainer .bookmark-card[data-id="${record.id}"]`);
+            if (card) await this.render();
+        } catch (error) {
+            console.error('Link status refresh error:', error);
+        }
+    }
+
+    async toggleLinkFilter() {
+        this.linkFilter = !this.linkFilter;
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
+
+    async renderLinkFilterBar() {
+        const bar = document.getElementById('linkFilterBar');
+        if (!this.linkFilter) {
+            bar.style.display = 'none';
+            return;
+        }
+
+        const [broken, redirected] = await this.getLinkIssueIds();
+        document.getElementById('linkFilterSummary').textContent =
+            i18n.t('linkCheck.summary', { broken: broken.length, redirected: redirected.length });
+        document.getElementById('deleteBrokenBtn').disabled = broken.length === 0;
+        document.getElementById('applyRedirectsBtn').disabled = redirected.length === 0;
+        bar.style.display = 'flex';
+    }
+
+    // Broken and redirected ids within the current results
+    async getLinkIssueIds() {
+        const [broken, redirected] = await Promise.all([
+            this.db.getIdsByLinkStates(['broken']),
+            this.db.getIdsByLinkStates(['redirected'])
+        ]);
+        const ids = this.resultIds || [];
+
+        return [ids.filter(id => broken.has(id)), ids.filter(id => redirected.has(id))];
+    }
+
+    async deleteBrokenLinks() {
+        const [broken] = await this.getLinkIssueIds();
+        if (broken.length === 0) return;
+
+        this.showDeleteModal(broken, i18n.t('linkCheck.deleteBrokenConfirm', { count: broken.length }));
+    }
+
+    async applyRedirects() {
+        try {
+            const [, redirected] = await this.getLinkIssueIds();
+            const updated = await this.db.applyRedirects(redirected, url => this.db.isWebUrl(url));
+            this.showToast(i18n.t('linkCheck.urlsUpdated', { count: updated }), 'success');
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Apply redirects error:', error);
+            this.showToast(i18n.t('common.updateFailed'), 'error');
+        }
+    }
+
+    // Latest verdict plus the check history in the tooltip
+    createLinkBadge(bookmark) {
+        const { status, redirectUrl } = bookmark.linkCheck;
+        const unreachable = i18n.t('linkCheck.unreachable');
+        const label = bookmark.linkState === 'broken'
+            ? i18n.t('linkCheck.broken', { status: status || unreachable })
+            : i18n.t('linkCheck.redirected');
+        const history = (bookmark.linkHistory || []).map(check =>
+            `${this.db.formatDateTime(new Date(check.checkedAt))}  ${check.status || unreachable}`
+        ).reverse();
+        if (redirectUrl) history.unshift(i18n.t('linkCheck.redirectedTo', { url: redirectUrl }));
+
+        return `<span class="link-badge ${bookmark.linkState}" title="${escapeHtml(history.join('\n'))}">${label}</span>`;
+    }
+
+    // ==================== Page Metadata ====================
+    // Deployments configure endpoints with meta tags, e.g.
+    // <meta name="metadata-proxy" content="https://proxy/?url={url}">
+    getMetaContent(name) {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.getAttribute('content').trim() : '';
+    }
+
+    resetMetadata(favicon) {
+        clearTimeout(this.metadataTimer);
+        this.metadataRequestId++;
+        this.formFavicon = favicon;
+        this.autoFilled = { name: '', description: '' };
+        this.setMetadataStatus('');
+        this.renderFormFavicon();
+        document.getElementById('fetchMetadataBtn').disabled = false;
+    }
+
+    // Fill in the name and description unless the user has typed their own, and take the favicon
+    async fetchMetadata() {
+        const url = document.getElementById('bookmarkUrl').value.trim();
+        if (!this.db.isWebUrl(url)) return;
+
+        const requestId = ++this.metadataRequestId;
+        const button = document.getElementById('fetchMetadataBtn');
+        button.disabled = true;
+        this.setMetadataStatus(i18n.t('form.fetching'));
+
+        try {
+            const metadata = await this.metadataResolver.resolve(url);
+            // The URL changed or the modal closed while the page loaded
+            if (requestId !== this.metadataRequestId) return;
+
+            this.fillAutoField('name', 'bookmarkName', metadata.title);
+            this.fillAutoField('description', 'bookmarkDescription', metadata.description);
+            if (metadata.favicon) {
+                this.formFavicon = metadata.favicon;
+                this.renderFormFavicon();
+            }
+            this.setMetadataStatus(metadata.title || metadata.description || metadata.favicon ? '' : i18n.t('form.metadataNotFound'));
+        } catch (error) {
+            if (requestId !== this.metadataRequestId) return;
+            console.error('Metadata fetch error:', error);
+            this.setMetadataStatus(i18n.t('form.metadataFailed'));
+        } finally {
+            if (requestId === this.metadataRequestId) button.disabled = false;
+        }
+    }
+
+    fillAutoField(key, inputId, value) {
+        const input = document.getElementById(inputId);
+        if (!value || (input.value.trim() && input.value !== this.autoFilled[key])) return;
+
+        input.value = value;
+        this.autoFilled[key] = value;
+    }
+
+    renderFormFavicon() {
+        const preview = document.getElementById('faviconPreview');
+        const iconUrl = this.safeFavicon(this.formFavicon);
+        preview.innerHTML = iconUrl ? `<img src="${escapeHtml(iconUrl)}" alt="">` : '';
+        preview.classList.toggle('has-icon', Boolean(iconUrl));
+        preview.style.display = iconUrl ? 'flex' : 'none';
+    }
+
+    setMetadataStatus(message) {
+        const status = document.getElementById('metadataStatus');
+        status.textContent = message;
+        status.style.display = message ? 'block' : 'none';
+    }
+
+    // ==================== Duplicates ====================
+    async checkDuplicateUrl() {
+        const url = document.getElementById('bookmarkUrl').value.trim();
+
+        if (!url) {
+            this.hideDuplicateWarning();
+            return;
+        }
+
+        try {
+            const duplicates = await this.db.findDuplicates(url, this.currentEditId);
+            const warning = document.getElementById('urlDuplicateWarning');
+
+            if (duplicates.length === 0) {
+                this.hideDuplicateWarning();
+                return;
+            }
+
+            const names = duplicates.map(bookmark => i18n.t('common.quoted', { text: bookmark.name })).join(i18n.t('common.listSeparator'));
+            warning.textContent = i18n.t('form.duplicate', { names });
+            warning.style.display = 'block';
+        } catch (error) {
+            console.error('Duplicate check error:', error);
+        }
+    }
+
+    hideDuplicateWarning() {
+        document.getElementById('urlDuplicateWarning').style.display = 'none';
+    }
+
+    async showDuplicatesModal() {
+        document.getElementById('duplicatesModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        await this.renderDuplicateGroups();
+    }
+
+    closeDuplicatesModal() {
+        document.getElementById('duplicatesModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    async renderDuplicateGroups() {
+        const container = document.getElementById('duplicateGroups');
+
+        try {
+            const groups = await this.db.findDuplicateGroups();
+
+            document.getElementById('mergeAllBtn').disabled = groups.length === 0;
+
+            if (groups.length === 0) {
+                container.innerHTML = `<p class="duplicates-empty">${i18n.t('duplicates.none')}</p>`;
+                return;
+            }
+
+            container.innerHTML = groups.map((group, index) => `
+                <div class="duplicate-group" data-ids="${group.map(bookmark => bookmark.id).join(',')}">
+                    <div class="duplicate-group-header">
+                        <span>${i18n.t('duplicates.groupCount', { count: group.length })}</span>
+                        <button type="button" class="btn btn-secondary merge-group-btn">${i18n.t('common.merge')}</button>
+                    </div>
+                    ${group.map((bookmark, position) => `
+                        <label class="duplicate-item">
+                            <input type="radio" name="keep-${index}" value="${bookmark.id}" ${position === 0 ? 'checked' : ''}>
+                            <span class="duplicate-item-info">
+                                <span class="duplicate-item-name">${escapeHtml(bookmark.name)}</span>
+                                <span class="duplicate-item-url">${escapeHtml(bookmark.url)}</span>
+                            </span>
+                            <span class="duplicate-item-date">${this.db.formatDateTime(new Date(bookmark.createdAt))}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `).join('');
+
+            container.querySelectorAll('.merge-group-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.mergeDuplicateGroup(btn.closest('.duplicate-group')));
+            });
+        } catch (error) {
+            console.error('Find duplicates error:', error);
+            this.showToast(i18n.t('duplicates.failed'), 'error');
+        }
+    }
+
+    // The checked record keeps its name and URL; the others are folded into it
+    getMergeSelection(groupElement) {
+        const ids = groupElement.dataset.ids.split(',').map(id => parseInt(id));
+        const keepId = parseInt(groupElement.querySelector('input[type="radio"]:checked').value);
+        return { keepId, duplicateIds: ids.filter(id => id !== keepId) };
+    }
+
+    // Merge one group, with undo putting the kept record back as it was and the others back from the trash
+    async mergeGroup(keepId, duplicateIds) {
+        let { original, trashIds } = await this.db.merge(keepId, duplicateIds);
+        return {
+            undo: async () => {
+                await this.db.bulkPut([original]);
+                await this.db.restoreFromTrash(trashIds);
+            },
+            redo: async () => {
+                ({ original, trashIds } = await this.db.merge(keepId, duplicateIds));
+            }
+        };
+    }
+
+    async mergeDuplicateGroup(groupElement) {
+        const { keepId, duplicateIds } = this.getMergeSelection(groupElement);
+
+        try {
+            const { undo, redo } = await this.mergeGroup(keepId, duplicateIds);
+            const count = duplicateIds.length + 1;
+            this.recordChange(i18n.t('duplicates.merged', { count }), {
+                label: i18n.t('duplicates.mergeLabel', { count }),
+                undo,
+                redo
+            });
+            await this.renderDuplicateGroups();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Merge error:', error);
+            this.showToast(i18n.t('duplicates.mergeFailed'), 'error');
+        }
+    }
+
+    async mergeAllDuplicates() {
+        const groups = document.querySelectorAll('#duplicateGroups .duplicate-group');
+        const merges = [];
+
+        try {
+            for (const groupElement of groups) {
+                const { keepId, duplicateIds } = this.getMergeSelection(groupElement);
+                merges.push(await this.mergeGroup(keepId, duplicateIds));
+            }
+            this.showToast(i18n.t('duplicates.mergedGroups', { count: groups.length }), 'success');
+        } catch (error) {
+            console.error('Merge error:', error);
+            this.showToast(i18n.t('duplicates.mergeFailed'), 'error');
+        }
+
+        // One entry for everything merged, even when a later group failed
+        if (merges.length) {
+            this.recordChange(i18n.t('duplicates.mergedGroups', { count: merges.length }), {
+                label: i18n.t('duplicates.mergeGroupsLabel', { count: merges.length }),
+                undo: async () => {
+                    for (const merge of [...merges].reverse()) await merge.undo();
+                },
+                redo: async () => {
+                    for (const merge of merges) await merge.redo();
+                }
+            });
+        }
+
+        await this.renderDuplicateGroups();
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
+
+    // ==================== Backup & Restore ====================
+    showBackupModal() {
+        document.getElementById('backupPassphrase').value = '';
+        document.getElementById('backupPassphraseConfirm').value = '';
+        this.renderSnapshots();
+        document.getElementById('backupModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeBackupModal() {
+        document.getElementById('backupModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    async downloadBackup() {
+        const passphrase = document.getElementById('backupPassphrase').value;
+
+        if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+            this.showToast(i18n.t('backup.passphraseMismatch'), 'error');
+            return;
+        }
+
+        const button = document.getElementById('downloadBackupBtn');
+        button.disabled = true;
+        try {
+            const text = await this.backup.serialize(await this.backup.create(), passphrase);
+            const timestamp = new Date().toISOString().slice(0, 10);
+
+            const suffix = passphrase ? `_${i18n.t('backup.encryptedSuffix')}` : '';
+            this.downloadFile(text, `${i18n.t('backup.fileName')}_${timestamp}${suffix}.json`, 'application/json');
+            this.showToast(i18n.t(passphrase ? 'backup.downloadedEncrypted' : 'backup.downloaded'), 'success');
+        } catch (error) {
+            console.error('Backup error:', error);
+            this.showToast(i18n.t('backup.failed'), 'error');
+        }
+        button.disabled = false;
     }
 
-    renderPagination() {
-        const pagination = document.getElementById('pagination');
-        const totalPages = Math.ceil(this.filteredBookmarks.length / this.itemsPerPage);
+    async renderSnapshots() {
+        const container = document.getElementById('snapshotList');
+
+        try {
+            const snapshots = await this.db.getSnapshots();
+
+            if (snapshots.length === 0) {
+                container.innerHTML = `<p class="trash-empty">${i18n.t('backup.noSnapshots')}</p>`;
+                return;
+            }
+
+            container.innerHTML = snapshots.map(snapshot => {
+                const { stores } = snapshot.backup;
+                const summary = i18n.t('backup.snapshotSummary', {
+                    bookmarks: (stores[this.db.storeName] || []).length,
+                    folders: (stores[this.db.folderStoreName] || []).length
+                });
+                return `
+                    <div class="trash-item">
+                        <div class="trash-item-info">
+                            <span class="duplicate-item-name">${this.db.formatDateTime(new Date(snapshot.createdAt))}</span>
+                            <span class="duplicate-item-date">${summary}</span>
+                        </div>
+                        <div class="trash-item-actions">
+                            <button type="button" class="btn btn-secondary rollback-btn" data-snapshot-id="${snapshot.id}">${i18n.t('backup.rollback')}</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            container.querySelectorAll('.rollback-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.rollbackSnapshot(parseInt(btn.dataset.snapshotId)));
+            });
+        } catch (error) {
+            console.error('Render snapshots error:', error);
+            this.showToast(i18n.t('backup.snapshotsFailed'), 'error');
+        }
+    }
 
-        if (totalPages <= 1) {
-            pagination.innerHTML = '';
-            return;
+    async createSnapshot() {
+        try {
+            await this.db.addSnapshot(await this.backup.create(), SNAPSHOT_LIMIT);
+            await this.renderSnapshots();
+            this.showToast(i18n.t('backup.snapshotCreated'), 'success');
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            this.showToast(i18n.t('backup.snapshotFailed'), 'error');
         }
+    }
 
-        let html = '';
+    // Roll back without a preview; the toast's undo restores the state from just before
+    async rollbackSnapshot(id) {
+        try {
+            const snapshot = await this.db.getSnapshot(id);
+            if (!snapshot) return;
 
-        // Previous button
-        html += `
-            <button class="page-btn" ${this.currentPage === 1 ? 'disabled' : ''}
-                    onclick="app.goToPage(${this.currentPage - 1})">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polyline points="15 18 9 12 15 6"></polyline>
-                </svg>
-            </button>
-        `;
+            const date = this.db.formatDateTime(new Date(snapshot.createdAt));
+            await this.replaceAll(snapshot.backup, i18n.t('backup.rolledBack', { date }), i18n.t('backup.rollbackLabel', { date }));
+            this.closeBackupModal();
+        } catch (error) {
+            console.error('Rollback error:', error);
+            this.showToast(i18n.t('backup.rollbackFailed'), 'error');
+        }
+    }
 
-        // Page numbers with ellipsis
-        const pages = this.getPageNumbers(totalPages);
-        pages.forEach(page => {
-            if (page === '...') {
-                html += `<span class="page-ellipsis">...</span>`;
-            } else {
-                html += `
-                    <button class="page-btn ${page === this.currentPage ? 'active' : ''}"
-                            onclick="app.goToPage(${page})">
-                        ${page}
-                    </button>
-                `;
-            }
-        });
+    // Restore a backup, with undo and redo swapping between it and the data it replaced
+    async replaceAll(backup, message, label) {
+        const before = await this.backup.create();
+        const restore = async (target) => {
+            await this.backup.restore(target);
+            this.readSettings();
+            await this.loadSettings();
+            this.renderLanguage();
+            document.getElementById('sortSelect').value = this.sortOrder;
+        };
 
-        // Next button
-        html += `
-            <button class="page-btn" ${this.currentPage === totalPages ? 'disabled' : ''}
-                    onclick="app.goToPage(${this.currentPage + 1})">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polyline points="9 18 15 12 9 6"></polyline>
-                </svg>
-            </button>
-        `;
+        await restore(backup);
+        this.recordChange(message, {
+            label,
+            undo: () => restore(before),
+            redo: () => restore(backup)
+        });
+        await this.loadBookmarks(document.getElementById('searchInput').value);
+    }
 
-        pagination.innerHTML = html;
+    async handleRestoreFile(file) {
+        try {
+            this.showRestoreModal(file.name, await file.text());
+        } catch (error) {
+            console.error('Restore read error:', error);
+            this.showToast(i18n.t('backup.unreadable'), 'error');
+        }
     }
 
-    getPageNumbers(totalPages) {
-        const pages = [];
-        const current = this.currentPage;
+    // Check the file, ask for the passphrase if it is encrypted, then show what would change
+    async showRestoreModal(fileName, text) {
+        let file;
+        try {
+            file = this.backup.parse(text);
+        } catch (error) {
+            this.showToast(error instanceof BackupError ? error.message : i18n.t('backup.unreadable'), 'error');
+            return;
+        }
 
-        if (totalPages <= 7) {
-            for (let i = 1; i <= totalPages; i++) {
-                pages.push(i);
-            }
+        this.closeBackupModal();
+        this.pendingRestore = { fileName, file, backup: null };
+        document.getElementById('restoreFileName').textContent = fileName;
+        document.getElementById('restorePassphrase').value = '';
+        document.getElementById('restorePassphraseGroup').style.display = this.backup.isEncrypted(file) ? 'block' : 'none';
+        document.getElementById('restoreSummary').style.display = 'none';
+        document.getElementById('confirmRestoreBtn').disabled = true;
+        document.getElementById('restoreModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        if (this.backup.isEncrypted(file)) {
+            document.getElementById('restorePassphrase').focus();
         } else {
-            if (current <= 3) {
-                for (let i = 1; i <= 4; i++) pages.push(i);
-                pages.push('...');
-                pages.push(totalPages);
-            } else if (current >= totalPages - 2) {
-                pages.push(1);
-                pages.push('...');
-                for (let i = totalPages - 3; i <= totalPages; i++) pages.push(i);
-            } else {
-                pages.push(1);
-                pages.push('...');
-                for (let i = current - 1; i <= current + 1; i++) pages.push(i);
-                pages.push('...');
-                pages.push(totalPages);
-            }
+            await this.prepareRestore(file);
         }
+    }
 
-        return pages;
+    async decryptRestore() {
+        if (!this.pendingRestore) return;
+
+        const button = document.getElementById('decryptRestoreBtn');
+        button.disabled = true;
+        try {
+            const backup = await this.backup.decrypt(this.pendingRestore.file, document.getElementById('restorePassphrase').value);
+            document.getElementById('restorePassphraseGroup').style.display = 'none';
+            await this.prepareRestore(backup);
+        } catch (error) {
+            this.showToast(error instanceof BackupError ? error.message : i18n.t('backup.decryptFailed'), 'error');
+        }
+        button.disabled = false;
     }
 
-    goToPage(page) {
-        const totalPages = Math.ceil(this.filteredBookmarks.length / this.itemsPerPage);
-        if (page < 1 || page > totalPages) return;
+    async prepareRestore(backup) {
+        try {
+            this.backup.validate(backup);
+            this.pendingRestore.backup = backup;
+            await this.renderRestoreSummary();
+        } catch (error) {
+            if (!(error instanceof BackupError)) console.error('Restore check error:', error);
+            this.showToast(error instanceof BackupError ? error.message : i18n.t('backup.unreadable'), 'error');
+            this.closeRestoreModal();
+        }
+    }
 
-        this.currentPage = page;
-        this.renderBookmarks();
-        this.renderPagination();
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+    async renderRestoreSummary() {
+        const { backup } = this.pendingRestore;
+        const { bookmarks, stores, settings } = await this.backup.diff(backup);
+        const storeLabels = { [this.db.folderStoreName]: i18n.t('restore.folders'), [this.db.trashStoreName]: i18n.t('restore.trash') };
+        const total = (backup.stores[this.db.storeName] || []).length;
+
+        document.getElementById('restoreInfo').textContent =
+            i18n.t('restore.info', { date: this.db.formatDateTime(new Date(backup.createdAt)), count: total });
+        document.getElementById('restoreAddedCount').textContent = bookmarks.added.length;
+        document.getElementById('restoreRemovedCount').textContent = bookmarks.removed.length;
+        document.getElementById('restoreChangedCount').textContent = bookmarks.changed.length;
+        document.getElementById('restoreUnchangedCount').textContent = bookmarks.unchanged;
+
+        const details = [
+            ...stores
+                .filter(store => store.before !== store.after)
+                .map(store => ({
+                    label: storeLabels[store.name] || store.name,
+                    text: i18n.t('restore.storeChange', { before: store.before, after: store.after })
+                })),
+            ...(settings.length ? [{ label: i18n.t('restore.settings'), text: i18n.t('restore.settingsChange', { count: settings.length }) }] : []),
+            ...bookmarks.removed.map(name => ({ label: i18n.t('restore.removed'), text: name })),
+            ...bookmarks.changed.map(name => ({ label: i18n.t('restore.changed'), text: name })),
+            ...bookmarks.added.map(name => ({ label: i18n.t('restore.added'), text: name }))
+        ];
+        document.getElementById('restoreDetails').innerHTML = details.map(detail => `
+            <li class="import-issue">
+                <span class="import-issue-label">${detail.label}</span>
+                <span class="import-issue-name" title="${escapeHtml(detail.text)}">${escapeHtml(detail.text)}</span>
+            </li>
+        `).join('');
+
+        document.getElementById('restoreSummary').style.display = 'block';
+        document.getElementById('confirmRestoreBtn').disabled = false;
     }
 
-    updateStats() {
-        document.getElementById('totalCount').textContent = this.allBookmarks.length;
-        document.getElementById('displayCount').textContent = this.filteredBookmarks.length;
+    closeRestoreModal() {
+        document.getElementById('restoreModal').classList.remove('active');
+        document.body.style.overflow = '';
+        this.pendingRestore = null;
     }
 
-    // ==================== Modal Management ====================
-    showAddModal() {
-        this.currentEditId = null;
-        document.getElementById('modalTitle').textContent = '添加网址';
-        document.getElementById('bookmarkForm').reset();
-        document.getElementById('bookmarkId').value = '';
-        document.getElementById('dateDisplay').style.display = 'none';
-        this.openModal();
+    async confirmRestore() {
+        if (!this.pendingRestore || !this.pendingRestore.backup) return;
+
+        const { backup } = this.pendingRestore;
+        try {
+            this.closeRestoreModal();
+            await this.replaceAll(backup, i18n.t('restore.done'), i18n.t('restore.label'));
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showToast(i18n.t('restore.failed'), 'error');
+        }
     }
 
-    async showEditModal(id) {
+    // ==================== Import ====================
+    async handleImportFile(file) {
         try {
-            const bookmark = await this.db.get(id);
-            if (!bookmark) {
-                this.showToast('找不到该收藏', 'error');
+            const content = await file.text();
+
+            // Full backups, encrypted or not, have their own restore flow
+            if (this.backup.isBackup(content)) {
+                this.showRestoreModal(file.name, content);
                 return;
             }
 
-            this.currentEditId = id;
-            document.getElementById('modalTitle').textContent = '编辑网址';
-            document.getElementById('bookmarkId').value = id;
-            document.getElementById('bookmarkName').value = bookmark.name;
-            document.getElementById('bookmarkUrl').value = bookmark.url;
-            // Use Chinese comma to separate tags
-            document.getElementById('bookmarkTags').value = bookmark.tags.join('，');
-            document.getElementById('bookmarkDate').value = bookmark.createdAt;
-            document.getElementById('dateDisplay').style.display = 'block';
-            this.openModal();
+            const parsed = this.importer.parseFile(file.name, content);
+
+            if (parsed.entries.length === 0 && parsed.errors.length === 0) {
+                this.showToast(i18n.t('import.noBookmarks'), 'error');
+                return;
+            }
+
+            parsed.entries.forEach(entry => {
+                entry.tags = this.db.normalizeTags(entry.tags);
+            });
+
+            this.pendingImport = {
+                fileName: file.name,
+                parsed,
+                existing: await this.db.getAll(),
+                mode: 'merge'
+            };
+            this.showImportModal();
         } catch (error) {
-            console.error('Show edit modal error:', error);
-            this.showToast('加载失败', 'error');
+            console.error('Import parse error:', error);
+            this.showToast(i18n.t('import.unreadable'), 'error');
         }
     }
 
-    openModal() {
-        document.getElementById('modal').classList.add('active');
+    showImportModal() {
+        const { fileName, parsed } = this.pendingImport;
+
+        document.getElementById('importFileName').textContent = fileName;
+        // Merge/replace only applies when restoring one of our own backups
+        document.getElementById('importModeGroup').style.display = parsed.kind === 'backup' ? 'block' : 'none';
+        document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+
+        this.renderImportPreview();
+        document.getElementById('importModal').classList.add('active');
         document.body.style.overflow = 'hidden';
-        // Focus first input
-        setTimeout(() => {
-            document.getElementById('bookmarkName').focus();
-        }, 100);
     }
 
-    closeModal() {
-        document.getElementById('modal').classList.remove('active');
+    renderImportPreview() {
+        const { parsed, existing, mode } = this.pendingImport;
+        const { fresh, duplicates } = this.importer.classify(parsed.entries, existing, mode);
+        this.pendingImport.fresh = fresh;
+
+        document.getElementById('importNewCount').textContent = fresh.length;
+        document.getElementById('importDuplicateCount').textContent = duplicates.length;
+        document.getElementById('importInvalidCount').textContent = parsed.errors.length;
+
+        const issues = [
+            ...parsed.errors.map(error => ({ label: i18n.t('import.invalid'), text: i18n.t('import.issue', error) })),
+            ...duplicates.map(entry => ({ label: i18n.t('import.duplicate'), text: entry.name, title: entry.url }))
+        ];
+        document.getElementById('importIssues').innerHTML = issues.map(issue => `
+            <li class="import-issue">
+                <span class="import-issue-label">${issue.label}</span>
+                <span class="import-issue-name" title="${escapeHtml(issue.title || issue.text)}">${escapeHtml(issue.text)}</span>
+            </li>
+        `).join('');
+
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        confirmBtn.textContent = i18n.t(mode === 'replace' ? 'import.replaceAll' : 'import.confirm');
+        confirmBtn.classList.toggle('btn-danger', mode === 'replace');
+        confirmBtn.classList.toggle('btn-primary', mode !== 'replace');
+        confirmBtn.disabled = fresh.length === 0;
+    }
+
+    setImportMode(mode) {
+        if (!this.pendingImport) return;
+
+        this.pendingImport.mode = mode;
+        this.renderImportPreview();
+    }
+
+    closeImportModal() {
+        document.getElementById('importModal').classList.remove('active');
         document.body.style.overflow = '';
-        this.currentEditId = null;
+        this.pendingImport = null;
     }
 
-    showDeleteModal(id) {
-        this.deleteTargetId = id;
-        document.getElementById('deleteModal').classList.add('active');
+    async confirmImport() {
+        if (!this.pendingImport || this.pendingImport.fresh.length === 0) return;
+
+        const { parsed, fresh, mode } = this.pendingImport;
+
+        try {
+            let count;
+            if (parsed.kind === 'backup' && mode === 'replace') {
+                // The bookmarks replaced go to the trash, and undo brings them and their folders back
+                const folders = parsed.folders || [];
+                let replaced = await this.db.replaceBookmarks(fresh, folders);
+                count = fresh.length;
+                this.recordChange(i18n.t('import.done', { count }), {
+                    label: i18n.t('import.replaceLabel', { count }),
+                    undo: () => this.db.revertReplace(replaced),
+                    redo: async () => {
+                        replaced = await this.db.replaceBookmarks(fresh, folders);
+                    }
+                });
+            } else {
+                if (parsed.kind === 'backup') {
+                    // Merged records get new IDs and syncIds so they cannot overwrite existing ones, and
+                    // are left unfiled since the dump's folder ids mean nothing in this database
+                    count = await this.db.bulkPut(fresh.map(({ id, folderId, syncId, ...record }) => record));
+                } else {
+                    count = await this.db.bulkAdd(fresh);
+                }
+                this.showToast(i18n.t('import.done', { count }), 'success');
+            }
+
+            this.closeImportModal();
+            await this.loadBookmarks(document.getElementById('searchInput').value);
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast(i18n.t('import.failed'), 'error');
+        }
+    }
+
+    // ==================== Search ====================
+    async handleSearch() {
+        clearTimeout(this.searchTimer);
+        const query = document.getElementById('searchInput').value.trim();
+        await this.loadBookmarks(query);
+    }
+
+    // Replace the grid with the syntax error so a typo doesn't look like "no results"
+    showSearchError(message) {
+        this.resultIds = [];
+        this.resultCount = 0;
+        document.getElementById('bookmarksContainer').innerHTML = '';
+        document.getElementById('emptyState').style.display = 'none';
+        document.getElementById('pagination').innerHTML = '';
+        document.getElementById('displayCount').textContent = 0;
+        document.getElementById('searchErrorMessage').textContent = message;
+        document.getElementById('searchErrorState').style.display = 'block';
+        document.querySelector('.search-box').classList.add('invalid');
+    }
+
+    hideSearchError() {
+        document.getElementById('searchErrorState').style.display = 'none';
+        document.querySelector('.search-box').classList.remove('invalid');
+    }
+
+    // ==================== Export ====================
+    // scope: 'all', 'results' (current search and filters) or 'selection'
+    showExportModal(scope = 'all') {
+        const scopeSelect = document.getElementById('exportScope');
+        scopeSelect.querySelector('option[value="results"]').textContent = i18n.t('export.resultsCount', { count: this.resultCount });
+        scopeSelect.querySelector('option[value="selection"]').textContent = i18n.t('export.selectionCount', { count: this.selectedIds.size });
+        scopeSelect.querySelector('option[value="selection"]').disabled = this.selectedIds.size === 0;
+        scopeSelect.value = scope;
+
+        document.getElementById('exportColumns').innerHTML = EXPORT_COLUMNS.map(column => `
+            <label class="checkbox-option">
+                <input type="checkbox" name="exportColumn" value="${column.key}" ${column.default ? 'checked' : ''}>
+                <span>${i18n.t(column.header)}</span>
+            </label>
+        `).join('');
+
+        this.setExportFormat(document.querySelector('input[name="exportFormat"]:checked').value);
+        document.getElementById('exportModal').classList.add('active');
         document.body.style.overflow = 'hidden';
     }
 
-    closeDeleteModal() {
-        document.getElementById('deleteModal').classList.remove('active');
+    closeExportModal() {
+        document.getElementById('exportModal').classList.remove('active');
         document.body.style.overflow = '';
-        this.deleteTargetId = null;
     }
 
-    // ==================== CRUD Operations ====================
-    async handleFormSubmit() {
-        const name = document.getElementById('bookmarkName').value.trim();
-        const url = document.getElementById('bookmarkUrl').value.trim();
-        const tagsInput = document.getElementById('bookmarkTags').value.trim();
+    // Columns only apply to the spreadsheet formats, the summary sheet only to XLSX
+    setExportFormat(format) {
+        document.getElementById('exportColumnsGroup').style.display = format === 'xlsx' || format === 'csv' ? 'block' : 'none';
+        document.getElementById('exportTagSheetGroup').style.display = format === 'xlsx' ? 'block' : 'none';
+    }
+
+    async getExportBookmarks(scope) {
+        if (scope === 'selection') return this.db.getMany([...this.selectedIds]);
+        if (scope === 'results' && this.resultIds) return this.db.getMany(this.resultIds);
+        return this.db.getAll();
+    }
 
-        if (!name || !url) {
-            this.showToast('请填写必填项', 'error');
+    async confirmExport() {
+        const format = document.querySelector('input[name="exportFormat"]:checked').value;
+        const columns = [...document.querySelectorAll('input[name="exportColumn"]:checked')].map(input => input.value);
+
+        if ((format === 'xlsx' || format === 'csv') && columns.length === 0) {
+            this.showToast(i18n.t('export.noColumns'), 'error');
             return;
         }
 
-        // Validate URL
         try {
-            new URL(url);
-        } catch {
-            this.showToast('请输入有效的网址', 'error');
-            return;
-        }
+            const exporter = new BookmarkExporter(this.db);
+            const bookmarks = exporter.sort(
+                await this.getExportBookmarks(document.getElementById('exportScope').value),
+                document.getElementById('exportSort').value
+            );
+
+            if (bookmarks.length === 0) {
+                this.showToast(i18n.t('export.empty'), 'error');
+                return;
+            }
 
-        // Parse and process tags: convert English commas to Chinese commas, remove spaces and duplicates
-        let tags = [];
-        if (tagsInput) {
-            // Split by various separators
-            tags = tagsInput.split(/[,;，；\s]+/)
-                .map(tag => tag.trim())
-                .filter(tag => tag.length > 0);
+            const timestamp = new Date().toISOString().slice(0, 10);
+            const fileName = `${i18n.t('export.fileName')}_${timestamp}`;
 
-            // Remove duplicates (case-insensitive)
-            const uniqueTags = [];
-            const lowerCaseTags = new Set();
-            for (const tag of tags) {
-                const lowerTag = tag.toLowerCase();
-                if (!lowerCaseTags.has(lowerTag)) {
-                    lowerCaseTags.add(lowerTag);
-                    uniqueTags.push(tag);
-                }
+            if (format === 'xlsx') {
+                const tagSheet = document.getElementById('exportTagSheet').checked;
+                this.downloadFile(exporter.toXlsx(bookmarks, columns, { tagSheet }), `${fileName}.xlsx`,
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            } else if (format === 'csv') {
+                this.downloadFile(exporter.toCsv(bookmarks, columns), `${fileName}.csv`, 'text/csv;charset=utf-8;');
+            } else if (format === 'markdown') {
+                this.downloadFile(exporter.toMarkdown(bookmarks), `${fileName}.md`, 'text/markdown;charset=utf-8');
+            } else {
+                this.downloadFile(exporter.toNetscapeHtml(bookmarks), `${fileName}.html`, 'text/html;charset=utf-8');
             }
-            tags = uniqueTags;
-        }
 
-        const bookmark = { name, url, tags };
+            this.closeExportModal();
+            this.showToast(i18n.t('export.done', { count: bookmarks.length }), 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast(i18n.t('export.failed'), 'error');
+        }
+    }
 
+    // Full-fidelity dump of the bookmarks store (or of the given ids) and the folder tree that the
+    // importer can restore
+    async exportToJson(ids = null) {
         try {
-            if (this.currentEditId) {
-                await this.db.update(this.currentEditId, bookmark);
-                this.showToast('更新成功', 'success');
-            } else {
-                await this.db.add(bookmark);
-                this.showToast('添加成功', 'success');
+            const bookmarks = ids ? await this.db.getMany(ids) : await this.db.getAll();
+
+            if (bookmarks.length === 0) {
+                this.showToast(i18n.t('export.empty'), 'error');
+                return;
             }
 
-            this.closeModal();
-            await this.loadBookmarks(document.getElementById('searchInput').value);
+            const dump = {
+                app: this.db.dbName,
+                version: this.db.version,
+                exportedAt: new Date().toISOString(),
+                folders: await this.db.getFolders(),
+                bookmarks
+            };
+
+            const timestamp = new Date().toISOString().slice(0, 10);
+            this.downloadFile(JSON.stringify(dump, null, 2), `${i18n.t('export.fileName')}_${timestamp}.json`, 'application/json');
+
+            this.showToast(i18n.t('export.doneJson'), 'success');
         } catch (error) {
-            console.error('Save error:', error);
-            this.showToast('保存失败', 'error');
+            console.error('Export error:', error);
+            this.showToast(i18n.t('export.failed'), 'error');
         }
     }
 
-    async confirmDelete() {
-        if (!this.deleteTargetId) return;
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', fileName);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== Publish ====================
+    // What a directory page may show: unarchived web addresses, with any of the given tags, in
+    // the list's order
+    async getPublishBookmarks(tags) {
+        const exporter = new BookmarkExporter(this.db);
+        const bookmarks = (await this.db.getAll()).filter(bookmark =>
+            !bookmark.archivedAt && exporter.isLinkable(bookmark.url) &&
+            (tags.length === 0 || bookmark.tags.some(tag => tags.includes(tag)))
+        );
+        return exporter.sort(bookmarks, this.sortOrder);
+    }
+
+    getPublishTags() {
+        return [...document.querySelectorAll('#publishTags .tag.active')].map(chip => chip.dataset.tag);
+    }
 
+    async showPublishModal() {
         try {
-            await this.db.delete(this.deleteTargetId);
-            this.showToast('删除成功', 'success');
-            this.closeDeleteModal();
-            await this.loadBookmarks(document.getElementById('searchInput').value);
+            const counts = await this.db.getTagCounts();
+            const tags = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b, 'zh-CN'));
+            const container = document.getElementById('publishTags');
+
+            container.innerHTML = tags.map(tag =>
+                `<button type="button" class="tag" data-tag="${escapeHtml(tag)}" aria-pressed="false">${escapeHtml(tag)}</button>`
+            ).join('') || `<span class="form-hint">${i18n.t('tags.empty')}</span>`;
+            container.querySelectorAll('.tag').forEach(chip => {
+                chip.addEventListener('click', () => {
+                    chip.setAttribute('aria-pressed', chip.classList.toggle('active'));
+                    this.renderPublishSummary();
+                });
+            });
+
+            document.getElementById('publishTitle').value = i18n.t('publish.defaultTitle');
+            await this.renderPublishSummary();
+            document.getElementById('publishModal').classList.add('active');
+            document.body.style.overflow = 'hidden';
         } catch (error) {
-            console.error('Delete error:', error);
-            this.showToast('删除失败', 'error');
+            console.error('Show publish modal error:', error);
+            this.showToast(i18n.t('common.loadFailed'), 'error');
         }
     }
 
-    // ==================== Search ====================
-    async handleSearch() {
-        const query = document.getElementById('searchInput').value.trim();
-        await this.loadBookmarks(query);
+    closePublishModal() {
+        document.getElementById('publishModal').classList.remove('active');
+        document.body.style.overflow = '';
     }
 
-    // ==================== Export to Excel ====================
-    async exportToExcel() {
+    async renderPublishSummary() {
+        const bookmarks = await this.getPublishBookmarks(this.getPublishTags());
+        document.getElementById('publishSummary').textContent = i18n.t('publish.summary', { count: bookmarks.length });
+    }
+
+    async confirmPublish() {
         try {
-            const bookmarks = await this.db.getAll();
+            const tags = this.getPublishTags();
+            const bookmarks = await this.getPublishBookmarks(tags);
 
             if (bookmarks.length === 0) {
-                this.showToast('没有数据可导出', 'error');
+                this.showToast(i18n.t('publish.empty'), 'error');
                 return;
             }
 
-            // Sort by creation date
-            bookmarks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-            // Create CSV content
-            const headers = ['ID', '网站名称', '网址', '分类标签', '创建日期'];
-            const rows = bookmarks.map(b => [
-                b.id,
-                b.name,
-                b.url,
-                b.tags.join('，'),
-                b.createdAt
-            ]);
-
-            const csvContent = [
-                headers.join(','),
-                ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-            ].join('\n');
-
-            // Add BOM for Excel UTF-8 support
-            const BOM = '\uFEFF';
-            const blob = new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
-
-            // Download
-            const link = document.createElement('a');
-            const url = URL.createObjectURL(blob);
+            const html = new BookmarkExporter(this.db).toDirectoryPage(bookmarks, {
+                title: document.getElementById('publishTitle').value.trim() || i18n.t('publish.defaultTitle'),
+                stylesheet: await this.getStylesheet(),
+                renderCard: bookmark => this.createBookmarkCard(bookmark, { readOnly: true }),
+                tags
+            });
             const timestamp = new Date().toISOString().slice(0, 10);
+            this.downloadFile(html, `${i18n.t('publish.fileName')}_${timestamp}.html`, 'text/html;charset=utf-8');
 
-            link.setAttribute('href', url);
-            link.setAttribute('download', `网站收藏_${timestamp}.csv`);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            this.closePublishModal();
+            this.showToast(i18n.t('publish.done', { count: bookmarks.length }), 'success');
+        } catch (error) {
+            console.error('Publish error:', error);
+            this.showToast(i18n.t('publish.failed'), 'error');
+        }
+    }
 
-            this.showToast('导出成功', 'success');
+    // styles.css as text, to inline into a published page. Opened from disk there's nothing to
+    // fetch, so the rules come from the loaded stylesheets instead
+    async getStylesheet() {
+        try {
+            const response = await fetch('styles.css');
+            if (response.ok) return await response.text();
         } catch (error) {
-            console.error('Export error:', error);
-            this.showToast('导出失败', 'error');
+            console.error('Stylesheet fetch error:', error);
         }
+        return [...document.styleSheets].map(sheet => {
+            try {
+                return [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+            } catch (error) {
+                return '';
+            }
+        }).join('\n');
     }
 
     // ==================== Utilities ====================
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diff = now - date;
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-
-        if (days === 0) return '今天';
-        if (days === 1) return '昨天';
-        if (days < 7) return `${days}天前`;
-        if (days < 30) return `${Math.floor(days / 7)}周前`;
-        if (days < 365) return `${Math.floor(days / 30)}个月前`;
+    // Split on English/Chinese separators, remove spaces and duplicates
+    parseTags(text) {
+        return text.trim() ? this.db.normalizeTags(text.split(/[,;，；\s]+/)) : [];
+    }
 
-        return date.toLocaleDateString('zh-CN', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+    formatDate(dateString) {
+        return i18n.formatRelativeDate(new Date(dateString));
     }
 
     truncateUrl(url) {
@@ -636,20 +8084,51 @@ class BookmarkApp {
         }
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Escape text and wrap the [start, end) ranges in <mark>
+    highlightText(text, ranges) {
+        if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+        let html = '';
+        let position = 0;
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (end <= position) return;
+            start = Math.max(start, position);
+            html += escapeHtml(text.slice(position, start));
+            html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + escapeHtml(text.slice(position));
+    }
+
+    // Favicons are stored as data URLs; anything else, such as a remote or javascript: URL that
+    // came in through an import or a sync, isn't shown
+    safeFavicon(favicon) {
+        return typeof favicon === 'string' && /^data:image\//.test(favicon) ? favicon : '';
     }
 
-    showToast(message, type = 'success') {
+    // An action ({ label, onClick }) adds a button and keeps the toast up a little longer
+    showToast(message, type = 'success', action = null) {
         const toast = document.getElementById('toast');
         toast.textContent = message;
         toast.className = `toast show ${type}`;
 
-        setTimeout(() => {
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.classList.remove('show');
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
             toast.classList.remove('show');
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     hideLoading() {
@@ -660,5 +8139,7 @@ class BookmarkApp {
 // ==================== Initialize App ====================
 let app;
 document.addEventListener('DOMContentLoaded', () => {
+    // Pages that only reuse the classes (bench/) have no app UI to bind
+    if (!document.getElementById('bookmarksContainer')) return;
     app = new BookmarkApp();
 });
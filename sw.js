@@ -0,0 +1,70 @@
+// ==================== Service Worker ====================
+// Precaches the app shell so the directory opens without a network; the bookmarks themselves
+// already live in IndexedDB. Bump CACHE_VERSION whenever a shell file changes: the changed
+// worker installs a fresh cache next to the old one, and the page offers to switch over
+const CACHE_VERSION = 'v21';
+const CACHE_PREFIX = 'bookmark-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'pinyin.js',
+    'locales.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+// Paths that load the app, next to this worker; ?add= quick-add and share target links use them too
+const APP_PAGES = ['./', 'index.html'].map(page => new URL(page, self.location).pathname);
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+// A new version waits until the page asks for it, so an open tab never mixes old and new files
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Metadata proxy, link checker and anything else off-site always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Loads of the app get the cached shell; any other page on the site, such as the benchmark,
+    // comes from the network as usual
+    if (request.mode === 'navigate') {
+        if (!APP_PAGES.includes(url.pathname)) return;
+        event.respondWith(
+            caches.match('index.html').then(response => response || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(response => response || fetch(request))
+    );
+});
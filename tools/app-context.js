@@ -0,0 +1,45 @@
+// ==================== App Context ====================
+// Runs the page's own scripts, in the order index.html loads them, in a vm context with just
+// enough of a browser for their classes to be defined, and IndexedDB from fake-indexeddb. The app
+// itself never starts. Shared by the checks in this folder
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let fakeIndexedDB;
+try {
+    fakeIndexedDB = require('fake-indexeddb');
+} catch (error) {
+    console.error('fake-indexeddb is missing: run npm install');
+    process.exit(1);
+}
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+// The named top-level classes and constants of the scripts, e.g. loadApp(['BookmarkDB'])
+function loadApp(names) {
+    const scripts = [...read('index.html').matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    const context = vm.createContext({
+        console,
+        crypto: globalThis.crypto,
+        indexedDB: new fakeIndexedDB.IDBFactory(),
+        IDBKeyRange: fakeIndexedDB.IDBKeyRange,
+        URL,
+        URLSearchParams,
+        fetch,
+        AbortController,
+        TextEncoder,
+        btoa,
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        navigator: { language: 'zh-CN', languages: ['zh-CN'] },
+        document: { addEventListener() {} },
+        setTimeout,
+        clearTimeout
+    });
+    const exports = names.map(name => `${name}: ${name}`).join(', ');
+    vm.runInContext(`${scripts.map(read).join('\n')}\nthis.exports = { ${exports} };`, context);
+    return { ...context.exports, indexedDB: context.indexedDB };
+}
+
+module.exports = { loadApp };
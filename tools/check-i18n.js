@@ -0,0 +1,80 @@
+// ==================== Message Catalog Check ====================
+// Fails when the catalogs in locales.js drift apart: a key missing from any locale, a message
+// whose {placeholders} differ between locales, a plural form without "other", or a key used by
+// script.js (a quoted 'namespace.key') or index.html (a data-i18n* attribute) that no catalog has.
+//
+//   node tools/check-i18n.js
+//
+// Prints each problem and exits with status 1, so it can gate a commit or a CI job
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+const context = {};
+vm.runInNewContext(`${read('locales.js')}\nthis.MESSAGES = MESSAGES;`, context);
+const { MESSAGES } = context;
+const locales = Object.keys(MESSAGES);
+
+// key -> message (a string, or an object of plural forms) for one locale
+function flatten(node, prefix = '', result = new Map()) {
+    Object.entries(node).forEach(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (typeof value === 'string' || typeof value.other === 'string') {
+            result.set(key, value);
+        } else {
+            flatten(value, key, result);
+        }
+    });
+    return result;
+}
+
+function placeholders(message) {
+    const texts = typeof message === 'string' ? [message] : Object.values(message);
+    const names = new Set(texts.flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1])));
+    return [...names].sort().join(', ');
+}
+
+const catalogs = new Map(locales.map(locale => [locale, flatten(MESSAGES[locale])]));
+const allKeys = new Set([...catalogs.values()].flatMap(catalog => [...catalog.keys()]));
+const problems = [];
+
+allKeys.forEach(key => {
+    const present = locales.filter(locale => catalogs.get(locale).has(key));
+    locales.filter(locale => !present.includes(locale)).forEach(locale => {
+        problems.push(`${locale}: missing ${key}`);
+    });
+
+    const expected = placeholders(catalogs.get(present[0]).get(key));
+    present.forEach(locale => {
+        const message = catalogs.get(locale).get(key);
+        if (placeholders(message) !== expected) {
+            problems.push(`${locale}: ${key} has {${placeholders(message)}}, ${present[0]} has {${expected}}`);
+        }
+        if (typeof message !== 'string' && typeof message.other !== 'string') {
+            problems.push(`${locale}: ${key} has no "other" plural form`);
+        }
+    });
+});
+
+// Keys the code names: quoted dotted strings under a catalog namespace, and markup attributes
+const namespaces = new Set(Object.keys(MESSAGES[locales[0]]));
+const used = [];
+[...read('script.js').matchAll(/'([a-zA-Z]+(?:\.[a-zA-Z]+)+)'/g)].forEach(match => {
+    if (namespaces.has(match[1].split('.')[0])) used.push({ key: match[1], file: 'script.js' });
+});
+[...read('index.html').matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].forEach(match => {
+    if (!match[0].startsWith('data-i18n-count')) used.push({ key: match[1], file: 'index.html' });
+});
+used.forEach(({ key, file }) => {
+    if (!allKeys.has(key)) problems.push(`${file}: unknown key ${key}`);
+});
+
+if (problems.length) {
+    problems.forEach(problem => console.error(problem));
+    console.error(`${problems.length} problem(s) in the message catalogs`);
+    process.exit(1);
+}
+console.log(`${allKeys.size} messages in ${locales.join(', ')}; ${used.length} uses checked`);
@@ -0,0 +1,141 @@
+// ==================== Schema Migration Check ====================
+// Runs the upgrade from a version 1 database, as the first release left it, to the current
+// schema on fake-indexeddb: seeds bookmarks with legacy local "YYYY-MM-DD HH:mm" createdAt
+// strings, opens the database through BookmarkDB.init and checks the converted records, the
+// object stores and every index the later migrations add.
+//
+//   npm install
+//   npm test
+//
+// Prints each problem and exits with status 1, so it can gate a commit or a CI job
+
+// Legacy dates are local time; a zone away from UTC shows one being read as UTC
+process.env.TZ = 'Asia/Shanghai';
+
+const { loadApp } = require('./app-context');
+
+const { BookmarkDB, MIGRATIONS, indexedDB } = loadApp(['BookmarkDB', 'MIGRATIONS']);
+
+const dbName = 'MigrationCheck';
+const legacyBookmarks = [
+    { name: '旧书签', url: 'https://www.Example.com/a/?utm_source=x', tags: ['设计'], createdAt: '2024-03-05 14:30' },
+    { name: 'Other', url: 'http://example.com/b?z=2&a=1', tags: [], createdAt: '2025-01-01 08:00' },
+    { name: 'Mail', url: 'mailto:someone@example.com', tags: ['工具', '设计'], createdAt: '2023-12-31 23:59' }
+];
+const expected = [
+    { createdAt: '2024-03-05T06:30:00.000Z', normalizedUrl: 'example.com/a' },
+    { createdAt: '2025-01-01T00:00:00.000Z', normalizedUrl: 'example.com/b?a=1&z=2' },
+    { createdAt: '2023-12-31T15:59:00.000Z', normalizedUrl: 'mailto:someone@example.com' }
+];
+const expectedIndexes = {
+    bookmarks: ['archivedAt', 'createdAt', 'folderId', 'lastVisitedAt', 'linkState', 'name', 'normalizedUrl',
+        'pinnedAt', 'position', 'syncId', 'tags', 'updatedAt', 'url'],
+    trash: ['deletedAt'],
+    folders: ['parentId'],
+    syncBase: [],
+    snapshots: ['createdAt'],
+    settings: []
+};
+
+// A version 1 database made by the first migration alone, holding the legacy records
+function seedVersion1() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+
+        request.onupgradeneeded = (event) => {
+            const transaction = event.target.transaction;
+            MIGRATIONS[0](event.target.result, transaction, new BookmarkDB(dbName));
+
+            const objectStore = transaction.objectStore('bookmarks');
+            legacyBookmarks.forEach(bookmark => objectStore.add(bookmark));
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function indexKeys(db, indexName) {
+    return new Promise((resolve, reject) => {
+        const keys = [];
+        const request = db.transaction(['bookmarks'], 'readonly').objectStore('bookmarks').index(indexName).openKeyCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(keys);
+            keys.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function run() {
+    await seedVersion1();
+
+    const bookmarkDB = new BookmarkDB(dbName);
+    await bookmarkDB.init();
+    const { db } = bookmarkDB;
+    const problems = [];
+    const check = (condition, problem) => {
+        if (!condition) problems.push(problem);
+    };
+
+    check(db.version === MIGRATIONS.length, `version is ${db.version}, expected ${MIGRATIONS.length}`);
+
+    const storeNames = [...db.objectStoreNames].sort();
+    check(storeNames.join() === Object.keys(expectedIndexes).sort().join(),
+        `stores are ${storeNames.join(', ')}`);
+
+    const transaction = db.transaction(storeNames.filter(name => name in expectedIndexes), 'readonly');
+    Object.entries(expectedIndexes).forEach(([storeName, indexes]) => {
+        if (!storeNames.includes(storeName)) return;
+        const actual = [...transaction.objectStore(storeName).indexNames].sort();
+        check(actual.join() === indexes.join(), `${storeName} indexes are ${actual.join(', ') || 'none'}, expected ${indexes.join(', ') || 'none'}`);
+    });
+
+    const bookmarks = await bookmarkDB.getAll();
+    check(bookmarks.length === legacyBookmarks.length, `${bookmarks.length} bookmarks after the upgrade, expected ${legacyBookmarks.length}`);
+
+    legacyBookmarks.forEach((legacy, i) => {
+        const bookmark = bookmarks.find(record => record.name === legacy.name);
+        if (!bookmark) {
+            problems.push(`${legacy.name}: missing after the upgrade`);
+            return;
+        }
+        check(bookmark.createdAt === expected[i].createdAt, `${legacy.name}: createdAt ${bookmark.createdAt}, expected ${expected[i].createdAt}`);
+        check(bookmark.updatedAt === bookmark.createdAt, `${legacy.name}: updatedAt ${bookmark.updatedAt}, expected the createdAt`);
+        check(bookmark.normalizedUrl === expected[i].normalizedUrl, `${legacy.name}: normalizedUrl ${bookmark.normalizedUrl}, expected ${expected[i].normalizedUrl}`);
+        check(bookmark.url === legacy.url, `${legacy.name}: url changed to ${bookmark.url}`);
+        check(JSON.stringify(bookmark.tags) === JSON.stringify(legacy.tags), `${legacy.name}: tags changed to ${bookmark.tags}`);
+        check(bookmark.position === -Date.parse(bookmark.createdAt), `${legacy.name}: position ${bookmark.position}`);
+        check(typeof bookmark.syncId === 'string' && bookmark.syncId.length > 0, `${legacy.name}: no syncId`);
+    });
+
+    // The new indexes hold the converted values
+    const byUrl = await bookmarkDB.findDuplicates('https://example.com/a');
+    check(byUrl.length === 1, `normalizedUrl index finds ${byUrl.length} bookmarks for example.com/a, expected 1`);
+    const [oldest, updated] = await Promise.all([
+        indexKeys(db, 'createdAt'),
+        indexKeys(db, 'updatedAt')
+    ]);
+    check(oldest[0] === expected[2].createdAt, `createdAt index starts at ${oldest[0]}, expected ${expected[2].createdAt}`);
+    check(updated.length === legacyBookmarks.length, `updatedAt index has ${updated.length} keys, expected ${legacyBookmarks.length}`);
+
+    db.close();
+    return problems;
+}
+
+run().then(problems => {
+    if (problems.length) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`${problems.length} problem(s) in the schema migrations`);
+        process.exit(1);
+    }
+    console.log(`Upgraded ${legacyBookmarks.length} bookmarks from version 1 to ${MIGRATIONS.length}`);
+}, error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,106 @@
+// ==================== Sync Check ====================
+// Syncs two devices, each with its own database on fake-indexeddb, through
+// tools/sync-mock-server.js and RestSyncAdapter, and checks that a pin made on one device after
+// another device's edit wins the conflict and reaches both devices.
+//
+//   npm install
+//   npm test
+//
+// Prints each problem and exits with status 1, so it can gate a commit or a CI job
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { loadApp } = require('./app-context');
+
+const { BookmarkDB, SyncEngine, RestSyncAdapter } = loadApp(['BookmarkDB', 'SyncEngine', 'RestSyncAdapter']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Resolves once the server says it is listening
+function startServer(port) {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'sync-mock-server.js'), String(port)]);
+        server.on('error', reject);
+        server.on('exit', code => reject(new Error(`Sync mock server exited with ${code}`)));
+        server.stdout.on('data', data => {
+            if (data.toString().includes('listening')) resolve(server);
+        });
+    });
+}
+
+async function device(name, url) {
+    const db = new BookmarkDB(`SyncCheck${name}`);
+    await db.init();
+    return { db, engine: new SyncEngine(db, new RestSyncAdapter(url), { deviceId: name }) };
+}
+
+async function run(url) {
+    const problems = [];
+    const check = (condition, problem) => {
+        if (!condition) problems.push(problem);
+    };
+
+    const a = await device('a', url);
+    const b = await device('b', url);
+
+    const idA = await a.db.add({ name: 'Shared', url: 'https://example.com/', tags: ['工具'] });
+    await a.engine.sync();
+    await b.engine.sync();
+    const [onB] = await b.db.getAll();
+    check(onB && onB.name === 'Shared', 'the bookmark did not reach device b');
+    if (!onB) return problems;
+
+    // b edits, then a pins a moment later without having seen the edit
+    await b.db.update(onB.id, { ...onB, name: 'Renamed on b' });
+    await b.engine.sync();
+    await sleep(5);
+    await a.db.setPinned([idA], true);
+
+    const result = await a.engine.sync();
+    check(result.conflicts.length === 1 && result.conflicts[0].winner === 'local',
+        `device a's pin should win the conflict, got ${JSON.stringify(result.conflicts)}`);
+    await b.engine.sync();
+
+    const pinnedA = await a.db.get(idA);
+    const pinnedB = await b.db.get(onB.id);
+    check(Boolean(pinnedA.pinnedAt), 'the pin was undone on device a by the sync');
+    check(Boolean(pinnedB.pinnedAt), 'the pin did not reach device b');
+    check(pinnedA.updatedAt === pinnedB.updatedAt, 'the devices disagree on updatedAt');
+
+    a.db.db.close();
+    b.db.db.close();
+    return problems;
+}
+
+(async () => {
+    const port = await freePort();
+    const server = await startServer(port);
+    let problems;
+
+    try {
+        problems = await run(`http://localhost:${port}/bookmarks.json`);
+    } catch (error) {
+        problems = [`Sync failed: ${error.stack || error}`];
+    } finally {
+        server.removeAllListeners('exit');
+        server.kill();
+    }
+
+    if (problems.length) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`${problems.length} problem(s) in sync`);
+        process.exit(1);
+    }
+    console.log('A pin made on one device survived a sync with another');
+})();
@@ -0,0 +1,86 @@
+// ==================== Metadata Stub Server ====================
+// Stand-in for the metadata proxy while developing or testing: answers GET /?url=<encoded page>
+// with canned pages and icons instead of fetching anything, so MetadataResolver and the form
+// around it can be exercised offline. Unknown addresses get a 404.
+//
+//   node tools/metadata-stub-server.js [port] [--delay=ms]
+//
+// Then set <meta name="metadata-proxy" content="http://localhost:8788/?url={url}"> in index.html
+// and add one of the pages below. https://slow.test/ takes 3 seconds, long enough to close the
+// modal or press 保存 twice; --delay slows every answer
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = name => (args.find(arg => arg.startsWith(`--${name}=`)) || '').split('=')[1] || '';
+const port = parseInt(args.find(arg => /^\d+$/.test(arg))) || 8788;
+const delay = parseInt(option('delay')) || 0;
+
+// 1×1 PNG
+const icon = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+const page = ({ title, description = '', head = '' }) => `<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <meta property="og:description" content="${description}">
+    ${head}
+</head>
+<body></body>
+</html>`;
+
+// address -> { type, body, wait }
+const answers = new Map([
+    ['https://example.test/', {
+        type: 'text/html',
+        body: page({ title: '示例页面', description: '一个普通的页面', head: '<link rel="icon" href="/icon.png">' })
+    }],
+    ['https://example.test/icon.png', { type: 'image/png', body: icon }],
+    // Quotes and markup in every field, and an icon that isn't an image
+    ['https://quotes.test/', {
+        type: 'text/html',
+        body: page({
+            title: '&quot;Quoted&quot; &lt;b&gt;title&lt;/b&gt; &amp; it&#39;s',
+            description: '&quot; onmouseover=&quot;alert(1)',
+            head: '<link rel="icon" href="data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;">'
+        })
+    }],
+    ['https://slow.test/', { type: 'text/html', body: page({ title: '慢速页面' }), wait: 3000 }],
+    // No title or description: the form falls back to the host name
+    ['https://empty.test/', { type: 'text/html', body: '<!DOCTYPE html><html><head></head><body></body></html>' }]
+]);
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+function send(response, status, headers = {}, body = '', wait = 0) {
+    setTimeout(() => {
+        response.writeHead(status, { ...corsHeaders, 'Cache-Control': 'no-store', ...headers });
+        response.end(body);
+    }, delay + wait);
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (request.method !== 'GET') {
+        send(response, 405);
+        return;
+    }
+
+    const target = new URL(request.url, 'http://localhost').searchParams.get('url') || '';
+    const answer = answers.get(target);
+    console.log(`GET ${target} ${answer ? 200 : 404}`);
+    if (!answer) {
+        send(response, 404);
+        return;
+    }
+    send(response, 200, { 'Content-Type': answer.type }, answer.body, answer.wait || 0);
+});
+
+server.listen(port, () => {
+    console.log(`Metadata stub server listening on http://localhost:${port}/`);
+});
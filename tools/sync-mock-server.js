@@ -0,0 +1,92 @@
+// ==================== Sync Mock Server ====================
+// Stand-in for a sync backend while developing or testing: every path holds one JSON document,
+// read with GET and replaced with PUT, with the ETag / If-Match / If-None-Match handling that
+// RestSyncAdapter and WebDavSyncAdapter rely on. Documents live in memory only.
+//
+//   node tools/sync-mock-server.js [port] [--token=secret] [--delay=ms]
+//
+// Then choose 同步 → REST 接口 with the address http://localhost:8787/bookmarks.json. --token
+// requires "Authorization: Bearer <secret>"; --delay slows every answer to show the sync status
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = name => (args.find(arg => arg.startsWith(`--${name}=`)) || '').split('=')[1] || '';
+const port = parseInt(args.find(arg => /^\d+$/.test(arg))) || 8787;
+const token = option('token');
+const delay = parseInt(option('delay')) || 0;
+
+// path -> { body, etag }
+const documents = new Map();
+let version = 0;
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+function send(response, status, headers = {}, body = '') {
+    setTimeout(() => {
+        response.writeHead(status, { ...corsHeaders, 'Cache-Control': 'no-store', ...headers });
+        response.end(body);
+    }, delay);
+}
+
+function handlePut(request, response, path) {
+    const current = documents.get(path);
+    const ifMatch = request.headers['if-match'];
+    const ifNoneMatch = request.headers['if-none-match'];
+
+    // Another client wrote since this one read
+    if ((ifMatch && (!current || current.etag !== ifMatch)) || (ifNoneMatch === '*' && current)) {
+        send(response, 412);
+        return;
+    }
+
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        try {
+            JSON.parse(body);
+        } catch {
+            send(response, 400);
+            return;
+        }
+        const etag = `"${++version}"`;
+        documents.set(path, { body, etag });
+        console.log(`PUT ${path} ${etag} (${body.length} bytes)`);
+        send(response, current ? 204 : 201, { ETag: etag });
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const path = new URL(request.url, 'http://localhost').pathname;
+
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (token && request.headers.authorization !== `Bearer ${token}`) {
+        send(response, 401);
+        return;
+    }
+
+    if (request.method === 'GET') {
+        const current = documents.get(path);
+        if (!current) {
+            send(response, 404);
+            return;
+        }
+        send(response, 200, { 'Content-Type': 'application/json', ETag: current.etag }, current.body);
+    } else if (request.method === 'PUT') {
+        handlePut(request, response, path);
+    } else {
+        send(response, 405);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Sync mock server listening on http://localhost:${port}/`);
+});